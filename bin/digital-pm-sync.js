@@ -4,17 +4,34 @@
  *
  * Usage:
  *   node digital-pm-sync.js [project-path] [--mode=code|research|both]
+ *   node digital-pm-sync.js --all [--mode=code|research|both]
+ *   node digital-pm-sync.js --register [project-path]
+ *   node digital-pm-sync.js --unregister [project-path]
+ *   node digital-pm-sync.js --list
  *
  * Reads .digitalpM.json from the project directory, runs the configured sync,
- * and exits. Designed to be called by launchd, cron, or any task scheduler
- * without user interaction.
+ * appends a record to .digitalpm/runs.jsonl, and exits. Designed to be called
+ * by launchd, systemd timers, cron, or any task scheduler without user interaction.
  *
- * Environment variables (inherit from shell or set in launchd plist):
- *   TAVILY_API_KEY   — required if mode includes research
+ * --all syncs every project in the machine-wide registry (see
+ * src/services/project-registry.js) one after another, sharing one browser
+ * session, and prints a per-project report. Exits non-zero if any project failed.
+ *
+ * Environment variables (inherit from shell, or set by the launchd / systemd /
+ * cron job digitalPM_schedule installs). Research needs one search provider —
+ * see src/services/search-providers.js:
+ *   TAVILY_API_KEY             — Tavily
+ *   BRAVE_API_KEY              — Brave Search
+ *   SERPAPI_API_KEY            — SerpAPI
+ *   EXA_API_KEY                — Exa
+ *   SEARXNG_URL                — SearXNG instance URL (no key needed); or set
+ *                                "research": { "endpoint": "…" } in .digitalpM.json
+ *   DIGITAL_PM_SEARCH_PROVIDER — picks the provider when several keys are set;
+ *                                "research": { "provider": "…" } in .digitalpM.json wins
  */
 
 import { fileURLToPath } from 'url';
-import { dirname, join, resolve } from 'path';
+import { dirname, join, resolve, basename } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -26,21 +43,113 @@ const mode       = modeArg ? modeArg.replace('--mode=', '') : 'both';
 const projectArg = args.find(a => !a.startsWith('--'));
 const projectPath = projectArg ? resolve(projectArg) : process.cwd();
 
+const log = msg => process.stderr.write(`[digital-pm-sync] ${msg}\n`);
+
+const { recordRun } = await import(join(__dirname, '../src/services/run-log.js'));
+const registry      = await import(join(__dirname, '../src/services/project-registry.js'));
+
+// ── Registry management ───────────────────────────────────────────────────────
+
+if (args.includes('--list')) {
+  const projects = await registry.listProjects();
+  log(`${projects.length} registered project(s) in ${registry.getRegistryPath()}`);
+  for (const p of projects) log(`  ${p.name ?? basename(p.path)} — ${p.path}`);
+  process.exit(0);
+}
+
+if (args.includes('--register')) {
+  const { readConfig } = await import(join(__dirname, '../src/services/config.js'));
+  const config = await readConfig(projectPath);
+  if (!config) {
+    log(`❌ No .digitalpM.json at ${projectPath} — run digitalPM_init first`);
+    process.exit(1);
+  }
+  const { created } = await registry.registerProject(projectPath, config.project_name ?? basename(projectPath));
+  log(`${created ? '✅ Registered' : 'Already registered:'} ${projectPath}`);
+  process.exit(0);
+}
+
+if (args.includes('--unregister')) {
+  const removed = await registry.unregisterProject(projectPath);
+  log(removed ? `✅ Unregistered ${projectPath}` : `Not registered: ${projectPath}`);
+  process.exit(0);
+}
+
 // ── Run sync ─────────────────────────────────────────────────────────────────
 
-const started = new Date().toISOString();
-process.stderr.write(`[digital-pm-sync] ${started} — syncing ${projectPath} (mode: ${mode})\n`);
+const { runSync }            = await import(join(__dirname, '../src/tools/sync.js'));
+const { withBrowserSession } = await import(join(__dirname, '../src/services/notebooklm.js'));
 
-try {
-  const { handleSync } = await import(join(__dirname, '../src/tools/sync.js'));
+/**
+ * Syncs one project and records the run. Never throws.
+ * @returns {Promise<{ status: 'ok'|'partial'|'failed'|'skipped', text: string, record: object|null }>}
+ */
+async function syncOne(target) {
+  const startedAt = new Date();
+  log(`${startedAt.toISOString()} — syncing ${target} (mode: ${mode})`);
+
+  try {
+    const { text, stats } = await runSync({ project_path: target, mode });
+    if (!stats) return { status: 'skipped', text, record: null };
 
-  const result = await handleSync({ project_path: projectPath, mode });
+    // Every scheduled run lands in .digitalpm/runs.jsonl — see digitalPM_status
+    const record = await recordRun(target, { startedAt, trigger: 'scheduled', mode, stats });
+    return { status: record.status, text, record };
+  } catch (err) {
+    const record = await recordRun(target, { startedAt, trigger: 'scheduled', mode, error: err });
+    return { status: 'failed', text: err.message, record };
+  }
+}
+
+if (!args.includes('--all')) {
+  const result = await withBrowserSession(() => syncOne(projectPath));
 
-  const text = result?.content?.find(c => c.type === 'text')?.text ?? '';
-  process.stderr.write(`[digital-pm-sync] ✅ Done\n${text.slice(0, 600)}\n`);
+  if (result.status === 'skipped') {
+    log(`❌ ${result.text}`);
+    process.exit(1);
+  }
+  if (result.status === 'failed') {
+    log(`❌ Failed: ${result.text}`);
+    process.exit(1);
+  }
+  log(`${result.status === 'ok' ? '✅ Done' : `⚠️ Finished with ${result.record.errors.length} error(s)`}\n${result.text.slice(0, 600)}`);
   process.exit(0);
+}
 
-} catch (err) {
-  process.stderr.write(`[digital-pm-sync] ❌ Failed: ${err.message}\n`);
+// ── --all: every registered project, one browser session ─────────────────────
+
+const projects = await registry.listProjects();
+if (projects.length === 0) {
+  log(`❌ No registered projects in ${registry.getRegistryPath()} — run digitalPM_init or digital-pm-sync --register <path>`);
   process.exit(1);
 }
+
+const report = [];
+await withBrowserSession(async () => {
+  for (const project of projects) {
+    const result = await syncOne(project.path);
+    report.push({ project, ...result });
+  }
+});
+
+const ICONS  = { ok: '✅', partial: '⚠️', failed: '❌', skipped: '⏭️' };
+const counts = Object.keys(ICONS).map(s => `${report.filter(r => r.status === s).length} ${s}`).join(', ');
+const width  = Math.max(...report.map(r => (r.project.name ?? basename(r.project.path)).length));
+
+log(`── Report: ${report.length} project(s) — ${counts} ──`);
+for (const { project, status, text, record } of report) {
+  const name = (project.name ?? basename(project.path)).padEnd(width);
+  const took = record ? `${Math.round(record.duration_ms / 1000)}s` : '—';
+  let detail;
+  if (status === 'skipped' || status === 'failed') {
+    detail = text;
+  } else {
+    const s = record.sources;
+    detail  = `sources +${s.added} ~${s.changed} =${s.unchanged}`;
+    if (record.research?.topics) detail += ` · ${record.research.urls_added} URL(s) added`;
+    if (record.errors.length)    detail += ` · ${record.errors.length} error(s): ${record.errors[0]}`;
+  }
+  log(`  ${ICONS[status]} ${name}  ${status.padEnd(7)}  ${took.padStart(5)}  ${detail.split('\n')[0]}`);
+}
+
+process.exit(report.some(r => r.status === 'failed') ? 1 : 0);
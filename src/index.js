@@ -2,21 +2,32 @@ import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
 
-import { handleInit }     from './tools/init.js';
-import { handleSync }     from './tools/sync.js';
-import { handleQuery }    from './tools/query.js';
-import { handleResearch } from './tools/research.js';
-import { handleFeedback } from './tools/feedback.js';
-import { handlePlan }     from './tools/plan.js';
-import { handleInsights } from './tools/insights.js';
-import { handleSchedule } from './tools/schedule.js';
+import { handleInit }        from './tools/init.js';
+import { handleSync }        from './tools/sync.js';
+import { handleQuery }       from './tools/query.js';
+import { handleResearch }    from './tools/research.js';
+import { handleFeedback }    from './tools/feedback.js';
+import { handlePlan }        from './tools/plan.js';
+import { handleInsights }    from './tools/insights.js';
+import { handleSchedule }    from './tools/schedule.js';
+import { handleRoadmap }     from './tools/roadmap.js';
+import { handleSources }     from './tools/sources.js';
+import { handleCompetitors } from './tools/competitors.js';
+import { handleStatus }      from './tools/status.js';
+import { handleAuth }        from './tools/auth.js';
+import { handleDoctor }      from './tools/doctor.js';
+import { handleHistory }     from './tools/history.js';
 import { checkForUpdates, LOCAL_VERSION, withUpdateBanner } from './services/version-check.js';
+import { hasSearchProvider } from './services/search-providers.js';
+import { closeBrowser }      from './services/notebooklm.js';
 
 // ── Wrap any tool handler so the first response in a session includes
-//    the update banner if a newer version is available. ─────────────────────────
+//    the update banner if a newer version is available. `extra` (progress
+//    token, abort signal, sendNotification) is passed through for the tools
+//    that report progress (see services/progress.js). ───────────────────────────
 function wrap(handler) {
-  return async (args) => {
-    const result = await handler(args);
+  return async (args, extra) => {
+    const result = await handler(args, extra);
     // MCP tool results have shape { content: [{ type: 'text', text: '...' }] }
     const banner = withUpdateBanner(null);
     if (!banner) return result;
@@ -49,6 +60,9 @@ server.registerTool(
       'config file. After this, all other digitalPM tools become available.',
       '',
       'Call once per project to bootstrap. Re-run with notebook_url to complete setup.',
+      '',
+      'Takes a few minutes of browser automation; each step is reported as an MCP',
+      'progress notification, and cancelling the request stops it at the next step.',
     ].join('\n'),
     inputSchema: {
       project_path:     z.string().optional().describe('Absolute path to project root. Defaults to current working directory.'),
@@ -71,14 +85,22 @@ server.registerTool(
       'Returns an updated codebase summary and/or new research URLs.',
       'Add the returned content as new sources in NotebookLM to keep the PM current.',
       '',
+      'Text sources (codebase summary, .md files, research summary) are only re-uploaded',
+      'when their content changed since the last sync — tracked in .digitalpm/sources.json.',
+      'Pass force=true to re-upload everything.',
+      '',
       'mode options:',
       '  "code"     — re-analyze the codebase only',
       '  "research" — fetch new research URLs only',
       '  "both"     — do both (default)',
+      '',
+      'Each step (analyzing, searching topic N of M, adding each source, ROADMAP.md) is',
+      'reported as an MCP progress notification; cancelling the request aborts the sync.',
     ].join('\n'),
     inputSchema: {
       project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
       mode:         z.enum(['code', 'research', 'both']).optional().describe('What to sync. Default: "both".'),
+      force:        z.boolean().optional().describe('Re-upload every text source even if its content is unchanged. Default: false.'),
     },
   },
   wrap(handleSync)
@@ -95,8 +117,13 @@ server.registerTool(
       'Uses native browser automation (same auth path as sync) — no external subprocess.',
       'The notebook_url is loaded automatically from .digitalpM.json.',
       '',
-      'Requires Google auth via notebooklm-mcp.',
-      'If not authenticated, run: npx notebooklm-mcp@latest → setup_auth',
+      'Requires a Google sign-in in the browser profile.',
+      'If not signed in, run digitalPM_auth(action="login").',
+      '',
+      'Follow-ups: pass the same session_id on each call to keep the notebook chat open,',
+      'so NotebookLM answers with the earlier questions in context. session_action="reset"',
+      'starts the session over; session_action="end" closes it (no question needed).',
+      'Sessions also end after 15 idle minutes (DIGITAL_PM_CHAT_IDLE_SECONDS).',
       '',
       'Example questions:',
       '  "What features should we build next based on competitor research?"',
@@ -105,8 +132,10 @@ server.registerTool(
       '  "What technical debt should we prioritize?"',
     ].join('\n'),
     inputSchema: {
-      question:     z.string().describe('The product management question to ask.'),
-      project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
+      question:       z.string().optional().describe('The product management question to ask. Required unless session_action is "end".'),
+      session_id:     z.string().optional().describe('Any name for a conversation, e.g. "pricing". Reuse it for follow-up questions.'),
+      session_action: z.enum(['continue', 'reset', 'end']).optional().describe('With session_id: "continue" (default), "reset" to start over, "end" to close the session.'),
+      project_path:   z.string().optional().describe('Project root path. Defaults to cwd.'),
     },
   },
   wrap(handleQuery)
@@ -121,8 +150,10 @@ server.registerTool(
       'Searches the web for competitive and market research on topics related to your project.',
       '',
       'Returns URLs with titles and descriptions ready to add as sources in NotebookLM.',
-      'Uses Tavily search API — requires TAVILY_API_KEY env var.',
-      'Free tier: 1,000 searches/month at https://app.tavily.com',
+      'Uses a pluggable search provider: Tavily (TAVILY_API_KEY), Brave Search (BRAVE_API_KEY),',
+      'SerpAPI (SERPAPI_API_KEY), Exa (EXA_API_KEY) or a SearXNG instance (SEARXNG_URL).',
+      'Choose one with "research": { "provider": "..." } in .digitalpM.json or',
+      'DIGITAL_PM_SEARCH_PROVIDER; otherwise the first configured key is used.',
       '',
       'If topics is not provided, auto-reads research_topics from .digitalpM.json.',
       '',
@@ -183,11 +214,17 @@ server.registerTool(
       'Usage: Call this BEFORE starting any feature implementation.',
       'After tests pass, mark the item [x] in ROADMAP.md and discard the brief.',
       '',
+      'save_brief=true (or "plan": { "save_briefs": true } in .digitalpM.json) keeps the',
+      'brief instead: it is written to docs/briefs/<feature-slug>.md (status: active) and',
+      'linked from the matching ROADMAP.md item; completing the item with',
+      'digitalPM_roadmap(action="complete") archives it to docs/briefs/archive/.',
+      '',
       'If the feature is not in ROADMAP.md, this tool will flag it so you can',
       'update the Strategic Epics before coding (Pivot Research protocol).',
     ].join('\n'),
     inputSchema: {
       feature:      z.string().describe('Feature name or description to generate an implementation brief for.'),
+      save_brief:   z.boolean().optional().describe('Save the brief to docs/briefs/ and link it from ROADMAP.md. Default: the config\'s plan.save_briefs, else false.'),
       project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
     },
   },
@@ -212,9 +249,22 @@ server.registerTool(
       '',
       'No parameters needed. Run before any planning session.',
       'Run digitalPM_sync first if the notebook hasn\'t been updated recently.',
+      '',
+      'template: use a named briefing template from "insights": { "templates": { … } } in',
+      '.digitalpM.json instead — its own instructions and sections (e.g. pricing, compliance,',
+      'enterprise readiness). The answer is still parsed back into the declared sections.',
+      '',
+      'Each briefing is parsed into its sections and stored in .digitalpm/insights/.',
+      'compare=true ends the report with what changed since the previous briefing: new',
+      'competitive gaps, resolved technical risks, whether the #1 priority shifted and',
+      'whether the Pivot Risk changed. pivot_blocker=true (or "insights": { "pivot_blocker":',
+      'true } in .digitalpM.json) raises a ROADMAP.md blocker when the Pivot Risk turns alarming.',
     ].join('\n'),
     inputSchema: {
-      project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
+      template:      z.string().optional().describe('Name of a briefing template from .digitalpM.json. Default: the built-in 5-section briefing.'),
+      compare:       z.boolean().optional().describe('Show what changed since the previous briefing of the same template. Default: false.'),
+      pivot_blocker: z.boolean().optional().describe('Raise a ROADMAP.md blocker when the Pivot Risk section changed. Default: the config\'s insights.pivot_blocker, else false.'),
+      project_path:  z.string().optional().describe('Project root path. Defaults to cwd.'),
     },
   },
   wrap(handleInsights)
@@ -230,7 +280,9 @@ server.registerTool(
       'current automatically — even when Claude is closed.',
       '',
       'On macOS: writes a launchd plist to ~/Library/LaunchAgents/ and loads it.',
-      'On other platforms: returns exact crontab instructions.',
+      'On Linux: writes a systemd --user service + timer to ~/.config/systemd/user/ and',
+      'enables it; without a user systemd instance, installs a managed crontab block.',
+      'Elsewhere: returns exact crontab instructions.',
       '',
       'Schedule options:',
       '  digitalPM_schedule()                          — daily at 9am (default)',
@@ -238,8 +290,13 @@ server.registerTool(
       '  digitalPM_schedule(interval="daily", hour=7)  — daily at 7am',
       '  digitalPM_schedule(interval="weekly", hour=9) — every Monday at 9am',
       '  digitalPM_schedule(disable=true)              — remove the scheduled job',
+      '  digitalPM_schedule(all_projects=true)         — one job syncing every registered project',
       '',
-      'Requires TAVILY_API_KEY in your MCP config env for research syncs.',
+      'Scheduling a project also adds it to the machine-wide project registry; with',
+      'all_projects=true a single job runs `digital-pm-sync --all`, syncing each registered',
+      'project in turn over one browser session.',
+      '',
+      'Requires a search provider key (e.g. TAVILY_API_KEY) in your MCP config env for research syncs.',
       'Schedule config is stored in .digitalpM.json alongside notebook_url.',
     ].join('\n'),
     inputSchema: {
@@ -247,22 +304,224 @@ server.registerTool(
       hour:         z.number().int().min(0).max(23).optional().describe('Hour to run (0-23). Default: 9.'),
       mode:         z.enum(['code', 'research', 'both']).optional().describe('What to sync. Default: "both".'),
       project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
-      disable:      z.boolean().optional().describe('Set true to remove the scheduled job.'),
+      disable:      z.boolean().optional().describe('Set true to remove the scheduled job (launchd, systemd timer or crontab block).'),
+      all_projects: z.boolean().optional().describe('Schedule (or with disable=true, remove) the single job that syncs every registered project. project_path is ignored.'),
     },
   },
   wrap(handleSchedule)
 );
 
+// ── digitalPM_roadmap ─────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_roadmap',
+  {
+    title: 'Update Roadmap State',
+    description: [
+      'Moves an Active Execution Board item in ROADMAP.md through the state machine',
+      'and manages [BLOCKER: Research Shift] entries. Use this instead of editing',
+      'ROADMAP.md checkboxes by hand.',
+      '',
+      'action options:',
+      '  "start"    — [ ] planned → [/] in progress (call before implementing)',
+      '  "complete" — [/] in progress → [x] verified (only after tests pass)',
+      '  "reopen"   — [/] or [x] → [ ] planned',
+      '  "block"    — add a [BLOCKER: Research Shift] for the item (pass reason)',
+      '  "unblock"  — remove the item\'s blocker entries',
+      '',
+      'Invalid transitions (e.g. completing an item that was never started) are rejected.',
+      'The updated ROADMAP.md is re-pushed to NotebookLM as a source.',
+    ].join('\n'),
+    inputSchema: {
+      action:       z.enum(['start', 'complete', 'reopen', 'block', 'unblock']).describe('State transition to apply.'),
+      item:         z.string().describe('Text that identifies the roadmap item, e.g. "Streaming response UI".'),
+      reason:       z.string().optional().describe('Why the item is blocked (used with action="block").'),
+      project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleRoadmap)
+);
+
+// ── digitalPM_sources ─────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_sources',
+  {
+    title: 'List & Prune Notebook Sources',
+    description: [
+      'Lists every source in the project\'s NotebookLM notebook (title, type, age)',
+      'and optionally prunes them to stay under NotebookLM\'s source limit.',
+      '',
+      'Ages are known for sources uploaded by digitalPM_sync (.digitalpm/sources.json).',
+      '',
+      'Pruning options (combine freely):',
+      '  label_pattern="^https?://"  — titles matching this regex',
+      '  older_than_days=30          — sources older than N days',
+      '  max_sources=40              — delete the oldest until at most N remain',
+      '  dry_run=true                — preview what would be removed',
+      '',
+      'No options: list only.',
+    ].join('\n'),
+    inputSchema: {
+      label_pattern:   z.string().optional().describe('Case-insensitive regex matched against source titles.'),
+      older_than_days: z.number().int().min(0).optional().describe('Prune sources uploaded more than this many days ago.'),
+      max_sources:     z.number().int().min(0).optional().describe('Prune the oldest sources until at most this many remain.'),
+      dry_run:         z.boolean().optional().describe('Show what would be pruned without deleting anything.'),
+      project_path:    z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleSources)
+);
+
+// ── digitalPM_competitors ─────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_competitors',
+  {
+    title: 'Manage Tracked Competitors',
+    description: [
+      'Adds, updates, removes or lists the competitors tracked for this project',
+      '(stored in .digitalpM.json). The registry drives the ROADMAP.md competitor',
+      'table and the digitalPM_insights prompt.',
+      '',
+      'action options:',
+      '  "list"   — show tracked competitors (default)',
+      '  "add"    — add a competitor, or update the fields you pass for an existing one',
+      '  "remove" — stop tracking a competitor',
+      '',
+      'Use this when the user names a competitor or says "track X as a competitor".',
+    ].join('\n'),
+    inputSchema: {
+      action:        z.enum(['list', 'add', 'remove']).optional().describe('What to do. Defaults to "list".'),
+      name:          z.string().optional().describe('Competitor name — required for add / remove.'),
+      homepage:      z.string().optional().describe('Homepage URL.'),
+      pricing_url:   z.string().optional().describe('Pricing page URL.'),
+      changelog_url: z.string().optional().describe('Changelog or release-notes URL.'),
+      notes:         z.string().optional().describe('Their approach / positioning, shown in the ROADMAP.md table.'),
+      project_path:  z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleCompetitors)
+);
+
+// ── digitalPM_status ──────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_status',
+  {
+    title: 'Sync Status & Run History',
+    description: [
+      'Shows whether the Digital PM notebook is staying current: the installed schedule',
+      'and its next run, the last clean sync, the current failure streak, and the last',
+      'N sync runs (scheduled and manual) with source and research counts.',
+      '',
+      'Use when the user asks "is my PM syncing?", "when did it last sync?" or',
+      'suspects scheduled syncs have stopped working.',
+    ].join('\n'),
+    inputSchema: {
+      limit:        z.number().int().min(1).max(100).optional().describe('How many recent runs to show. Default: 10.'),
+      project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleStatus)
+);
+
+// ── digitalPM_auth ────────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_auth',
+  {
+    title: 'NotebookLM Sign-in',
+    description: [
+      'Checks or renews the Google sign-in used for every NotebookLM operation.',
+      '',
+      'action options:',
+      '  "status" — load NotebookLM headlessly and report whether the session is active (default)',
+      '  "login"  — open a visible browser window; sign in to Google and it closes by itself',
+      '             once NotebookLM loads. The session is kept in the browser profile.',
+      '  "import" — replace the profile with a copy of notebooklm-mcp\'s Chrome profile',
+      '             (done automatically on first use, so an existing sign-in carries over)',
+      '',
+      'The profile lives in the app-support dir (digital-pm-mcp/chrome_profile);',
+      'override with DIGITAL_PM_CHROME_PROFILE, pick a browser with DIGITAL_PM_BROWSER_CHANNEL.',
+      '',
+      'Use this when a tool reports "NotebookLM sign-in required".',
+    ].join('\n'),
+    inputSchema: {
+      action:          z.enum(['status', 'login', 'import']).optional().describe('Default: "status".'),
+      timeout_seconds: z.number().int().min(30).max(1800).optional().describe('How long "login" waits for sign-in. Default: 300.'),
+    },
+  },
+  wrap(handleAuth)
+);
+
+// ── digitalPM_doctor ──────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_doctor',
+  {
+    title: 'Diagnose NotebookLM UI Automation',
+    description: [
+      'Checks every NotebookLM UI step the automation relies on and reports exactly which',
+      'selector failed — use it when syncs or queries start failing with "NotebookLM UI step',
+      '... not found" or timeouts after a NotebookLM update.',
+      '',
+      'Walks the home page, the project\'s notebook, the "Add sources" dialog, the Copied text',
+      'and Websites forms and a source\'s ⋮ menu, without adding or removing anything.',
+      'Each step shows whether its primary selector, a fallback, or nothing matched.',
+      '',
+      'fixture_path:  check saved HTML snapshots (<dir>/<screen>.html) instead — offline, no sign-in',
+      'save_fixtures: also save each live screen\'s DOM to that directory for later offline checks',
+    ].join('\n'),
+    inputSchema: {
+      fixture_path:  z.string().optional().describe('Directory of saved NotebookLM HTML fixtures to check offline (relative to the project).'),
+      save_fixtures: z.string().optional().describe('Directory to save the live DOM of each screen to (relative to the project).'),
+      project_path:  z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleDoctor)
+);
+
+// ── digitalPM_history ─────────────────────────────────────────────────────────
+server.registerTool(
+  'digitalPM_history',
+  {
+    title: 'Search Past PM Answers',
+    description: [
+      'Searches every answer digitalPM_query, digitalPM_plan and digitalPM_insights have',
+      'returned for this project — archived locally in .digitalpm/answers/ with the question,',
+      'tool, time and citations — without asking NotebookLM again.',
+      '',
+      'Use when the user asks "what did we decide about X?", "show last week\'s brief" or',
+      'wants to reread an earlier answer.',
+      '',
+      'query:        keywords, all of which must appear (question, answer or cited sources)',
+      'since / until: "YYYY-MM-DD" or a relative age like "7d" / "12h"',
+      'id:           show one archived answer in full (a unique id prefix is enough)',
+    ].join('\n'),
+    inputSchema: {
+      query:        z.string().optional().describe('Keywords to search for. Omit to list the newest answers.'),
+      tool:         z.enum(['query', 'plan', 'insights']).optional().describe('Only answers from this tool.'),
+      since:        z.string().optional().describe('Only answers from this date on: "YYYY-MM-DD" or "7d".'),
+      until:        z.string().optional().describe('Only answers up to this date (inclusive): "YYYY-MM-DD" or "7d".'),
+      id:           z.string().optional().describe('Archived answer id (or unique prefix) to show in full.'),
+      limit:        z.number().int().min(1).max(100).optional().describe('How many matches to list. Default: 10.'),
+      project_path: z.string().optional().describe('Project root path. Defaults to cwd.'),
+    },
+  },
+  wrap(handleHistory)
+);
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 async function runServer() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   process.stderr.write(`[digital-pm-mcp] v${LOCAL_VERSION} started on stdio\n`); // LOCAL_VERSION reads package.json
-  if (!process.env.TAVILY_API_KEY) {
-    process.stderr.write(`[digital-pm-mcp] ⚠️  TAVILY_API_KEY not set — research tools disabled. Get a free key at https://app.tavily.com\n`);
+  if (!hasSearchProvider()) {
+    process.stderr.write(`[digital-pm-mcp] ⚠️  No search provider key set (TAVILY_API_KEY, BRAVE_API_KEY, SERPAPI_API_KEY, EXA_API_KEY or SEARXNG_URL) — research tools disabled. Get a free Tavily key at https://app.tavily.com\n`);
   }
   // Fire-and-forget npm version check — never blocks startup
   checkForUpdates().catch(() => {});
+
+  // The pooled NotebookLM browser outlives tool calls — close it with the server
+  const shutdown = () => closeBrowser().finally(() => process.exit(0));
+  process.stdin.once('end', shutdown);
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
 
 runServer().catch((err) => {
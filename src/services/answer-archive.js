@@ -0,0 +1,155 @@
+/**
+ * answer-archive.js
+ *
+ * Every answer digitalPM_query, digitalPM_plan and digitalPM_insights get from
+ * NotebookLM, kept one file per answer so old briefs can be reread without
+ * another round trip through the browser:
+ *
+ *   .digitalpm/answers/<id>.json
+ *
+ *   {
+ *     "id":         "20260301-141502-plan-offline-mode",  // local time
+ *     "tool":       "plan",                       // query | plan | insights
+ *     "project":    "acme",
+ *     "question":   "Implementation brief: offline mode",
+ *     "answer":     "…",                          // citation chips as [n]
+ *     "citations":  [{ "number": 1, "source": "…", "quote": "…" }],
+ *     "created_at": "2026-03-01T13:15:02.114Z",   // UTC
+ *     "session_id": "pricing",                    // query sessions only
+ *     "feature":    "offline mode"                // plan only
+ *   }
+ *
+ * Ids have one-second resolution; a second answer for the same tool and topic
+ * within that second gets a `-2`, `-3`, … suffix rather than overwriting the
+ * first. Searched by digitalPM_history.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+
+import { getStatePath, addStateRecord } from './config.js';
+
+const ANSWERS_DIR = 'answers';
+const DAY_MS      = 24 * 60 * 60 * 1000;
+
+const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'answer';
+
+/** `<local YYYYMMDD-HHMMSS>-<tool>-<topic>` — local time, like the dates digitalPM_history shows. */
+function makeId(tool, topic, date) {
+  const pad   = n => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+                `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${stamp}-${tool}-${slugify(topic)}`;
+}
+
+/**
+ * Saves an answer. Never throws — an archive write must not fail the tool
+ * call that produced the answer.
+ *
+ * @param {string} projectPath
+ * @param {{ tool: string, project: string, question: string, answer: string,
+ *           citations?: object[], topic?: string, [extra: string]: any }} entry
+ *   `topic` (default: the question) names the file; other fields are stored as-is
+ * @returns {Promise<object|null>} the stored record, or null if the write failed
+ */
+export async function archiveAnswer(projectPath, { tool, topic, citations = [], ...fields }) {
+  const now    = new Date();
+  const record = {
+    id:         makeId(tool, topic ?? fields.question, now),
+    tool,
+    ...fields,
+    citations,
+    created_at: now.toISOString(),
+  };
+  try {
+    return await addStateRecord(projectPath, ANSWERS_DIR, record);
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Could not archive answer: ${err.message}\n`);
+    return null;
+  }
+}
+
+/** The line tools append under an archived answer. */
+export function archivedNote({ id }) {
+  return `_Archived as \`${id}\` — reread it any time with \`digitalPM_history(id="${id}")\`._`;
+}
+
+/** All archived answers, newest first. Unreadable files are skipped. */
+export async function readAnswers(projectPath) {
+  let files;
+  try {
+    files = (await readdir(getStatePath(projectPath, ANSWERS_DIR))).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+
+  const records = [];
+  for (const file of files) {
+    try {
+      records.push(JSON.parse(await readFile(getStatePath(projectPath, ANSWERS_DIR, file), 'utf8')));
+    } catch { /* skip */ }
+  }
+  return records.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Finds one answer by id or unique id prefix.
+ * @returns {{ record: object|null, matches: object[] }} `matches` lists candidates when the prefix is ambiguous
+ */
+export function findAnswer(records, id) {
+  const exact = records.find(r => r.id === id);
+  if (exact) return { record: exact, matches: [exact] };
+  const matches = records.filter(r => r.id.startsWith(id));
+  return { record: matches.length === 1 ? matches[0] : null, matches };
+}
+
+/**
+ * Parses a date bound: "YYYY-MM-DD" or a relative "7d" / "12h".
+ * A plain date is a local calendar day, like the times digitalPM_history shows;
+ * `endOfDay` makes it inclusive (until 2026-03-01 = through that day).
+ * @returns {number|null} epoch ms, or null if unparseable
+ */
+export function parseDateBound(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const rel = /^(\d+)\s*([dh])$/i.exec(value.trim());
+  if (rel) return Date.now() - Number(rel[1]) * (rel[2].toLowerCase() === 'd' ? DAY_MS : DAY_MS / 24);
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (day) {
+    const [y, m, d] = day.slice(1).map(Number);
+    const start     = new Date(y, m - 1, d);
+    if (start.getMonth() !== m - 1 || start.getDate() !== d) return null;
+    return endOfDay ? new Date(y, m - 1, d + 1).getTime() - 1 : start.getTime();
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Filters archived answers. Every keyword must appear (case-insensitive) in
+ * the question, answer, feature or a cited source title.
+ *
+ * @param {object[]} records - from readAnswers()
+ * @param {{ query?: string, tool?: string, since?: number|null, until?: number|null }} filters
+ */
+export function searchAnswers(records, { query = '', tool, since = null, until = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return records.filter(r => {
+    if (tool && r.tool !== tool) return false;
+    const at = Date.parse(r.created_at);
+    if (since !== null && at < since) return false;
+    if (until !== null && at > until) return false;
+    if (words.length === 0) return true;
+    const haystack = [r.question, r.answer, r.feature, ...(r.citations ?? []).map(c => c.source)]
+      .filter(Boolean).join('\n').toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+}
+
+/** A one-line excerpt of `text` around the first keyword hit (or its start). */
+export function excerpt(text, query = '', width = 160) {
+  const flat = String(text ?? '').replace(/\s+/g, ' ').trim();
+  const word = query.toLowerCase().split(/\s+/).find(w => w && flat.toLowerCase().includes(w));
+  const at   = word ? flat.toLowerCase().indexOf(word) : 0;
+  const from = Math.max(0, at - Math.floor(width / 3));
+  const cut  = flat.slice(from, from + width);
+  return `${from > 0 ? '…' : ''}${cut}${from + width < flat.length ? '…' : ''}`;
+}
@@ -0,0 +1,132 @@
+/**
+ * briefs.js
+ *
+ * Implementation briefs from digitalPM_plan, saved into the project itself so
+ * the rationale behind a feature stays with the code that implements it:
+ *
+ *   docs/briefs/<feature-slug>.md           — active: the item is being built
+ *   docs/briefs/archive/<feature-slug>.md   — archived: the item was verified [x]
+ *                                             (-2, -3, … once a feature was archived before)
+ *
+ *   ---
+ *   feature: "Offline mode with local data sync"
+ *   status: active                          # active | archived
+ *   created: 2026-03-01
+ *   roadmap_item: "Offline mode with local data sync"
+ *   answer_id: 20260301-141502-plan-offline-mode-with-local-data-sync
+ *   ---
+ *
+ * The matching ROADMAP.md item links to the brief (roadmap-model.js
+ * setItemBrief()); completing the item through patchSprintItem() archives it.
+ */
+
+import { readFile, writeFile, mkdir, unlink }                         from 'fs/promises';
+import { join, basename, extname, resolve, relative, isAbsolute, sep } from 'path';
+
+import { formatReferences } from './citations.js';
+
+export const BRIEFS_DIR = 'docs/briefs';
+const ARCHIVE_DIR       = `${BRIEFS_DIR}/archive`;
+
+const today   = () => new Date().toISOString().split('T')[0];
+const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60).replace(/-$/, '') || 'brief';
+
+// Free text is double-quoted (a JSON string is valid YAML); dates, ids and statuses stay bare
+const frontMatterValue = value => /^[\w.-]+$/.test(String(value)) ? String(value) : JSON.stringify(String(value));
+
+function renderFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${frontMatterValue(value)}`);
+  return ['---', ...lines, '---'].join('\n');
+}
+
+/**
+ * Upserts front-matter keys in a brief's markdown, leaving every other line as
+ * it was (briefs may have been edited by hand since they were saved).
+ */
+function updateFrontMatter(markdown, fields) {
+  const match = markdown.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!match) return `${renderFrontMatter(fields)}\n\n${markdown}`;
+
+  const lines = match[1].split('\n');
+  for (const [key, value] of Object.entries(fields)) {
+    const line = `${key}: ${frontMatterValue(value)}`;
+    const i    = lines.findIndex(l => l.startsWith(`${key}:`));
+    if (i === -1) lines.push(line);
+    else lines[i] = line;
+  }
+  return `---\n${lines.join('\n')}\n---\n${markdown.slice(match[0].length)}`;
+}
+
+/** The project-relative path a feature's active brief is saved at. */
+export function briefPath(feature) {
+  return `${BRIEFS_DIR}/${slugify(feature)}.md`;
+}
+
+/**
+ * Writes `docs/briefs/<feature-slug>.md` with `status: active`, replacing an
+ * earlier brief for the same feature.
+ *
+ * @param {string} projectPath
+ * @param {{ feature: string, content: string, citations?: object[],
+ *           roadmapItem?: string|null, answerId?: string|null }} brief
+ * @returns {Promise<string>} the project-relative path of the brief
+ */
+export async function saveBrief(projectPath, { feature, content, citations = [], roadmapItem = null, answerId = null }) {
+  const path     = briefPath(feature);
+  const markdown = [
+    renderFrontMatter({
+      feature,
+      status:       'active',
+      created:      today(),
+      roadmap_item: roadmapItem,
+      answer_id:    answerId,
+    }),
+    ``,
+    `# Implementation Brief — ${feature}`,
+    ``,
+    content.trim(),
+    ``,
+    ...formatReferences(citations),
+  ].join('\n');
+
+  await mkdir(join(projectPath, BRIEFS_DIR), { recursive: true });
+  await writeFile(join(projectPath, path), markdown.trimEnd() + '\n', 'utf8');
+  return path;
+}
+
+/**
+ * Marks an active brief `status: archived` and moves it to docs/briefs/archive/.
+ * An earlier archived brief of the same name is never replaced — this one gets
+ * a `-2`, `-3`, … suffix instead. Returns the project-relative path written,
+ * or null when `path` isn't an active brief (already archived, or not one of
+ * ours). Throws if the file can't be read.
+ *
+ * `path` comes from a link in the hand-editable ROADMAP.md, so it is resolved
+ * first: anything that lands outside docs/briefs/ (`../` segments, absolute
+ * paths) is left alone rather than moved.
+ */
+export async function archiveBrief(projectPath, path) {
+  const source = resolve(projectPath, path);
+  const rel    = relative(resolve(projectPath, BRIEFS_DIR), source);
+  const parts  = rel.split(sep);
+  if (!rel || isAbsolute(rel) || parts.includes('..') || parts[0] === basename(ARCHIVE_DIR)) return null;
+
+  const markdown = updateFrontMatter(await readFile(source, 'utf8'), { status: 'archived', archived: today() });
+  const ext      = extname(source);
+  const name     = basename(source, ext);
+
+  await mkdir(join(projectPath, ARCHIVE_DIR), { recursive: true });
+  for (let n = 1; ; n++) {
+    const archived = `${ARCHIVE_DIR}/${n === 1 ? name : `${name}-${n}`}${ext}`;
+    try {
+      await writeFile(join(projectPath, archived), markdown, { encoding: 'utf8', flag: 'wx' });
+    } catch (err) {
+      if (err.code === 'EEXIST') continue;
+      throw err;
+    }
+    await unlink(source);
+    return archived;
+  }
+}
@@ -2,15 +2,41 @@
  * browser-source.js
  *
  * Drives NotebookLM via browser automation (patchright).
- * Uses launchPersistentContext with the notebooklm-mcp Chrome profile —
- * the same authenticated profile the user already set up via notebooklm-mcp.
- * If that profile is locked (concurrent use), clones it to an isolated temp dir.
+ * Uses launchPersistentContext with digital-pm-mcp's own Chrome profile, which
+ * holds the Google sign-in (see digitalPM_auth). On first use the profile is
+ * seeded from notebooklm-mcp's profile if one exists, so an existing
+ * notebooklm-mcp sign-in carries over.
+ * If the profile is locked (concurrent use), clones it to an isolated temp dir.
+ * One context is pooled across calls and closed when idle (see withBrowser()).
+ *
+ * Environment:
+ *   DIGITAL_PM_CHROME_PROFILE            — profile directory (default: <app support>/digital-pm-mcp/chrome_profile)
+ *   DIGITAL_PM_BROWSER_CHANNEL           — browser channel, e.g. "chrome" or "msedge" (default: bundled Chromium)
+ *   DIGITAL_PM_IMPORT_NOTEBOOKLM_PROFILE — "0" to skip the first-use import from notebooklm-mcp
+ *   DIGITAL_PM_BROWSER_IDLE_SECONDS      — close the pooled browser after this long unused (default 300)
+ *   DIGITAL_PM_CHAT_IDLE_SECONDS         — end a chat session after this long without a question (default 900)
  *
  * Exports:
  *   createNotebook()                             → creates a new notebook, returns its URL
- *   addTextSource(label, content, notebookUrl)   → "Copied text" source
- *   addUrlSources(urls, notebookUrl)             → "Websites" source (batched)
- *   queryNotebook(question, notebookUrl)         → ask a question, return the AI response
+ *   addTextSource(label, content, notebookUrl, { replace, signal })
+ *                                                → "Copied text" source (optionally replacing same-titled ones)
+ *   addTextSources(items, notebookUrl, { replace, signal, onItem })
+ *                                                → many "Copied text" sources in one visit, per-item results
+ *   addUrlSources(urls, notebookUrl, { signal }) → "Websites" source (batched)
+ *   listSources(notebookUrl)                     → titles + type icons from the sources panel
+ *   pruneSources(notebookUrl, select)            → delete the sources select() picks
+ *   queryNotebook(question, notebookUrl, { sessionId, reset })
+ *                                                → ask a question, return { answer, citations, session }
+ *   endChatSession(sessionId)                    → close a chat session's page
+ *   listChatSessions()                           → open chat sessions
+ *   probeAuth()                                  → is the browser profile signed in to NotebookLM?
+ *   loginInteractive({ timeoutMs })              → headed browser for the user to sign in
+ *   importNotebookLMProfile()                    → replace our profile with a copy of notebooklm-mcp's
+ *   getChromeProfile()                           → the profile directory in use
+ *   withBrowserSession(fn)                       → keep the pooled browser open for fn, then close it
+ *   closeBrowser()                               → close the pooled browser now
+ *   diagnoseSelectors({ notebookUrl, fixtureDir, captureDir })
+ *                                                → resolve every UI step (selectors.js) per screen
  */
 
 import os   from 'os';
@@ -18,40 +44,152 @@ import path  from 'path';
 import fs    from 'fs/promises';
 import { pathToFileURL } from 'url';
 
+import { getAppSupportDir, getAppDataPath }  from './config.js';
+import { AuthRequiredError, CancelledError } from './errors.js';
+import {
+  SCREENS, SELECTORS,
+  clickStep, fillStep, findStep, stepSelector, waitForStep,
+} from './selectors.js';
+
 // ── Path helpers ──────────────────────────────────────────────────────────────
 
-function getAppSupportDir() {
-  if (process.platform === 'darwin')  return path.join(os.homedir(), 'Library', 'Application Support');
-  if (process.platform === 'win32')   return process.env.APPDATA || os.homedir();
-  return path.join(os.homedir(), '.local', 'share');
+/** digital-pm-mcp's own Chrome profile — holds the Google sign-in */
+export function getChromeProfile() {
+  const custom = process.env.DIGITAL_PM_CHROME_PROFILE;
+  if (!custom) return getAppDataPath('chrome_profile');
+  return path.resolve(custom.replace(/^~(?=$|[\\/])/, os.homedir()));
 }
 
-/** notebooklm-mcp's Chrome profile — already authenticated by the user */
+/** notebooklm-mcp's Chrome profile — imported once if the user already signed in there */
 function getNotebookLMChromeProfile() {
   return path.join(getAppSupportDir(), 'notebooklm-mcp', 'chrome_profile');
 }
 
 /** Where digital-pm-mcp stores its cloned isolated profile instances */
 function getDigitalPMInstancesDir() {
-  return path.join(getAppSupportDir(), 'digital-pm-mcp', 'chrome_profile_instances');
+  return getAppDataPath('chrome_profile_instances');
+}
+
+const exists = p => fs.access(p).then(() => true, () => false);
+
+/** Copies a Chrome profile, skipping lock/tmp files so Chrome can open the copy cleanly. */
+async function copyProfile(from, to) {
+  await fs.mkdir(to, { recursive: true });
+  await fs.cp(from, to, {
+    recursive:    true,
+    errorOnExist: false,
+    force:        true,
+    filter: (src) => {
+      const bn = path.basename(src);
+      return !/^Singleton/i.test(bn) && !bn.endsWith('.lock') && !bn.endsWith('.tmp');
+    },
+  });
+}
+
+// ── Profile setup ─────────────────────────────────────────────────────────────
+
+let _profileReady = null;
+
+/** Resolves the profile to launch with, preparing it once per process. */
+function ensureProfile() {
+  _profileReady ??= prepareProfile().catch((err) => {
+    _profileReady = null;
+    throw err;
+  });
+  return _profileReady;
+}
+
+async function prepareProfile() {
+  await cleanupOrphanedInstances();
+
+  const profile = getChromeProfile();
+  if (await exists(profile)) return profile;
+
+  // First use: carry over an existing notebooklm-mcp sign-in
+  const legacy = getNotebookLMChromeProfile();
+  if (process.env.DIGITAL_PM_IMPORT_NOTEBOOKLM_PROFILE !== '0' && await exists(legacy)) {
+    process.stderr.write(`[digital-pm-mcp] Importing notebooklm-mcp's Chrome profile into ${profile} (one-time)...\n`);
+    try {
+      await copyProfile(legacy, profile);
+    } catch (err) {
+      process.stderr.write(`[digital-pm-mcp] Profile import warning: ${err.message}\n`);
+    }
+  }
+  return profile;
 }
 
-// ── Find patchright from local deps or notebooklm-mcp's npx cache ────────────
+/**
+ * Replaces our profile with a fresh copy of notebooklm-mcp's (explicit
+ * re-import via digitalPM_auth). The pooled browser is closed first.
+ *
+ * @returns {Promise<{ from: string, to: string }>}
+ */
+export async function importNotebookLMProfile() {
+  return enqueue(async () => {
+    await closeBrowser();
+    const from = getNotebookLMChromeProfile();
+    const to   = getChromeProfile();
+    if (!(await exists(from))) throw new Error(`No notebooklm-mcp profile found at ${from}`);
+    await fs.rm(to, { recursive: true, force: true });
+    await copyProfile(from, to);
+    return { from, to };
+  });
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Written into every profile clone: the pid of the server process that owns it
+const OWNER_PID_FILE = 'digital-pm-mcp.pid';
+
+/** The pid that owns a clone — from its pid file, else from its instance-<pid>-<time> name. */
+async function cloneOwner(dir, name) {
+  try {
+    const pid = Number.parseInt(await fs.readFile(path.join(dir, name, OWNER_PID_FILE), 'utf8'), 10);
+    if (pid > 0) return pid;
+  } catch { /* clone from before pid files, or copied only partly */ }
+  return Number(/^instance-(\d+)-\d+$/.exec(name)[1]);
+}
+
+/**
+ * Removes instance-<pid>-<time> clones left behind by crashed runs — those
+ * whose owning process is gone. A clone of a live server is kept however long
+ * that server has been running.
+ */
+async function cleanupOrphanedInstances() {
+  const dir = getDigitalPMInstancesDir();
+  let entries;
+  try { entries = await fs.readdir(dir); } catch { return; }
+
+  for (const name of entries) {
+    if (!/^instance-\d+-\d+$/.test(name)) continue;
+    const pid = await cloneOwner(dir, name);
+    if (pid === process.pid || isProcessAlive(pid)) continue;
+    try {
+      await fs.rm(path.join(dir, name), { recursive: true, force: true });
+      process.stderr.write(`[digital-pm-mcp] Removed orphaned profile clone ${name}\n`);
+    } catch { /* in use or already gone */ }
+  }
+}
+
+// ── Find patchright: installed package, then notebooklm-mcp's npx cache ──────
 
 let _patchright = null;
 
 async function getPatchright() {
   if (_patchright) return _patchright;
 
-  // 1. Local node_modules (patchright added as a direct dependency)
-  const localPath = path.join(
-    path.dirname(new URL(import.meta.url).pathname), '..', '..', 'node_modules', 'patchright', 'index.mjs'
-  );
+  // 1. Installed dependency (resolved like any other import)
   try {
-    await fs.access(localPath);
-    _patchright = await import(pathToFileURL(localPath).href);
+    _patchright = await import('patchright');
     return _patchright;
-  } catch { /* not available locally — fall through */ }
+  } catch { /* not installed — fall through */ }
 
   // 2. Search npx cache (notebooklm-mcp installs patchright there)
   const npxCache = path.join(os.homedir(), '.npm', '_npx');
@@ -68,13 +206,13 @@ async function getPatchright() {
   } catch { /* npx cache not accessible */ }
 
   throw new Error(
-    'patchright not found. Ensure notebooklm-mcp has been run at least once ' +
-    '(npx notebooklm-mcp@latest), or add patchright to digital-pm-mcp\'s dependencies.'
+    'patchright not found. Reinstall digital-pm-mcp (patchright is a dependency), ' +
+    'then run `npx patchright install chromium`.'
   );
 }
 
 // ── Persistent context helper ─────────────────────────────────────────────────
-// Uses launchPersistentContext with the notebooklm-mcp Chrome profile.
+// Uses launchPersistentContext with digital-pm-mcp's Chrome profile.
 // If that profile is locked by another process, clones it into an isolated dir.
 
 const TIMEOUT = 30_000; // 30s per UI step
@@ -96,14 +234,15 @@ const LAUNCH_ARGS = [
  */
 async function openPersistentContext(headless = true) {
   const patchright  = await getPatchright();
-  const baseProfile = getNotebookLMChromeProfile();
+  const baseProfile = await ensureProfile();
 
   const launchOptions = {
     headless,
     args: LAUNCH_ARGS,
+    ...(process.env.DIGITAL_PM_BROWSER_CHANNEL ? { channel: process.env.DIGITAL_PM_BROWSER_CHANNEL } : {}),
   };
 
-  // First attempt: use the base notebooklm-mcp profile directly
+  // First attempt: use the profile directly
   try {
     const context = await patchright.chromium.launchPersistentContext(baseProfile, launchOptions);
     return { context, tempDir: null };
@@ -120,54 +259,295 @@ async function openPersistentContext(headless = true) {
     const instancesDir = getDigitalPMInstancesDir();
     const tempDir    = path.join(instancesDir, `instance-${stamp}`);
 
-    await fs.mkdir(tempDir, { recursive: true });
-
-    // Best-effort clone — skip lock/tmp files so Chrome can open the copy cleanly
+    // Best-effort clone
     try {
-      await fs.cp(baseProfile, tempDir, {
-        recursive:    true,
-        errorOnExist: false,
-        force:        true,
-        filter: (src) => {
-          const bn = path.basename(src);
-          return !/^Singleton/i.test(bn) && !bn.endsWith('.lock') && !bn.endsWith('.tmp');
-        },
-      });
+      await copyProfile(baseProfile, tempDir);
     } catch (cpErr) {
       process.stderr.write(`[digital-pm-mcp] Profile clone warning: ${cpErr.message}\n`);
       // Continue with the (possibly partial) clone
     }
+    // Claims the clone for this process until it exits (cleanupOrphanedInstances)
+    await fs.writeFile(path.join(tempDir, OWNER_PID_FILE), `${process.pid}\n`, 'utf8').catch(() => {});
 
     const context = await patchright.chromium.launchPersistentContext(tempDir, launchOptions);
     return { context, tempDir };
   }
 }
 
-// ── Browser helper ────────────────────────────────────────────────────────────
+// ── Browser session manager ───────────────────────────────────────────────────
+// One persistent context is kept alive across tool calls instead of launching
+// Chrome per operation. Operations are queued so only one drives the browser
+// at a time. The context closes after BROWSER_IDLE_MS without work, and is
+// relaunched on the next call if it closed or crashed in the meantime.
+//
+// Idle timeout: DIGITAL_PM_BROWSER_IDLE_SECONDS (default 300, 0 = close after every call).
+
+const BROWSER_IDLE_MS = 1000 * Math.max(0, Number(process.env.DIGITAL_PM_BROWSER_IDLE_SECONDS ?? 300) || 0);
+
+const _browser = {
+  current:   null,               // { context, tempDir } while a browser is open
+  queue:     Promise.resolve(),  // tail of the operation queue
+  pending:   0,                  // queued + running operations
+  pinned:    0,                  // active withBrowserSession() calls
+  idleTimer: null,
+};
+
+async function closeContext({ context, tempDir }) {
+  if (context) {
+    try { await context.close(); } catch { /* already closed */ }
+  }
+  // Clean up isolated clone if we created one
+  if (tempDir) {
+    try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
+  }
+}
+
+/** The pooled context, launching (or relaunching after a crash) if needed. */
+async function getContext() {
+  if (_browser.current) return _browser.current.context;
+
+  const opened = await openPersistentContext();
+  _browser.current = opened;
+
+  // A crashed or externally closed browser is dropped; the next call relaunches it
+  opened.context.on('close', () => {
+    if (_browser.current !== opened) return;
+    _browser.current = null;
+    closeContext({ tempDir: opened.tempDir });
+  });
+  return opened.context;
+}
+
+/** Closes the pooled browser now (server shutdown, end of a batch run). */
+export async function closeBrowser() {
+  clearTimeout(_browser.idleTimer);
+  const current = _browser.current;
+  _browser.current = null;
+  if (current) await closeContext(current);
+}
+
+function scheduleIdleClose() {
+  clearTimeout(_browser.idleTimer);
+  if (_browser.pending > 0 || _browser.pinned > 0 || !_browser.current) return;
+  if (_chats.size > 0) return; // open chat sessions keep their pages alive
+  if (BROWSER_IDLE_MS === 0) {
+    closeBrowser();
+    return;
+  }
+  _browser.idleTimer = setTimeout(() => {
+    if (_browser.pending === 0 && _browser.pinned === 0 && _chats.size === 0) closeBrowser();
+  }, BROWSER_IDLE_MS);
+  _browser.idleTimer.unref(); // never keep the process alive just to close Chrome
+}
+
+const isBrowserGone = err => /Target (page, context or browser )?(has been )?closed|Browser has been closed|browser has disconnected|Target crashed/i.test(String(err?.message || err));
+
+/** Runs `task` after every operation queued before it. */
+function enqueue(task) {
+  clearTimeout(_browser.idleTimer);
+  _browser.pending++;
 
-async function withNotebookPage(notebookUrl, fn) {
-  const { context, tempDir } = await openPersistentContext();
+  const result = _browser.queue.then(task);
+  _browser.queue = result.catch(() => {}).finally(() => {
+    _browser.pending--;
+    scheduleIdleClose();
+  });
+  return result;
+}
 
+/**
+ * Queues `fn(context)` against the pooled browser. Operations run one at a
+ * time, in call order. If the browser dies mid-operation, it is relaunched
+ * and the operation retried once — `fn` runs again from the start, so an
+ * operation that changes the notebook step by step must skip the steps it
+ * already finished (see addTextSources()).
+ */
+function withBrowser(fn) {
+  return enqueue(async () => {
+    try {
+      return await fn(await getContext());
+    } catch (err) {
+      if (!isBrowserGone(err)) throw err;
+      process.stderr.write('[digital-pm-mcp] Browser closed unexpectedly — relaunching and retrying once...\n');
+      if (_browser.current) await closeBrowser();
+      return fn(await getContext());
+    }
+  });
+}
+
+/**
+ * Keeps the pooled browser open for the whole of `fn` (no idle shutdown in
+ * between calls) and closes it when the outermost session ends. Used by the
+ * standalone sync runner so a batch shares one browser and the process exits
+ * cleanly afterwards.
+ */
+export async function withBrowserSession(fn) {
+  _browser.pinned++;
+  clearTimeout(_browser.idleTimer);
   try {
-    const page = await context.newPage();
+    return await fn();
+  } finally {
+    _browser.pinned--;
+    if (_browser.pinned === 0) {
+      await _browser.queue;
+      await closeBrowser();
+    }
+  }
+}
 
+// ── Browser helper ────────────────────────────────────────────────────────────
+
+/**
+ * Runs `fn(page)` on a freshly opened notebook page. Aborting `signal` closes
+ * the page, so whatever step `fn` is waiting on fails at once, and the
+ * operation rejects with CancelledError instead of being retried.
+ */
+async function withNotebookPage(notebookUrl, fn, { signal = null } = {}) {
+  return withBrowser(async (context) => {
+    throwIfAborted(signal);
+    const page    = await openNotebookPage(context, notebookUrl);
+    const onAbort = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      throwIfAborted(signal);
+      return await fn(page);
+    } catch (err) {
+      if (signal?.aborted) throw new CancelledError();
+      throw err;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new CancelledError();
+}
+
+/** Opens `notebookUrl` in a new page of `context` and waits until it is ready. */
+async function openNotebookPage(context, notebookUrl) {
+  const page = await context.newPage();
+  try {
     // Navigate to notebook
     await page.goto(notebookUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
 
     // Wait for the chat input to confirm we're authenticated and the notebook is ready
-    await page.waitForSelector('textarea.query-box-input', { timeout: TIMEOUT, state: 'visible' });
+    await waitForNotebookReady(page);
 
     // Allow Angular/Material animations to settle (new notebooks auto-open "Add sources" modal)
     await page.waitForTimeout(1500);
+    return page;
+  } catch (err) {
+    await page.close().catch(() => {});
+    throw err;
+  }
+}
 
-    return await fn(page);
-  } finally {
-    await context.close();
-    // Clean up isolated clone if we created one
-    if (tempDir) {
-      try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
-    }
+// ── Auth detection ────────────────────────────────────────────────────────────
+// A signed-out or expired profile lands on Google sign-in (or the public
+// notebooklm.google marketing page) instead of the app. Detecting that early
+// turns a 30-second selector timeout into an AuthRequiredError.
+
+const NOTEBOOKLM_HOME = 'https://notebooklm.google.com/';
+
+function isSignInUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return hostname === 'accounts.google.com'
+      || hostname === 'notebooklm.google'
+      || /\/(signin|ServiceLogin)\b/i.test(pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Waits for the notebook chat input, failing fast with AuthRequiredError if
+ * the page is redirected to sign-in along the way.
+ */
+async function waitForNotebookReady(page) {
+  const deadline = Date.now() + TIMEOUT;
+  while (Date.now() < deadline) {
+    if (isSignInUrl(page.url())) throw new AuthRequiredError(undefined, { url: page.url() });
+    const ready = await findStep(page, 'queryInput').catch(() => null);
+    if (ready) return;
+    await page.waitForTimeout(500);
   }
+  if (isSignInUrl(page.url())) throw new AuthRequiredError(undefined, { url: page.url() });
+  throw new Error(`Timed out waiting for the notebook to load (no chat input at ${page.url()})`);
+}
+
+/**
+ * Opens the NotebookLM home page in the pooled browser and reports whether the
+ * profile is signed in.
+ *
+ * @returns {Promise<{ authenticated: boolean, url: string }>}
+ */
+export async function probeAuth() {
+  return withBrowser(async (context) => {
+    const page = await context.newPage();
+    try {
+      await page.goto(NOTEBOOKLM_HOME, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+      await page.waitForTimeout(3000); // let any sign-in redirect happen
+      const url = page.url();
+      return { authenticated: !isSignInUrl(url) && new URL(url).hostname === 'notebooklm.google.com', url };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Opens a visible browser window on NotebookLM so the user can sign in to
+ * Google, and waits until the app loads (or `timeoutMs` passes). The pooled
+ * headless browser is closed first so the profile isn't locked.
+ *
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<{ authenticated: boolean, alreadySignedIn: boolean, url: string }>}
+ */
+export async function loginInteractive({ timeoutMs = 5 * 60_000 } = {}) {
+  return enqueue(async () => {
+    await closeBrowser();
+
+    const opened = await openPersistentContext(false);
+    try {
+      if (opened.tempDir) {
+        throw new Error(
+          'The Chrome profile is in use by another process, so a sign-in would be lost. ' +
+          'Wait for any running sync (or another digital-pm-mcp server) to finish and try again.'
+        );
+      }
+
+      const page = opened.context.pages()[0] ?? await opened.context.newPage();
+      await page.goto(NOTEBOOKLM_HOME, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+      await page.waitForTimeout(3000);
+
+      const signedIn = () => {
+        const url = page.url();
+        return !isSignInUrl(url) && url.startsWith(NOTEBOOKLM_HOME);
+      };
+      if (signedIn()) return { authenticated: true, alreadySignedIn: true, url: page.url() };
+
+      process.stderr.write('[digital-pm-mcp] Waiting for Google sign-in in the browser window...\n');
+      const deadline = Date.now() + timeoutMs;
+      try {
+        while (Date.now() < deadline) {
+          if (signedIn()) {
+            await page.waitForTimeout(3000); // let the session cookies settle
+            return { authenticated: true, alreadySignedIn: false, url: page.url() };
+          }
+          await page.waitForTimeout(1000);
+        }
+      } catch (err) {
+        if (page.isClosed() || isBrowserGone(err)) throw new Error('The sign-in window was closed before sign-in finished');
+        throw err;
+      }
+      return { authenticated: false, alreadySignedIn: false, url: page.url() };
+    } finally {
+      await closeContext(opened);
+    }
+  });
 }
 
 // ── Create a new notebook ─────────────────────────────────────────────────────
@@ -179,102 +559,68 @@ async function withNotebookPage(notebookUrl, fn) {
  * @returns {Promise<string>} The canonical URL of the newly created notebook
  */
 export async function createNotebook() {
-  const { context, tempDir } = await openPersistentContext();
-
-  try {
+  return withBrowser(async (context) => {
     const page = await context.newPage();
 
-    // Navigate to the NotebookLM home page
-    await page.goto('https://notebooklm.google.com/', {
-      waitUntil: 'domcontentloaded',
-      timeout:   TIMEOUT,
-    });
-
-    // Wait for the Angular SPA to finish rendering
-    await page.waitForTimeout(3000);
-
-    // Find and click the "New notebook" button — tolerant of UI variations
-    const clicked = await page.evaluate(() => {
-      const candidates = Array.from(
-        document.querySelectorAll('button, a, [role="button"], mat-card, .new-notebook-card')
-      );
-      const target = candidates.find(el => {
-        const text = (el.textContent || '').toLowerCase().trim();
-        const aria = (el.getAttribute('aria-label') || '').toLowerCase();
-        return (
-          text === 'new notebook'         ||
-          text === 'create notebook'      ||
-          text === 'new'                  ||
-          aria.includes('new notebook')   ||
-          aria.includes('create notebook')
-        );
+    try {
+      // Navigate to the NotebookLM home page
+      await page.goto('https://notebooklm.google.com/', {
+        waitUntil: 'domcontentloaded',
+        timeout:   TIMEOUT,
       });
-      if (target) { target.click(); return true; }
-      return false;
-    });
 
-    if (!clicked) {
-      throw new Error(
-        'Could not find "New notebook" button on notebooklm.google.com. ' +
-        'Make sure notebooklm-mcp is authenticated (run setup_auth first).'
-      );
-    }
-
-    // Poll until the page URL becomes a real /notebook/<uuid> URL.
-    // NotebookLM briefly shows /notebook/creating as an intermediate URL
-    // before assigning the permanent UUID — skip that transient state.
-    const deadline = Date.now() + TIMEOUT;
-    let notebookUrl = null;
-    while (Date.now() < deadline) {
-      await page.waitForTimeout(500);
-      const url = page.url();
-      if (url.includes('/notebook/') && !url.includes('/notebook/creating')) {
-        notebookUrl = url.split('?')[0]; // strip any query params
-        break;
+      // Wait for the Angular SPA to finish rendering
+      await page.waitForTimeout(3000);
+      if (isSignInUrl(page.url())) throw new AuthRequiredError(undefined, { url: page.url() });
+
+      // Find and click the "New notebook" button — tolerant of UI variations
+      await clickStep(page, 'newNotebookButton', { timeout: TIMEOUT });
+
+      // Poll until the page URL becomes a real /notebook/<uuid> URL.
+      // NotebookLM briefly shows /notebook/creating as an intermediate URL
+      // before assigning the permanent UUID — skip that transient state.
+      const deadline = Date.now() + TIMEOUT;
+      let notebookUrl = null;
+      while (Date.now() < deadline) {
+        await page.waitForTimeout(500);
+        const url = page.url();
+        if (url.includes('/notebook/') && !url.includes('/notebook/creating')) {
+          notebookUrl = url.split('?')[0]; // strip any query params
+          break;
+        }
       }
-    }
 
-    if (!notebookUrl) throw new Error('Timed out waiting for new notebook to open');
+      if (!notebookUrl) throw new Error('Timed out waiting for new notebook to open');
 
-    // Wait for the notebook to be fully loaded
-    await page.waitForSelector('textarea.query-box-input', {
-      timeout: TIMEOUT,
-      state:   'visible',
-    });
+      // Wait for the notebook to be fully loaded
+      await waitForStep(page, 'queryInput', { timeout: TIMEOUT });
 
-    return notebookUrl;
-  } finally {
-    await context.close();
-    if (tempDir) {
-      try { await fs.rm(tempDir, { recursive: true, force: true }); } catch {}
+      return notebookUrl;
+    } finally {
+      await page.close().catch(() => {});
     }
-  }
+  });
 }
 
 // ── Dismiss any blocking overlay (e.g. onboarding dialog on new notebooks) ────
 
 async function dismissBlockingOverlay(page) {
   // Check if the cdk-overlay-backdrop is blocking interactions
-  const backdropVisible = await page.evaluate(() => {
-    const backdrop = document.querySelector('.cdk-overlay-backdrop.cdk-overlay-backdrop-showing');
-    if (!backdrop) return false;
-    // Try to close any open dialog via its close button or by pressing Escape
-    const closeBtn = document.querySelector('.cdk-overlay-container button[aria-label="Close"]');
-    if (closeBtn) { closeBtn.click(); return true; }
-    return true; // backdrop exists but no close button — will press Escape
-  });
+  const backdropVisible = !!(await findStep(page, 'overlayBackdrop', { visible: false }));
 
   if (backdropVisible) {
+    // Try to close the dialog via its close button, then press Escape anyway
+    if (await findStep(page, 'dialogCloseButton', { visible: false })) {
+      await clickStep(page, 'dialogCloseButton', { timeout: 5000 }).catch(() => {});
+    }
+
     // Press Escape to close modal dialogs
     await page.keyboard.press('Escape');
     await page.waitForTimeout(800);
 
     // Wait for backdrop to disappear
     try {
-      await page.waitForSelector('.cdk-overlay-backdrop.cdk-overlay-backdrop-showing', {
-        timeout: 5000,
-        state:   'hidden',
-      });
+      await waitForStep(page, 'overlayBackdrop', { timeout: 5000, state: 'hidden' });
     } catch { /* backdrop may have already gone */ }
   }
 }
@@ -285,21 +631,76 @@ async function openAddSourcesDialog(page) {
   // On newly created notebooks NotebookLM auto-opens the "Add sources" dialog,
   // which puts up a backdrop that blocks the "Add source" sidebar button.
   // Detect the backdrop: if it's present the dialog is already open.
-  const backdropPresent = await page.evaluate(() =>
-    !!document.querySelector('.cdk-overlay-backdrop.cdk-overlay-backdrop-showing')
-  );
+  const backdropPresent = !!(await findStep(page, 'overlayBackdrop', { visible: false }));
 
   if (!backdropPresent) {
     // Dialog is not open — click the "+ Add sources" button to open it
-    await page.waitForSelector('button[aria-label="Add source"]', { timeout: TIMEOUT, state: 'visible' });
-    await page.click('button[aria-label="Add source"]');
+    await clickStep(page, 'addSourceButton', { timeout: TIMEOUT });
   }
 
   // Wait for the source-type buttons (Copied text, Websites, etc.)
-  await page.waitForSelector('.cdk-overlay-container button.drop-zone-icon-button', {
-    timeout: TIMEOUT,
-    state:   'visible',
-  });
+  await waitForStep(page, 'sourceTypeButton', { timeout: TIMEOUT });
+}
+
+// ── Sources panel: list + delete ──────────────────────────────────────────────
+// Each source in the left-hand panel is a row (sourceRow) with a title, a type
+// icon and a "More" (⋮) button whose menu contains "Remove source".
+
+/** Normalizes a source title / label for comparison (case, whitespace, leading "#"). */
+function normalizeTitle(text) {
+  return String(text || '').replace(/^#+\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Reads the sources panel.
+ * @returns {Promise<Array<{ index: number, title: string, icon: string }>>}
+ */
+async function listSourcesOnPage(page) {
+  return page.evaluate(({ row, title, icon }) => {
+    return Array.from(document.querySelectorAll(row)).map((el, index) => ({
+      index,
+      title: (el.querySelector(title)?.textContent || el.getAttribute('aria-label') || '').trim(),
+      icon:  (el.querySelector(icon)?.textContent || '').trim(),
+    }));
+  }, { row: stepSelector('sourceRow'), title: stepSelector('sourceTitle'), icon: stepSelector('sourceIcon') });
+}
+
+/** Opens the ⋮ menu of the source at `index` in the panel. */
+async function openSourceMenu(page, index) {
+  const row = page.locator(stepSelector('sourceRow')).nth(index);
+  await row.hover();
+  await row.locator(stepSelector('sourceMoreButton')).first().click({ timeout: TIMEOUT });
+}
+
+/** Removes the source at `index` in the panel via ⋮ → "Remove source" → "Delete". */
+async function deleteSourceAtIndex(page, index) {
+  await openSourceMenu(page, index);
+
+  // "Remove source" lives in a cdk overlay menu
+  await clickStep(page, 'removeSourceMenuItem', { timeout: TIMEOUT });
+
+  // Confirm dialog: "Delete"
+  await clickStep(page, 'confirmDeleteButton', { timeout: TIMEOUT });
+
+  await page.waitForTimeout(1500);
+}
+
+/**
+ * Deletes the sources whose title matches `predicate`, one at a time and in
+ * panel order (oldest first) — at most `limit` of them. The panel re-renders
+ * after each removal, so it is re-read every pass.
+ *
+ * @returns {Promise<number>} number of sources removed
+ */
+async function deleteSourcesOnPage(page, predicate, { limit = Infinity } = {}) {
+  let removed = 0;
+  while (removed < limit) {
+    const target = (await listSourcesOnPage(page)).find(predicate);
+    if (!target) return removed;
+    await deleteSourceAtIndex(page, target.index);
+    removed++;
+  }
+  return removed;
 }
 
 // ── PUBLIC: Add text as a "Copied text" source ────────────────────────────────
@@ -307,47 +708,153 @@ async function openAddSourcesDialog(page) {
 /**
  * Adds a block of text as a permanent "Copied text" source in the notebook.
  *
- * @param {string} label       - Short title for the source (≤ 100 chars)
- * @param {string} content     - The text to store as a source
- * @param {string} notebookUrl - NotebookLM notebook share URL
+ * In replace mode, the sources already titled with the same label are deleted
+ * once the new one is in, so recurring summaries (codebase snapshot, research summary, ROADMAP.md) exist
+ * exactly once instead of piling up against NotebookLM's per-notebook source cap.
+ *
+ * @param {string} label            - Short title for the source (≤ 100 chars)
+ * @param {string} content          - The text to store as a source
+ * @param {string} notebookUrl      - NotebookLM notebook share URL
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Delete the older same-titled sources after inserting
+ * @param {AbortSignal} [options.signal]    - Aborts the visit (rejects with CancelledError)
+ * @returns {Promise<{ removed: number }>}
  */
-export async function addTextSource(label, content, notebookUrl) {
+export async function addTextSource(label, content, notebookUrl, { replace = false, signal = null } = {}) {
+  return withNotebookPage(notebookUrl, page => insertTextSourceOnPage(page, label, content, replace), { signal });
+}
+
+/**
+ * Adds several "Copied text" sources in one notebook visit — the notebook is
+ * loaded once and the "Add sources" dialog reopened per item. Each item
+ * succeeds or fails on its own, so one bad source doesn't abort the rest.
+ * If the browser crashes mid-batch, the relaunched visit resumes at the item
+ * that was interrupted instead of inserting the finished ones again.
+ * Throws only if the notebook itself can't be opened.
+ *
+ * @param {Array<{ label: string, content: string, replace?: boolean }>} items
+ * @param {string} notebookUrl      - NotebookLM notebook share URL
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Default replace mode for items that don't set one
+ * @param {AbortSignal} [options.signal]    - Stops the batch (rejects with CancelledError)
+ * @param {(item: object, index: number) => void} [options.onItem] - Called before each item is inserted
+ * @returns {Promise<Array<{ label: string, ok: boolean, removed: number, error: string|null }>>}
+ */
+export async function addTextSources(items, notebookUrl, { replace = false, signal = null, onItem = null } = {}) {
+  if (items.length === 0) return [];
+
+  // Kept across withBrowser()'s crash retry — one result per finished item
+  const results = [];
+  try {
+    return await withNotebookPage(notebookUrl, async (page) => {
+      for (let index = results.length; index < items.length; index++) {
+        const item = items[index];
+        throwIfAborted(signal);
+        onItem?.(item, index);
+        try {
+          const { removed } = await insertTextSourceOnPage(page, item.label, item.content, item.replace ?? replace);
+          results.push({ label: item.label, ok: true, removed, error: null });
+        } catch (err) {
+          throwIfAborted(signal);
+          // The browser is gone: the relaunched visit picks up from this item
+          if (isBrowserGone(err)) throw err;
+          results.push({ label: item.label, ok: false, removed: 0, error: err.message });
+          // Close whatever dialog the failed item left open before the next one
+          try {
+            await dismissBlockingOverlay(page);
+            await dismissBlockingOverlay(page);
+          } catch { /* next item reports its own failure */ }
+        }
+      }
+      return results;
+    }, { signal });
+  } catch (err) {
+    // Crashed again after the retry: keep what finished, fail the rest
+    if (!isBrowserGone(err)) throw err;
+    for (const item of items.slice(results.length)) {
+      results.push({ label: item.label, ok: false, removed: 0, error: err.message });
+    }
+    return results;
+  }
+}
+
+/**
+ * Inserts one "Copied text" source on an open notebook page.
+ *
+ * In replace mode the older copies are only deleted after the insert went
+ * through — if the dialog, fill or Insert step fails, the notebook keeps them.
+ * They are counted up front and removed oldest first, so the copy just added
+ * (the newest, last in the panel) survives.
+ */
+async function insertTextSourceOnPage(page, label, content, replace) {
   // Prepend a heading so the source is identifiable in the sources panel
   const sourceContent = `# ${label}\n\n${content}`;
+  const wanted        = normalizeTitle(label);
+  const sameTitle     = s => normalizeTitle(s.title) === wanted;
 
-  await withNotebookPage(notebookUrl, async (page) => {
-    await openAddSourcesDialog(page);
+  let older = 0;
+  if (replace) {
+    await dismissBlockingOverlay(page);
+    older = (await listSourcesOnPage(page)).filter(sameTitle).length;
+  }
 
-    // Click "Copied text"
-    await page.evaluate(() => {
-      const overlay = document.querySelector('.cdk-overlay-container');
-      const btn = Array.from(overlay.querySelectorAll('button.drop-zone-icon-button'))
-        .find(b => b.textContent.includes('Copied text'));
-      if (!btn) throw new Error('Copied text button not found');
-      btn.click();
-    });
+  await openAddSourcesDialog(page);
 
-    // Fill the textarea
-    await page.waitForSelector('textarea.copied-text-input-textarea', { timeout: TIMEOUT, state: 'visible' });
-    await page.fill('textarea.copied-text-input-textarea', sourceContent);
-
-    // Click Insert
-    await page.evaluate(() => {
-      const overlay = document.querySelector('.cdk-overlay-container');
-      const btn = Array.from(overlay.querySelectorAll('button'))
-        .find(b => b.textContent.trim() === 'Insert');
-      if (!btn) throw new Error('Insert button not found');
-      btn.click();
-    });
+  // Click "Copied text", fill the textarea, click Insert
+  await clickStep(page, 'copiedTextOption', { timeout: TIMEOUT });
+  await fillStep(page, 'copiedTextInput', sourceContent, { timeout: TIMEOUT });
+  await clickStep(page, 'insertButton', { timeout: TIMEOUT });
 
-    // Wait for dialog to close (source is being processed)
-    await page.waitForSelector('.cdk-overlay-container button.drop-zone-icon-button', {
-      timeout: TIMEOUT,
-      state:   'hidden',
-    });
+  // Wait for dialog to close (source is being processed)
+  await waitForStep(page, 'sourceTypeButton', { timeout: TIMEOUT, state: 'hidden' });
 
-    // Small buffer to let NotebookLM register the source
-    await page.waitForTimeout(2000);
+  // Small buffer to let NotebookLM register the source
+  await page.waitForTimeout(2000);
+
+  if (older === 0) return { removed: 0 };
+  try {
+    return { removed: await deleteSourcesOnPage(page, sameTitle, { limit: older }) };
+  } catch (err) {
+    throw new Error(`Source added, but removing its older cop${older === 1 ? 'y' : 'ies'} failed: ${err.message}`);
+  }
+}
+
+// ── PUBLIC: List / prune sources ──────────────────────────────────────────────
+
+/**
+ * Lists the notebook's sources in panel order (oldest first).
+ *
+ * @param {string} notebookUrl - NotebookLM notebook URL
+ * @returns {Promise<Array<{ index: number, title: string, icon: string }>>}
+ */
+export async function listSources(notebookUrl) {
+  return withNotebookPage(notebookUrl, async (page) => {
+    await dismissBlockingOverlay(page);
+    return listSourcesOnPage(page);
+  });
+}
+
+/**
+ * Lists the notebook's sources, lets `select(sources)` pick the ones to delete,
+ * and deletes them in the same page session. Deletes from the bottom of the panel
+ * up so the remaining indices stay valid.
+ *
+ * @param {string} notebookUrl
+ * @param {(sources: Array<{ index: number, title: string, icon: string }>) => Array<{ index: number }>} select
+ * @returns {Promise<{ sources: object[], removed: object[] }>}
+ */
+export async function pruneSources(notebookUrl, select) {
+  return withNotebookPage(notebookUrl, async (page) => {
+    await dismissBlockingOverlay(page);
+    const sources = await listSourcesOnPage(page);
+    const targets = [...select(sources)].sort((a, b) => b.index - a.index);
+
+    const removed = [];
+    for (const target of targets) {
+      await deleteSourceAtIndex(page, target.index);
+      removed.push(target);
+    }
+    return { sources, removed };
   });
 }
 
@@ -359,8 +866,9 @@ export async function addTextSource(label, content, notebookUrl) {
  *
  * @param {string[]} urls      - Array of URLs to add (one batch per call)
  * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @param {{ signal?: AbortSignal }} [options] - aborting rejects with CancelledError
  */
-export async function addUrlSources(urls, notebookUrl) {
+export async function addUrlSources(urls, notebookUrl, { signal = null } = {}) {
   if (!urls || urls.length === 0) return;
 
   // NotebookLM accepts multiple URLs pasted one-per-line
@@ -369,36 +877,16 @@ export async function addUrlSources(urls, notebookUrl) {
   await withNotebookPage(notebookUrl, async (page) => {
     await openAddSourcesDialog(page);
 
-    // Click "Websites"
-    await page.evaluate(() => {
-      const overlay = document.querySelector('.cdk-overlay-container');
-      const btn = Array.from(overlay.querySelectorAll('button.drop-zone-icon-button'))
-        .find(b => b.textContent.includes('Websites'));
-      if (!btn) throw new Error('Websites button not found');
-      btn.click();
-    });
-
-    // Fill the URL textarea (placeholder: "Paste any links")
-    await page.waitForSelector('.cdk-overlay-container textarea', { timeout: TIMEOUT, state: 'visible' });
-    await page.fill('.cdk-overlay-container textarea', urlBlock);
-
-    // Click Insert
-    await page.evaluate(() => {
-      const overlay = document.querySelector('.cdk-overlay-container');
-      const btn = Array.from(overlay.querySelectorAll('button'))
-        .find(b => b.textContent.trim() === 'Insert');
-      if (!btn) throw new Error('Insert button not found');
-      btn.click();
-    });
+    // Click "Websites", fill the URL textarea (placeholder: "Paste any links"), click Insert
+    await clickStep(page, 'websitesOption', { timeout: TIMEOUT });
+    await fillStep(page, 'urlInput', urlBlock, { timeout: TIMEOUT });
+    await clickStep(page, 'insertButton', { timeout: TIMEOUT });
 
     // Wait for dialog to close
-    await page.waitForSelector('.cdk-overlay-container button.drop-zone-icon-button', {
-      timeout: TIMEOUT,
-      state:   'hidden',
-    });
+    await waitForStep(page, 'sourceTypeButton', { timeout: TIMEOUT, state: 'hidden' });
 
     await page.waitForTimeout(2000);
-  });
+  }, { signal });
 }
 
 // ── PUBLIC: Query the notebook chat ───────────────────────────────────────────
@@ -411,101 +899,420 @@ export async function addUrlSources(urls, notebookUrl) {
  * Algorithm mirrors notebooklm-mcp's waitForLatestAnswer:
  *  1. Snapshot existing responses so we know what to ignore
  *  2. Type + Enter the question
- *  3. Poll for new .to-user-container .message-text-content elements
- *  4. Wait for div.thinking-message to clear, then require 3 stable polls
+ *  3. Poll for new responseContainer → responseText elements (see selectors.js)
+ *  4. Wait for the thinkingIndicator to clear, then require 3 stable polls
+ *  5. Hover each citation chip in the answer to read its source and passage
+ *
+ * With `sessionId` the question goes to that chat session's page (see Chat
+ * sessions below), so it continues the same NotebookLM conversation; `reset`
+ * starts the session over on a fresh page first.
  *
  * @param {string} question    - The question to ask
  * @param {string} notebookUrl - NotebookLM notebook URL
- * @returns {Promise<string>}  - The AI response text
+ * @param {{ sessionId?: string, reset?: boolean }} [options]
+ * @returns {Promise<{
+ *   answer: string,
+ *   citations: Array<{ number: number, source: string|null, quote: string|null }>,
+ *   session: { id: string, turn: number, restarted: boolean }|null,
+ * }>} The answer text, with citation chips written as `[n]`, and what each `[n]` cites
  */
-export async function queryNotebook(question, notebookUrl) {
-  const POLL_MS      = 1_000;
-  const STABLE_POLLS = 3;
+export async function queryNotebook(question, notebookUrl, { sessionId = null, reset = false } = {}) {
+  if (sessionId) return queryInSession(question, notebookUrl, sessionId, reset);
+  return withNotebookPage(notebookUrl, async page => ({ ...await askOnPage(page, question), session: null }));
+}
+
+/** Asks `question` on an open notebook page — steps 1–5 above. */
+async function askOnPage(page, question) {
+  const POLL_MS       = 1_000;
+  const STABLE_POLLS  = 3;
   const QUERY_TIMEOUT = 120_000; // 2 minutes
+  const RESPONSE      = stepSelector('responseContainer');
+  const RESPONSE_TEXT = stepSelector('responseText');
+  const THINKING      = stepSelector('thinkingIndicator');
 
-  return withNotebookPage(notebookUrl, async (page) => {
-    // ── Dismiss any blocking overlay (add-sources dialog auto-opens on new notebooks)
-    await dismissBlockingOverlay(page);
+  // ── Dismiss any blocking overlay (add-sources dialog auto-opens on new notebooks)
+  await dismissBlockingOverlay(page);
+
+  // ── 1. Snapshot existing responses to know what's already on the page ────
+  const existingTexts = new Set();
+  try {
+    const containers = await page.$$(RESPONSE);
+    for (const c of containers) {
+      try {
+        const el = await c.$(RESPONSE_TEXT);
+        if (el) {
+          const text = (await el.innerText()).trim();
+          if (text) existingTexts.add(text);
+        }
+      } catch { /* skip */ }
+    }
+  } catch { /* no existing responses — that's fine */ }
 
-    // ── 1. Snapshot existing responses to know what's already on the page ────
-    const existingTexts = new Set();
+  process.stderr.write(
+    `[digital-pm-mcp] Asking NotebookLM (${existingTexts.size} prior response(s) to skip)…\n`
+  );
+
+  // ── 2. Type the question and submit with Enter ────────────────────────────
+  await clickStep(page, 'queryInput', { timeout: TIMEOUT });
+  await fillStep(page, 'queryInput', question, { timeout: TIMEOUT });
+  await page.waitForTimeout(300);
+  await page.keyboard.press('Enter');
+
+  // ── 3. Wait for new stable response ──────────────────────────────────────
+  // - Skip while the thinking indicator is visible (NotebookLM is still generating)
+  // - Poll the response containers for text not in existingTexts
+  // - Require STABLE_POLLS consecutive identical readings before returning
+  const deadline     = Date.now() + QUERY_TIMEOUT;
+  let lastCandidate  = null;
+  let stableCount    = 0;
+
+  while (Date.now() < deadline) {
+    // Wait while the "thinking" indicator is visible
+    try {
+      const thinking = await page.$(THINKING);
+      if (thinking && await thinking.isVisible()) {
+        await page.waitForTimeout(POLL_MS);
+        continue;
+      }
+    } catch { /* ignore */ }
+
+    // Scan all response containers for NEW text (not in existingTexts)
+    let candidate   = null;
+    let candidateEl = null;
     try {
-      const containers = await page.$$('.to-user-container');
+      const containers = await page.$$(RESPONSE);
       for (const c of containers) {
         try {
-          const el = await c.$('.message-text-content');
+          const el = await c.$(RESPONSE_TEXT);
           if (el) {
             const text = (await el.innerText()).trim();
-            if (text) existingTexts.add(text);
+            // Take the LAST new container — it's the most recent response
+            if (text && !existingTexts.has(text)) {
+              candidate   = text;
+              candidateEl = el;
+            }
           }
-        } catch { /* skip */ }
+        } catch { /* skip this container */ }
       }
-    } catch { /* no existing responses — that's fine */ }
+    } catch { /* ignore page errors */ }
+
+    if (candidate) {
+      if (candidate === lastCandidate) {
+        stableCount++;
+        if (stableCount >= STABLE_POLLS) {
+          const result = await readAnswer(page, candidateEl, candidate);
+          process.stderr.write(
+            `[digital-pm-mcp] ✅ NotebookLM response received (${result.answer.length} chars, ${result.citations.length} citation(s))\n`
+          );
+          return result;
+        }
+      } else {
+        stableCount   = 1;
+        lastCandidate = candidate;
+      }
+    } else {
+      stableCount = 0;
+    }
 
-    process.stderr.write(
-      `[digital-pm-mcp] Asking NotebookLM (${existingTexts.size} prior response(s) to skip)…\n`
-    );
+    await page.waitForTimeout(POLL_MS);
+  }
 
-    // ── 2. Type the question and submit with Enter ────────────────────────────
-    await page.click('textarea.query-box-input');
-    await page.fill('textarea.query-box-input', question);
-    await page.waitForTimeout(300);
-    await page.keyboard.press('Enter');
-
-    // ── 3. Wait for new stable response ──────────────────────────────────────
-    // - Skip while div.thinking-message is visible (NotebookLM is still generating)
-    // - Poll .to-user-container .message-text-content for text not in existingTexts
-    // - Require STABLE_POLLS consecutive identical readings before returning
-    const deadline     = Date.now() + QUERY_TIMEOUT;
-    let lastCandidate  = null;
-    let stableCount    = 0;
-
-    while (Date.now() < deadline) {
-      // Wait while the "thinking" indicator is visible
-      try {
-        const thinking = await page.$('div.thinking-message');
-        if (thinking && await thinking.isVisible()) {
-          await page.waitForTimeout(POLL_MS);
-          continue;
-        }
-      } catch { /* ignore */ }
+  throw new Error('Timeout: NotebookLM did not respond within 2 minutes');
+}
+
+// ── Chat sessions ─────────────────────────────────────────────────────────────
+// A session keeps one notebook page open in the pooled browser between
+// questions, so follow-ups continue the same NotebookLM conversation. While
+// any session is open the browser is not idle-closed. Sessions end with
+// endChatSession() or after DIGITAL_PM_CHAT_IDLE_SECONDS without a question
+// (default 900). A page lost to an error or a browser crash is reopened on
+// the next question, reported as `restarted` — the earlier turns are gone.
 
-      // Scan all response containers for NEW text (not in existingTexts)
-      let candidate = null;
+const CHAT_IDLE_MS = 1000 * Math.max(60, Number(process.env.DIGITAL_PM_CHAT_IDLE_SECONDS ?? 900) || 900);
+
+const _chats = new Map(); // session id → { notebookUrl, page, turns, lastUsed, timer }
+
+/** (Re)starts the idle timer that ends a session nobody is asking in. */
+function touchChat(sessionId, chat) {
+  clearTimeout(chat.timer);
+  chat.lastUsed = Date.now();
+  chat.timer    = setTimeout(() => { endChatSession(sessionId).catch(() => {}); }, CHAT_IDLE_MS);
+  chat.timer.unref();
+}
+
+async function closeChatPage(chat) {
+  const page = chat.page;
+  chat.page  = null;
+  if (page) await page.close().catch(() => {});
+}
+
+async function queryInSession(question, notebookUrl, sessionId, reset) {
+  return withBrowser(async (context) => {
+    let chat = _chats.get(sessionId);
+
+    // Reset, or the same id reused for another notebook: start over
+    if (chat && (reset || chat.notebookUrl !== notebookUrl)) {
+      clearTimeout(chat.timer);
+      await closeChatPage(chat);
+      _chats.delete(sessionId);
+      chat = null;
+    }
+    if (!chat) {
+      chat = { notebookUrl, page: null, turns: 0, lastUsed: Date.now(), timer: null };
+      _chats.set(sessionId, chat);
+    }
+    touchChat(sessionId, chat);
+
+    let restarted = false;
+    if (!chat.page || chat.page.isClosed()) {
+      restarted  = chat.turns > 0;
+      chat.turns = 0;
+      chat.page  = await openNotebookPage(context, notebookUrl);
+    }
+
+    try {
+      const result = await askOnPage(chat.page, question);
+      chat.turns++;
+      return { ...result, session: { id: sessionId, turn: chat.turns, restarted } };
+    } catch (err) {
+      // A page left in an unknown state can't carry the thread on — the next question reopens it
+      await closeChatPage(chat);
+      throw err;
+    }
+  });
+}
+
+/**
+ * Ends a chat session and closes its page.
+ * @returns {Promise<{ id: string, turns: number, notebookUrl: string }|null>} null if no such session
+ */
+export async function endChatSession(sessionId) {
+  const chat = _chats.get(sessionId);
+  if (!chat) return null;
+  _chats.delete(sessionId);
+  clearTimeout(chat.timer);
+  await enqueue(() => closeChatPage(chat)); // never close a page mid-question
+  return { id: sessionId, turns: chat.turns, notebookUrl: chat.notebookUrl };
+}
+
+/** Open chat sessions, most recently used first. */
+export function listChatSessions() {
+  return [..._chats.entries()]
+    .map(([id, chat]) => ({ id, notebookUrl: chat.notebookUrl, turns: chat.turns, lastUsed: new Date(chat.lastUsed) }))
+    .sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
+// ── Citations ─────────────────────────────────────────────────────────────────
+// NotebookLM renders citations as numbered chips inside the answer; hovering
+// one shows a popover with the source title and the cited passage.
+
+const MAX_CITATIONS = 25; // distinct chips read per answer
+
+/**
+ * Reads a finished answer: its text with every citation chip written as
+ * `[n]`, and the source + passage behind each distinct chip. Citation
+ * scraping never fails the query — on error the answer comes back without them.
+ */
+async function readAnswer(page, answerEl, fallbackText) {
+  const markerSel = stepSelector('citationMarker');
+
+  let answer = fallbackText;
+  try {
+    // Chips render as bare digits ("…onboarding 1.") — bracket them while reading the text
+    answer = (await answerEl.evaluate((el, sel) => {
+      const markers = Array.from(el.querySelectorAll(sel));
+      const saved   = markers.map(m => m.innerHTML);
+      markers.forEach(m => { m.textContent = `[${m.textContent.trim()}]`; });
       try {
-        const containers = await page.$$('.to-user-container');
-        for (const c of containers) {
-          try {
-            const el = await c.$('.message-text-content');
-            if (el) {
-              const text = (await el.innerText()).trim();
-              // Take the LAST new container — it's the most recent response
-              if (text && !existingTexts.has(text)) candidate = text;
-            }
-          } catch { /* skip this container */ }
-        }
-      } catch { /* ignore page errors */ }
-
-      if (candidate) {
-        if (candidate === lastCandidate) {
-          stableCount++;
-          if (stableCount >= STABLE_POLLS) {
-            process.stderr.write(
-              `[digital-pm-mcp] ✅ NotebookLM response received (${candidate.length} chars)\n`
-            );
-            return candidate;
-          }
-        } else {
-          stableCount   = 1;
-          lastCandidate = candidate;
-        }
-      } else {
-        stableCount = 0;
+        return el.innerText;
+      } finally {
+        markers.forEach((m, i) => { m.innerHTML = saved[i]; });
       }
+    }, markerSel)).trim() || fallbackText;
+  } catch { /* keep the plain text */ }
 
-      await page.waitForTimeout(POLL_MS);
+  const citations = [];
+  try {
+    const seen = new Set();
+    for (const marker of await answerEl.$$(markerSel)) {
+      if (citations.length >= MAX_CITATIONS) break;
+      const number = parseInt((await marker.innerText()).replace(/\D+/g, ''), 10);
+      if (!Number.isFinite(number) || seen.has(number)) continue;
+      seen.add(number);
+      citations.push({ number, ...await readCitationPopover(page, marker) });
     }
+  } catch (err) {
+    if (isBrowserGone(err)) throw err;
+    process.stderr.write(`[digital-pm-mcp] Could not read citations: ${err.message}\n`);
+  }
 
-    throw new Error('Timeout: NotebookLM did not respond within 2 minutes');
+  return { answer, citations: citations.sort((a, b) => a.number - b.number) };
+}
+
+/** Hovers a citation chip and reads the popover it opens. */
+async function readCitationPopover(page, marker) {
+  await marker.hover({ timeout: 5000 });
+  let cited = { source: null, quote: null };
+  try {
+    await waitForStep(page, 'citationPopover', { timeout: 3000 });
+    cited = await page.evaluate(({ popover, source, quote }) => {
+      const box = Array.from(document.querySelectorAll(popover)).pop();
+      if (!box) return { source: null, quote: null };
+      const clean = text => (text || '').replace(/\s+/g, ' ').trim() || null;
+      const title = clean(box.querySelector(source)?.textContent);
+      let   body  = clean(box.querySelector(quote)?.textContent);
+      if (!body) body = clean(box.textContent.replace(title ?? '', ''));
+      return { source: title, quote: body };
+    }, { popover: stepSelector('citationPopover'), source: stepSelector('citationSource'), quote: stepSelector('citationQuote') });
+  } catch (err) {
+    if (isBrowserGone(err)) throw err;
+    // No popover for this chip — keep the number without details
+  }
+  await page.mouse.move(0, 0).catch(() => {});
+  await page.waitForTimeout(200);
+  return cited;
+}
+
+// ── PUBLIC: UI diagnostics (digitalPM_doctor) ─────────────────────────────────
+
+/**
+ * Walks SCREENS (selectors.js) and resolves every step on each one.
+ *
+ * Live mode opens the home page and `notebookUrl`, hovers a citation chip in
+ * the chat, then opens the "Add sources" dialog, its Copied text and Websites
+ * forms and the first source's ⋮ menu — without inserting or removing anything. The delete confirmation is never
+ * opened live. Fixture mode loads `<fixtureDir>/<screen>.html` instead, with
+ * all network requests blocked, and needs no sign-in. `captureDir` saves each
+ * live screen's DOM (scripts stripped) as a fixture for later offline runs.
+ *
+ * @param {{ notebookUrl?: string, fixtureDir?: string, captureDir?: string }} options
+ * @returns {Promise<Array<{
+ *   screen: string, source: string|null, skipped: string|null, error: string|null,
+ *   steps: Array<{ step: string, description: string, optional: boolean, match: { index: number, selector: string }|null }>,
+ * }>>}
+ */
+export async function diagnoseSelectors({ notebookUrl = null, fixtureDir = null, captureDir = null } = {}) {
+  return withBrowser(async (context) => {
+    const page = await context.newPage();
+    try {
+      return fixtureDir
+        ? await diagnoseFixtures(page, fixtureDir)
+        : await diagnoseLive(page, notebookUrl, captureDir);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+async function checkScreen(page, screen, { visible }) {
+  const steps = [];
+  for (const step of SCREENS[screen]) {
+    const { description, optional = false } = SELECTORS[step];
+    steps.push({ step, description, optional, match: await findStep(page, step, { visible }) });
+  }
+  return steps;
+}
+
+async function diagnoseFixtures(page, fixtureDir) {
+  await page.route('**/*', route => route.abort());
+
+  const report = [];
+  for (const screen of Object.keys(SCREENS)) {
+    const file = path.join(fixtureDir, `${screen}.html`);
+    let html;
+    try {
+      html = await fs.readFile(file, 'utf8');
+    } catch {
+      report.push({ screen, source: file, skipped: 'no fixture file', error: null, steps: [] });
+      continue;
+    }
+    await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+    report.push({ screen, source: file, skipped: null, error: null, steps: await checkScreen(page, screen, { visible: false }) });
+  }
+  return report;
+}
+
+async function diagnoseLive(page, notebookUrl, captureDir) {
+  const report = [];
+  const skip   = (screen, reason) => report.push({ screen, source: null, skipped: reason, error: null, steps: [] });
+
+  // Enters a screen, then resolves its steps whether or not entering worked —
+  // a failed step on the way in is exactly what the report is for.
+  const visit = async (screen, enter) => {
+    const entry = { screen, source: null, skipped: null, error: null, steps: [] };
+    report.push(entry);
+    try {
+      await enter();
+    } catch (err) {
+      if (err instanceof AuthRequiredError || isBrowserGone(err)) throw err;
+      entry.error = err.message.split('\n')[0];
+    }
+    entry.source = page.url();
+    entry.steps  = await checkScreen(page, screen, { visible: true });
+    if (captureDir) await captureScreen(page, captureDir, screen);
+    return !entry.error;
+  };
+  const closeDialogs = async () => {
+    try {
+      await dismissBlockingOverlay(page);
+      await dismissBlockingOverlay(page);
+    } catch { /* the next screen reports its own failure */ }
+  };
+
+  await visit('home', async () => {
+    await page.goto(NOTEBOOKLM_HOME, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+    await page.waitForTimeout(3000);
+    if (isSignInUrl(page.url())) throw new AuthRequiredError(undefined, { url: page.url() });
   });
+
+  if (!notebookUrl) {
+    for (const screen of Object.keys(SCREENS).slice(1)) skip(screen, 'no notebook_url to open');
+    return report;
+  }
+
+  await visit('notebook', async () => {
+    await page.goto(notebookUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+    await waitForNotebookReady(page);
+    await dismissBlockingOverlay(page);
+  });
+
+  const marker = page.locator(stepSelector('citationMarker')).first();
+  if (await marker.count().catch(() => 0)) {
+    await visit('citation-popover', () => marker.hover({ timeout: TIMEOUT }));
+    await page.mouse.move(0, 0).catch(() => {});
+  } else {
+    skip('citation-popover', 'no answer with citations in the chat');
+  }
+
+  const dialogOpens = await visit('add-source-dialog', () => openAddSourcesDialog(page));
+  if (dialogOpens) {
+    await visit('copied-text-dialog', () => clickStep(page, 'copiedTextOption', { timeout: TIMEOUT }));
+    await closeDialogs();
+    await visit('websites-dialog', async () => {
+      await openAddSourcesDialog(page);
+      await clickStep(page, 'websitesOption', { timeout: TIMEOUT });
+    });
+  } else {
+    skip('copied-text-dialog', 'the "Add sources" dialog did not open');
+    skip('websites-dialog',    'the "Add sources" dialog did not open');
+  }
+  await closeDialogs();
+
+  if (await findStep(page, 'sourceRow')) {
+    await visit('source-menu', () => openSourceMenu(page, 0));
+    await page.keyboard.press('Escape');
+    await page.waitForTimeout(500);
+  } else {
+    skip('source-menu', 'the notebook has no sources');
+  }
+
+  skip('delete-confirm', 'never opened live (it would remove a source) — check it against a fixture');
+  return report;
+}
+
+/** Saves the page's current DOM as `<dir>/<screen>.html`, without scripts. */
+async function captureScreen(page, dir, screen) {
+  const html = (await page.content()).replace(/<script\b[\s\S]*?<\/script>/gi, '');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${screen}.html`), html, 'utf8');
 }
@@ -0,0 +1,35 @@
+/**
+ * citations.js
+ *
+ * Markdown for the citations queryNotebook() reads from NotebookLM answers
+ * (`{ number, source, quote }` per numbered chip), shared by digitalPM_query,
+ * digitalPM_plan and digitalPM_insights so every answer shows where its claims
+ * came from.
+ */
+
+const MAX_QUOTE_CHARS = 400;
+
+/**
+ * A "References" section — one entry per citation number with the source title
+ * and the quoted passage. Returns no lines when the answer cited nothing, so
+ * callers can spread it straight into their output.
+ *
+ * @param {Array<{ number: number, source: string|null, quote: string|null }>} citations
+ * @returns {string[]}
+ */
+export function formatReferences(citations = []) {
+  if (citations.length === 0) return [];
+
+  const lines = [`### 📚 References`, ``];
+  for (const { number, source, quote } of citations) {
+    lines.push(`**[${number}]** ${source ? `_${source}_` : '_(source title not shown by NotebookLM)_'}`);
+    if (quote) lines.push(`> ${truncate(quote)}`);
+    lines.push('');
+  }
+  return lines;
+}
+
+function truncate(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_QUOTE_CHARS ? `${flat.slice(0, MAX_QUOTE_CHARS - 1)}…` : flat;
+}
@@ -0,0 +1,251 @@
+/**
+ * competitor-monitor.js
+ *
+ * Watches the pages in the competitor registry (homepage, pricing, changelog)
+ * between syncs. Each run fetches every tracked page, reduces it to visible
+ * text lines and diffs them against the previous snapshot:
+ *
+ *   .digitalpm/competitors/<competitor>.json   — last snapshot of each tracked page
+ *   .digitalpm/competitor-changes.json         — rolling log of detected changes
+ *
+ * The first fetch of a page only records a baseline. Cosmetic churn (dates,
+ * copyright lines, very short fragments) is ignored, so only meaningful edits
+ * show up as changes.
+ *
+ * Changes that mention a planned ROADMAP.md feature are reported as overlaps,
+ * which digitalPM_sync turns into [BLOCKER: Research Shift] entries.
+ *
+ * Disable with "research": { "monitor_competitors": false } in .digitalpM.json.
+ */
+
+import { createHash } from 'crypto';
+
+import { readStateFile, writeStateFile } from './config.js';
+import { getCompetitors }                from './competitors.js';
+
+const TIMEOUT_MS      = 15_000;
+const SNAPSHOT_DIR    = 'competitors';
+const CHANGES_FILE    = 'competitor-changes.json';
+const MAX_LOG_ENTRIES = 50;
+const MAX_DIFF_LINES  = 12;   // per page, in reports
+const USER_AGENT      = 'Mozilla/5.0 (compatible; digital-pm-mcp competitor monitor)';
+
+const PAGE_KINDS = {
+  homepage:      'Homepage',
+  pricing_url:   'Pricing',
+  changelog_url: 'Changelog',
+};
+
+// Lines that change without meaning anything: dates, copyright, counters
+const NOISE_LINES = [
+  /^(©|copyright\b)/i,
+  /^(updated|last updated|posted|published)\b.{0,30}$/i,
+  /^[\d\s.,:/-]+$/,
+  /^\w{1,3}$/,
+];
+
+// Words too common to signal that a change touches a roadmap feature
+const STOPWORDS = new Set([
+  'with', 'from', 'that', 'this', 'your', 'into', 'across', 'support', 'supports',
+  'feature', 'features', 'using', 'based', 'state', 'states', 'page', 'pages', 'guide',
+  'full', 'more', 'new', 'all', 'and', 'for', 'the', 'our', 'add', 'adds', 'added',
+]);
+
+export function isMonitoringEnabled(config) {
+  return config?.research?.monitor_competitors !== false;
+}
+
+// ── Fetch + text extraction ───────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/** Reduces an HTML page to its visible text, one line per block element. */
+export function htmlToLines(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template|head|nav|footer)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|main|aside|li|ul|ol|tr|td|th|table|h[1-6]|dt|dd|blockquote|pre)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, code) => {
+      if (code[0] !== '#') return ENTITIES[code.toLowerCase()] ?? m;
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    })
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+async function fetchPageLines(url) {
+  const res = await fetch(url, {
+    headers:  { 'User-Agent': USER_AGENT, 'Accept': 'text/html,text/plain;q=0.9,*/*;q=0.5' },
+    redirect: 'follow',
+    signal:   AbortSignal.timeout(TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const body = await res.text();
+  const type = res.headers.get('content-type') ?? '';
+  return type.includes('html') || /^\s*</.test(body)
+    ? htmlToLines(body)
+    : body.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+}
+
+// ── Diffing ───────────────────────────────────────────────────────────────────
+
+const isNoise = line => NOISE_LINES.some(re => re.test(line));
+
+/** Line-set diff, ignoring noise lines. Order changes alone are not changes. */
+export function diffLines(before, after) {
+  const prev = new Set(before);
+  const next = new Set(after);
+  return {
+    added:   after.filter(l => !prev.has(l) && !isNoise(l)),
+    removed: before.filter(l => !next.has(l) && !isNoise(l)),
+  };
+}
+
+const slugify = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'competitor';
+const hashLines = lines => createHash('sha256').update(lines.join('\n')).digest('hex');
+
+// ── PUBLIC: check every tracked page ──────────────────────────────────────────
+
+/**
+ * Fetches every tracked competitor page, diffs it against the stored snapshot
+ * and saves the new snapshot. Never throws for a single page — failures are
+ * collected in `errors`.
+ *
+ * @returns {Promise<{
+ *   checked: number, baselined: number,
+ *   changes: Array<{ competitor: string, page: string, url: string, added: string[], removed: string[] }>,
+ *   errors:  Array<{ competitor: string, page: string, url: string, message: string }>,
+ * }>}
+ */
+export async function checkCompetitors(projectPath, config) {
+  const outcome = { checked: 0, baselined: 0, changes: [], errors: [] };
+
+  for (const competitor of getCompetitors(config)) {
+    const file     = `${SNAPSHOT_DIR}/${slugify(competitor.name)}.json`;
+    const snapshot = await readStateFile(projectPath, file, { name: competitor.name, pages: {} });
+    let   dirty    = false;
+
+    for (const [field, page] of Object.entries(PAGE_KINDS)) {
+      const url = competitor[field];
+      if (!url) continue;
+
+      let lines;
+      try {
+        lines = await fetchPageLines(url);
+      } catch (err) {
+        process.stderr.write(`[digital-pm-mcp] Competitor page fetch failed (${url}): ${err.message}\n`);
+        outcome.errors.push({ competitor: competitor.name, page, url, message: err.message });
+        continue;
+      }
+      outcome.checked++;
+
+      const previous = snapshot.pages[field];
+      const hash     = hashLines(lines);
+      if (previous?.hash === hash && previous.url === url) continue;
+
+      if (!previous || previous.url !== url) {
+        outcome.baselined++;
+      } else {
+        const { added, removed } = diffLines(previous.lines, lines);
+        if (added.length > 0 || removed.length > 0) {
+          outcome.changes.push({ competitor: competitor.name, page, url, added, removed });
+        }
+      }
+
+      snapshot.pages[field] = { url, hash, fetched_at: new Date().toISOString(), lines };
+      dirty = true;
+    }
+
+    if (dirty) await writeStateFile(projectPath, file, snapshot);
+  }
+
+  if (outcome.changes.length > 0) await logChanges(projectPath, outcome.changes);
+  return outcome;
+}
+
+// ── Change log + report ───────────────────────────────────────────────────────
+
+async function logChanges(projectPath, changes) {
+  const log      = await readStateFile(projectPath, CHANGES_FILE, { entries: [] });
+  const detected = new Date().toISOString();
+  log.entries    = [...changes.map(c => ({ ...c, detected_at: detected })), ...log.entries].slice(0, MAX_LOG_ENTRIES);
+  await writeStateFile(projectPath, CHANGES_FILE, log);
+  return log;
+}
+
+/**
+ * Markdown for the "Competitor Changes" text source — the rolling change log,
+ * newest first, so NotebookLM keeps the history rather than just the last run.
+ */
+export async function formatChangeLog(projectPath, projectName) {
+  const { entries } = await readStateFile(projectPath, CHANGES_FILE, { entries: [] });
+  const parts = [`# Competitor Changes${projectName ? ` — ${projectName}` : ''}`, ''];
+  parts.push(`_Changes detected on tracked competitor pages between digital-pm-mcp syncs._`, '');
+
+  for (const e of entries) {
+    parts.push(`## ${e.competitor} — ${e.page} (${e.detected_at.split('T')[0]})`);
+    parts.push(`Source: ${e.url}`, '');
+    for (const line of e.added.slice(0, MAX_DIFF_LINES))   parts.push(`- ➕ ${line}`);
+    for (const line of e.removed.slice(0, MAX_DIFF_LINES)) parts.push(`- ➖ ${line}`);
+    const hidden = Math.max(0, e.added.length - MAX_DIFF_LINES) + Math.max(0, e.removed.length - MAX_DIFF_LINES);
+    if (hidden > 0) parts.push(`- _…and ${hidden} more changed line(s)_`);
+    parts.push('');
+  }
+  return parts.join('\n');
+}
+
+// ── Roadmap overlap ───────────────────────────────────────────────────────────
+
+function keywords(text) {
+  return [...new Set(
+    text.toLowerCase().replace(/\(.*?\)/g, ' ').split(/[^a-z0-9+#]+/).filter(w => w.length >= 4 && !STOPWORDS.has(w))
+  )];
+}
+
+/**
+ * Finds planned roadmap features (unfinished board items and "Planned" epic
+ * features) that a change's added lines talk about. A feature overlaps when
+ * at least two of its keywords — or its only keyword — appear in one line.
+ *
+ * @param {object} model     - parsed ROADMAP.md (roadmap-model.js)
+ * @param {object[]} changes - from checkCompetitors()
+ * @returns {Array<{ change: object, feature: string, line: string }>}
+ */
+export function findRoadmapOverlaps(model, changes) {
+  const planned = [
+    ...[...model.sprint, ...model.backlog].filter(i => i.state !== 'done').map(i => i.title),
+    ...model.epics.flatMap(e => e.features).filter(f => /planned/i.test(f.status)).map(f => f.feature),
+  ];
+  const features = [...new Set(planned)]
+    .map(title => ({ title, words: keywords(title) }))
+    .filter(f => f.words.length > 0);
+
+  const overlaps = [];
+  for (const change of changes) {
+    for (const feature of features) {
+      const needed = Math.min(2, feature.words.length);
+      const line   = change.added.find(l => {
+        const text = l.toLowerCase();
+        return feature.words.filter(w => text.includes(w)).length >= needed;
+      });
+      if (line) overlaps.push({ change, feature: feature.title, line });
+    }
+  }
+  return overlaps;
+}
+
+/** Identifies an overlap across syncs: competitor page + roadmap feature. */
+export function overlapKey({ change, feature }) {
+  return `${change.competitor} ${change.page.toLowerCase()} change overlaps planned "${feature}"`;
+}
+
+/** Blocker text for an overlap — starts with overlapKey() so repeats can be skipped. */
+export function overlapBlockerText(overlap) {
+  const { line } = overlap;
+  const quote = line.length > 120 ? `${line.slice(0, 117)}…` : line;
+  return `${overlapKey(overlap)}: "${quote}"`;
+}
@@ -0,0 +1,116 @@
+/**
+ * competitors.js
+ *
+ * The competitor registry — an explicit list of tracked competitors kept in
+ * .digitalpM.json, replacing guesses from search-result titles:
+ *
+ *   "competitors": [
+ *     {
+ *       "name":          "Linear",
+ *       "homepage":      "https://linear.app",
+ *       "pricing_url":   "https://linear.app/pricing",
+ *       "changelog_url": "https://linear.app/changelog",
+ *       "notes":         "Opinionated issue tracking for product teams"
+ *     }
+ *   ]
+ *
+ * The ROADMAP.md competitor table and the digitalPM_insights prompt are built
+ * from this list. Names are unique (case-insensitive).
+ */
+
+import { readConfig, writeConfig } from './config.js';
+
+const URL_FIELDS = ['homepage', 'pricing_url', 'changelog_url'];
+
+/** Registry entries for a project (empty if none are tracked). */
+export function getCompetitors(config) {
+  return Array.isArray(config?.competitors) ? config.competitors : [];
+}
+
+export function findCompetitor(competitors, name) {
+  const key = String(name ?? '').trim().toLowerCase();
+  return competitors.find(c => c.name.toLowerCase() === key) ?? null;
+}
+
+/**
+ * Trims fields and checks that URL fields are http(s) URLs.
+ * Throws with a user-facing message on invalid input.
+ */
+function validateFields(fields) {
+  const clean = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    clean[key] = String(value).trim();
+  }
+
+  for (const key of URL_FIELDS) {
+    if (!clean[key]) continue;
+    let url;
+    try { url = new URL(clean[key]); } catch { url = null; }
+    if (!url || !/^https?:$/.test(url.protocol)) {
+      throw new Error(`\`${key}\` must be an http(s) URL — got "${clean[key]}"`);
+    }
+  }
+  return clean;
+}
+
+/**
+ * Adds a competitor, or updates the fields given for an existing one (matched
+ * by name). Fields that aren't passed keep their current value; an empty string
+ * clears one.
+ *
+ * @returns {Promise<{ competitor: object, created: boolean, competitors: object[] }>}
+ */
+export async function upsertCompetitor(projectPath, { name, homepage, pricing_url, changelog_url, notes }) {
+  const fields = validateFields({ name, homepage, pricing_url, changelog_url, notes });
+  if (!fields.name) throw new Error('`name` is required');
+
+  const competitors = [...getCompetitors(await readConfig(projectPath))];
+  const existing    = findCompetitor(competitors, fields.name);
+
+  const merged = { ...(existing ?? {}), ...fields, name: existing?.name ?? fields.name };
+  for (const key of Object.keys(merged)) if (merged[key] === '') delete merged[key];
+
+  if (existing) competitors[competitors.indexOf(existing)] = merged;
+  else competitors.push({ ...merged, added_at: new Date().toISOString() });
+
+  await writeConfig(projectPath, { competitors });
+  return { competitor: findCompetitor(competitors, fields.name), created: !existing, competitors };
+}
+
+/**
+ * Removes a competitor by name.
+ * @returns {Promise<{ removed: object|null, competitors: object[] }>}
+ */
+export async function removeCompetitor(projectPath, name) {
+  const competitors = getCompetitors(await readConfig(projectPath));
+  const removed     = findCompetitor(competitors, name);
+  if (!removed) return { removed: null, competitors };
+
+  const remaining = competitors.filter(c => c !== removed);
+  await writeConfig(projectPath, { competitors: remaining });
+  return { removed, competitors: remaining };
+}
+
+/** Rows for the ROADMAP.md competitor table. */
+export function competitorTableRows(competitors) {
+  return competitors.map(c => ({ name: c.name, url: c.homepage ?? null, approach: c.notes ?? '' }));
+}
+
+/**
+ * Prompt block naming the tracked competitors, for NotebookLM queries.
+ * Returns '' when the registry is empty.
+ */
+export function competitorPromptContext(competitors) {
+  if (competitors.length === 0) return '';
+  const lines = competitors.map(c => {
+    const links = [c.homepage, c.pricing_url && `pricing: ${c.pricing_url}`, c.changelog_url && `changelog: ${c.changelog_url}`]
+      .filter(Boolean).join(', ');
+    return `- ${c.name}${links ? ` (${links})` : ''}${c.notes ? ` — ${c.notes}` : ''}`;
+  });
+  return [
+    `Our tracked competitors are:`,
+    ...lines,
+    `Compare against these by name. Mention other players only if the research shows they matter more.`,
+  ].join('\n');
+}
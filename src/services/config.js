@@ -1,7 +1,9 @@
 import { readFile, writeFile, access, mkdir } from 'fs/promises';
-import { join, resolve } from 'path';
+import { join, resolve, dirname } from 'path';
+import os from 'os';
 
 const CONFIG_FILENAME = '.digitalpM.json';
+const STATE_DIRNAME   = '.digitalpm';
 
 /**
  * Resolves the config file path for a given project directory.
@@ -57,6 +59,81 @@ export function resolveProjectPath(projectPath) {
   return projectPath ? resolve(projectPath) : process.cwd();
 }
 
+// ── Local state (.digitalpm/) ─────────────────────────────────────────────────
+// Machine-written bookkeeping (source manifests, ledgers, archives) lives in a
+// .digitalpm/ directory next to .digitalpM.json so the config stays hand-editable.
+
+/**
+ * Resolves a path inside the project's .digitalpm/ state directory.
+ */
+export function getStatePath(projectPath, ...segments) {
+  return join(resolve(projectPath), STATE_DIRNAME, ...segments);
+}
+
+/**
+ * Reads a JSON state file from .digitalpm/. Returns `fallback` if it doesn't exist
+ * or can't be parsed — state files are caches, never a reason to fail a tool call.
+ */
+export async function readStateFile(projectPath, name, fallback = null) {
+  try {
+    return JSON.parse(await readFile(getStatePath(projectPath, name), 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Writes a JSON state file to .digitalpm/, creating the directory if needed.
+ */
+export async function writeStateFile(projectPath, name, data) {
+  const filePath = getStatePath(projectPath, name);
+  await mkdir(dirname(filePath), { recursive: true });
+  await writeFile(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+/**
+ * Stores `record` as a new `<dir>/<record.id>.json` in .digitalpm/, never
+ * replacing an existing file: when the id is taken (two records stamped in the
+ * same second), `record.id` gets a `-2`, `-3`, … suffix. The file is created
+ * with the 'wx' flag, so concurrent writers can't claim the same id.
+ * @returns {Promise<object>} `record`, with the id it was stored under
+ */
+export async function addStateRecord(projectPath, dir, record) {
+  const baseId = record.id;
+  await mkdir(getStatePath(projectPath, dir), { recursive: true });
+  for (let n = 2; ; n++) {
+    try {
+      await writeFile(getStatePath(projectPath, dir, `${record.id}.json`), JSON.stringify(record, null, 2) + '\n', { encoding: 'utf8', flag: 'wx' });
+      return record;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      record.id = `${baseId}-${n}`;
+    }
+  }
+}
+
+// ── Per-user app data ─────────────────────────────────────────────────────────
+// State shared by every project on this machine (Chrome profile clones, the
+// project registry) lives under the platform's app-support directory.
+
+/**
+ * Platform app-support directory: ~/Library/Application Support on macOS,
+ * %APPDATA% on Windows, ~/.local/share elsewhere.
+ */
+export function getAppSupportDir() {
+  if (process.platform === 'darwin')  return join(os.homedir(), 'Library', 'Application Support');
+  if (process.platform === 'win32')   return process.env.APPDATA || os.homedir();
+  return join(os.homedir(), '.local', 'share');
+}
+
+/**
+ * Resolves a path inside digital-pm-mcp's per-user data directory.
+ */
+export function getAppDataPath(...segments) {
+  return join(getAppSupportDir(), 'digital-pm-mcp', ...segments);
+}
+
 /**
  * Creates a minimal default config object for a new project.
  */
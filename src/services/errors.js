@@ -0,0 +1,55 @@
+/**
+ * errors.js
+ *
+ * Typed errors that tools branch on with `instanceof` instead of matching
+ * message text.
+ */
+
+/**
+ * NotebookLM redirected to Google sign-in, or the session has expired.
+ * Retrying won't help — the user has to sign in again with digitalPM_auth.
+ */
+export class AuthRequiredError extends Error {
+  /**
+   * @param {string} [message]
+   * @param {{ url?: string }} [details] - the sign-in URL the browser landed on
+   */
+  constructor(message = 'NotebookLM sign-in required', { url = null } = {}) {
+    super(`${message} — run digitalPM_auth(action="login") to sign in`);
+    this.name = 'AuthRequiredError';
+    this.url  = url;
+  }
+}
+
+/**
+ * A NotebookLM UI step (see selectors.js) didn't resolve — none of its
+ * selectors matched in time, which usually means the NotebookLM UI changed.
+ */
+export class SelectorError extends Error {
+  /**
+   * @param {string} step - selector registry key, e.g. "copiedTextOption"
+   * @param {{ description?: string, tried?: string[], state?: string, url?: string }} [details]
+   */
+  constructor(step, { description = step, tried = [], state = 'visible', url = null } = {}) {
+    const what = state === 'hidden' ? 'still present' : 'not found';
+    super(
+      `NotebookLM UI step "${step}" (${description}) ${what} — tried ${tried.join(' | ')}. ` +
+      'The NotebookLM UI may have changed; run digitalPM_doctor to see which steps broke.'
+    );
+    this.name  = 'SelectorError';
+    this.step  = step;
+    this.tried = tried;
+    this.url   = url;
+  }
+}
+
+/**
+ * The MCP client cancelled the request (notifications/cancelled) — the tool
+ * stops at its next step instead of running to completion.
+ */
+export class CancelledError extends Error {
+  constructor(message = 'Cancelled by the client') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * insights-history.js
+ *
+ * Strategic briefings from digitalPM_insights, parsed into the sections their
+ * template declares (insights-templates.js) and kept one file per briefing so
+ * consecutive briefings can be compared:
+ *
+ *   .digitalpm/insights/<id>.json
+ *
+ *   {
+ *     "id":         "20260301-141502",
+ *     "project":    "acme",
+ *     "template":   "default",
+ *     "created_at": "2026-03-01T14:15:02.114Z",
+ *     "archive_id": "20260301-141502-insights-strategic-briefing",   // answer-archive.js
+ *     "sections": {
+ *       "competitive_gaps": { "title": "Competitive Gaps", "text": "…", "items": ["…", "…"] },
+ *       "pivot_risk":       null                                      // not found in the answer
+ *     }
+ *   }
+ *
+ * `sections` always has every declared key, in template order.
+ *
+ * compareBriefings() reports what moved between two briefings: competitive
+ * gaps that appeared or closed, risks that were resolved, whether the #1
+ * priority shifted and whether the Pivot Risk section changed — plus, for any
+ * template, which points each section gained or dropped. Items are
+ * matched by the keywords of their lead ("Offline mode — Notion ships …"),
+ * since NotebookLM never words the same point the same way twice.
+ */
+
+import { readdir } from 'fs/promises';
+
+import { getStatePath, readStateFile, addStateRecord } from './config.js';
+
+const INSIGHTS_DIR = 'insights';
+const SAME_ITEM    = 0.5;   // share of lead keywords two items need in common
+const SAME_PIVOT   = 0.35;  // keyword overlap below which the Pivot Risk text changed
+
+// A Pivot Risk section saying there's nothing to worry about
+const CALM_PIVOT = /\b(no (significant |major |clear |strong |alarming |real )?(signals?|signs?|evidence|indications?|pivot risk)|nothing alarming|not (seeing|aware of) any|you(')?re (pointed|heading|building) in the right direction)\b/i;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'your', 'our', 'are', 'was', 'not', 'but',
+  'into', 'more', 'than', 'have', 'has', 'its', 'their', 'they', 'them', 'you', 'can', 'will',
+  'should', 'would', 'could', 'does', 'better', 'which', 'what', 'when', 'why', 'how',
+]);
+
+const normalize = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+function keywords(text) {
+  return new Set(normalize(text).split(' ').filter(w => w.length >= 3 && !STOPWORDS.has(w)));
+}
+
+/** Share of the smaller keyword set found in the other (0 when either is empty). */
+function overlap(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  if (small.size === 0) return 0;
+  let shared = 0;
+  for (const w of small) if (large.has(w)) shared++;
+  return shared / small.size;
+}
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+/** Heading text with markdown and leading numbers stripped: "## 4. #1 Priority" → "priority". */
+const headingKey = line => normalize(line).replace(/^(\d+ )+/, '');
+
+/**
+ * Splits a briefing into the declared sections. Headings are recognized by
+ * their title — with or without "##", numbering or bold — and must appear in
+ * the declared order; a section NotebookLM left out is null.
+ *
+ * @param {string} answer
+ * @param {Array<{ key: string, title: string, match?: string }>} sections - a template's sections
+ * @returns {Object<string, { title: string, text: string, items: string[] }|null>}
+ */
+export function parseSections(answer, sections) {
+  const lines  = String(answer ?? '').split('\n');
+  const found  = [];
+  let   cursor = 0;
+
+  for (const section of sections) {
+    const wanted = headingKey(section.match ?? section.title);
+    for (let i = cursor; i < lines.length; i++) {
+      const line = lines[i].trim();
+      // Headings are short and don't end like a sentence
+      if (line.length === 0 || line.length > 100 || line.endsWith('.')) continue;
+      if (headingKey(line).startsWith(wanted)) {
+        found.push({ section, start: i });
+        cursor = i + 1;
+        break;
+      }
+    }
+  }
+
+  const result = Object.fromEntries(sections.map(s => [s.key, null]));
+  found.forEach(({ section, start }, n) => {
+    const end  = n + 1 < found.length ? found[n + 1].start : lines.length;
+    const text = lines.slice(start + 1, end).join('\n').trim();
+    result[section.key] = { title: section.title, text, items: splitItems(text) };
+  });
+  return result;
+}
+
+/**
+ * The points of a section: its list items (continuation lines joined on), or
+ * its lines when NotebookLM answered in prose.
+ */
+function splitItems(text) {
+  const lines   = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const bullet  = /^(?:[-*•]|\d+[.)])\s+(.*)$/;
+  if (!lines.some(l => bullet.test(l))) return lines;
+
+  const items = [];
+  for (const line of lines) {
+    const m = bullet.exec(line);
+    if (m) items.push(m[1]);
+    else if (items.length > 0) items[items.length - 1] += ` ${line}`;
+  }
+  return items;
+}
+
+/** The lead of an item — its bold title or first clause — for matching and reports. */
+export function itemLead(item) {
+  const lead = item.replace(/\*\*/g, '').split(/:\s| — | – | - |\.\s/)[0].trim();
+  return lead.length > 90 ? `${lead.slice(0, 87)}…` : lead;
+}
+
+// ── Storage ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parses `answer` into `template`'s sections and stores it as a new briefing.
+ * A second briefing in the same second gets a `-2`, `-3`, … id suffix.
+ * @returns {Promise<object>} the stored briefing
+ */
+export async function saveBriefing(projectPath, { project, answer, template, archiveId = null }) {
+  const now      = new Date();
+  const briefing = {
+    id:         now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15),
+    project,
+    template:   template.name,
+    created_at: now.toISOString(),
+    archive_id: archiveId,
+    sections:   parseSections(answer, template.sections),
+  };
+  return addStateRecord(projectPath, INSIGHTS_DIR, briefing);
+}
+
+/**
+ * Stored briefings, newest first — only those of `template` when given
+ * (briefings from before templates existed count as "default").
+ */
+export async function readBriefings(projectPath, { template = null } = {}) {
+  let files;
+  try {
+    files = (await readdir(getStatePath(projectPath, INSIGHTS_DIR))).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const briefings = [];
+  for (const file of files) {
+    const briefing = await readStateFile(projectPath, `${INSIGHTS_DIR}/${file}`);
+    if (!briefing?.sections) continue;
+    if (template && (briefing.template ?? 'default') !== template) continue;
+    briefings.push(briefing);
+  }
+  // Ids sort by time; `numeric` puts "…-141502-10" after "…-141502-2" after "…-141502"
+  return briefings.sort((a, b) => String(b.id).localeCompare(String(a.id), 'en', { numeric: true }));
+}
+
+// ── Comparison ────────────────────────────────────────────────────────────────
+
+/** Items of `after` with no counterpart in `before`. */
+function unmatched(after, before) {
+  const leads = before.map(item => keywords(itemLead(item)));
+  return after.filter(item => {
+    const words = keywords(itemLead(item));
+    return !leads.some(other => overlap(words, other) >= SAME_ITEM);
+  });
+}
+
+/**
+ * What changed from `previous` to `current`. A section missing from either
+ * briefing is reported as not comparable (null) rather than as all-new.
+ * gaps / risks / priority / pivot rely on the default template's section keys;
+ * `sections` covers every section of any template.
+ *
+ * @returns {{
+ *   gaps:     { added: string[], closed: string[] }|null,
+ *   risks:    { added: string[], resolved: string[] }|null,
+ *   priority: { shifted: boolean, before: string, after: string }|null,
+ *   pivot:    { changed: boolean, alarming: boolean, before: string, after: string }|null,
+ *   sections: Object<string, { title: string, added: string[], dropped: string[] }|null>,
+ * }}
+ */
+export function compareBriefings(previous, current) {
+  const both = key => previous.sections[key] && current.sections[key]
+    ? [previous.sections[key], current.sections[key]]
+    : null;
+
+  const gaps     = both('competitive_gaps');
+  const risks    = both('technical_risk');
+  const priority = both('priority');
+  const pivot    = both('pivot_risk');
+
+  const firstPoint = section => section.items[0] ?? section.text;
+  const calm       = section => CALM_PIVOT.test(section.text);
+
+  return {
+    gaps: gaps && {
+      added:  unmatched(gaps[1].items, gaps[0].items),
+      closed: unmatched(gaps[0].items, gaps[1].items),
+    },
+    risks: risks && {
+      added:    unmatched(risks[1].items, risks[0].items),
+      resolved: unmatched(risks[0].items, risks[1].items),
+    },
+    priority: priority && {
+      shifted: overlap(keywords(itemLead(firstPoint(priority[0]))), keywords(itemLead(firstPoint(priority[1])))) < SAME_ITEM,
+      before:  itemLead(firstPoint(priority[0])),
+      after:   itemLead(firstPoint(priority[1])),
+    },
+    pivot: pivot && {
+      changed:  calm(pivot[0]) !== calm(pivot[1]) ||
+                (!calm(pivot[1]) && overlap(keywords(pivot[0].text), keywords(pivot[1].text)) < SAME_PIVOT),
+      alarming: !calm(pivot[1]),
+      before:   itemLead(firstPoint(pivot[0])),
+      after:    itemLead(firstPoint(pivot[1])),
+    },
+    sections: Object.fromEntries(Object.keys(current.sections).map(key => {
+      const pair = both(key);
+      return [key, pair && {
+        title:   pair[1].title,
+        added:   unmatched(pair[1].items, pair[0].items),
+        dropped: unmatched(pair[0].items, pair[1].items),
+      }];
+    })),
+  };
+}
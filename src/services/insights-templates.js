@@ -0,0 +1,170 @@
+/**
+ * insights-templates.js
+ *
+ * Briefing templates for digitalPM_insights. The built-in "default" template
+ * is the 5-section strategic digest; projects add their own named templates
+ * under "insights" in .digitalpM.json:
+ *
+ *   "insights": {
+ *     "templates": {
+ *       "enterprise": {
+ *         "description":  "B2B readiness review before a sales push",
+ *         "instructions": "You are a B2B product lead preparing for enterprise deals.",
+ *         "sections": [
+ *           { "title": "Pricing",              "prompt": "Where does our pricing lose enterprise deals?" },
+ *           { "title": "Compliance",           "prompt": "Which certifications (SOC 2, GDPR, HIPAA) are we missing?" },
+ *           { "title": "Enterprise Readiness", "prompt": "SSO, audit logs, admin controls — what blocks a 500-seat rollout?" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Every template asks NotebookLM for numbered "## n. Title" headings so the
+ * answer parses back into the declared sections (insights-history.js). Each
+ * section's `key` — given, or derived from its title ("Enterprise Readiness"
+ * → enterprise_readiness) — is what stored briefings are keyed by. "default"
+ * is reserved for the built-in template: digitalPM_insights labels it by name
+ * and compares it on its fixed section keys, so a project template named
+ * "default" is rejected rather than taking its place.
+ */
+
+export const DEFAULT_TEMPLATE_NAME = 'default';
+
+const DEFAULT_INSTRUCTIONS = 'You are a senior product manager reviewing my project.';
+
+// Structured so NotebookLM returns a consistent 5-section digest every time.
+// `match` is the heading text to look for when NotebookLM shortens the title.
+const DEFAULT_TEMPLATE = {
+  name:         DEFAULT_TEMPLATE_NAME,
+  description:  'Strategic briefing: gaps, demand, risk, #1 priority, pivot risk',
+  instructions: DEFAULT_INSTRUCTIONS,
+  sections: [
+    {
+      key:    'competitive_gaps',
+      title:  'Competitive Gaps',
+      prompt: 'What are our top 3 gaps vs market alternatives right now?\n' +
+              'Be specific — name the gap, name who does it better, say why it matters.',
+    },
+    {
+      key:    'unmet_demand',
+      title:  'Unmet User Demand',
+      prompt: 'What are the top 3 capabilities that users of similar products ask for most that we don\'t have?\n' +
+              'Cite sources from the research if possible.',
+    },
+    {
+      key:    'technical_risk',
+      title:  'Technical Risk',
+      prompt: 'What are our top 2 architectural or technical risks we should address before scaling?\n' +
+              'Be concrete — vague warnings are not useful.',
+    },
+    {
+      key:    'priority',
+      title:  '#1 Priority — Next 30 Days',
+      match:  'Priority',
+      prompt: 'One thing only: the single highest-impact action we should take in the next 30 days\n' +
+              'to maximize competitive differentiation. Justify the choice.',
+    },
+    {
+      key:    'pivot_risk',
+      title:  'Pivot Risk',
+      prompt: 'Are there any signals from the research suggesting we\'re building in the wrong direction,\n' +
+              'or that the market is moving somewhere we\'re not pointed?\n' +
+              'If nothing alarming: say so directly, don\'t hedge.',
+    },
+  ],
+};
+
+const sectionKey = title => title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'section';
+
+/**
+ * Checks a template from .digitalpM.json and fills in section keys.
+ * Throws with a user-facing message when it can't be used.
+ */
+function normalizeTemplate(name, raw) {
+  const where = `insights.templates.${name} in .digitalpM.json`;
+  if (!raw || !Array.isArray(raw.sections) || raw.sections.length === 0) {
+    throw new Error(`${where} needs a non-empty "sections" list`);
+  }
+
+  const keys     = new Set();
+  const sections = raw.sections.map((entry, i) => {
+    const section = typeof entry === 'string' ? { title: entry } : entry ?? {};
+    const title   = String(section.title ?? '').trim();
+    if (!title) throw new Error(`${where}: section ${i + 1} has no "title"`);
+
+    const key = section.key ? sectionKey(String(section.key)) : sectionKey(title);
+    if (keys.has(key)) throw new Error(`${where}: two sections share the key "${key}" — give one a distinct "key"`);
+    keys.add(key);
+
+    return {
+      key,
+      title,
+      ...(section.match  ? { match:  String(section.match) }  : {}),
+      ...(section.prompt ? { prompt: String(section.prompt).trim() } : {}),
+    };
+  });
+
+  return {
+    name,
+    description:  raw.description ? String(raw.description) : `${sections.length}-section briefing`,
+    instructions: raw.instructions ? String(raw.instructions).trim() : DEFAULT_INSTRUCTIONS,
+    sections,
+  };
+}
+
+/** The project's templates as raw config entries, keyed by name. */
+function configTemplates(config) {
+  const templates = config?.insights?.templates;
+  return templates && typeof templates === 'object' && !Array.isArray(templates) ? templates : {};
+}
+
+/** Names of every available template, the built-in one first. */
+export function listTemplateNames(config) {
+  const names = Object.keys(configTemplates(config));
+  return [DEFAULT_TEMPLATE_NAME, ...names.filter(n => n.toLowerCase() !== DEFAULT_TEMPLATE_NAME)];
+}
+
+/**
+ * The template called `name` (case-insensitive; default: "default").
+ * Throws with a user-facing message if it doesn't exist or is malformed.
+ */
+export function resolveTemplate(config, name = DEFAULT_TEMPLATE_NAME) {
+  const wanted = String(name).trim().toLowerCase();
+  const found  = Object.entries(configTemplates(config)).find(([n]) => n.toLowerCase() === wanted);
+  if (wanted === DEFAULT_TEMPLATE_NAME) {
+    if (found) {
+      throw new Error(
+        `insights.templates.${found[0]} in .digitalpM.json: "${DEFAULT_TEMPLATE_NAME}" is reserved for the built-in ` +
+        'strategic briefing — rename the template and pick it with template="<name>".'
+      );
+    }
+    return DEFAULT_TEMPLATE;
+  }
+  if (found) return normalizeTemplate(found[0], found[1]);
+  throw new Error(
+    `No insights template "${name}". Available: ${listTemplateNames(config).map(n => `"${n}"`).join(', ')}. ` +
+    'Define templates under "insights": { "templates": { … } } in .digitalpM.json.'
+  );
+}
+
+/**
+ * The NotebookLM question for a template: its instructions, then one numbered
+ * "## n. Title" heading per section with that section's prompt.
+ */
+export function buildTemplateQuery(template) {
+  const { instructions, sections } = template;
+  const parts = [
+    instructions,
+    'Based on everything in this notebook (codebase architecture, competitive research, user',
+    `feedback, market data), give me a structured briefing in exactly these ${sections.length} sections,`,
+    'using these numbered headings:',
+    '',
+  ];
+  sections.forEach((s, i) => {
+    parts.push(`## ${i + 1}. ${s.title}`);
+    if (s.prompt) parts.push(s.prompt);
+    parts.push('');
+  });
+  parts.push('Keep every section actionable and specific to this project. Cite sources where available.');
+  return parts.join('\n');
+}
@@ -1,28 +1,63 @@
-import { addTextSource as _addTextSource, addUrlSources as _addUrlSources, createNotebook as _createNotebook, queryNotebook as _queryNotebook } from './browser-source.js';
+import {
+  addTextSource as _addTextSource, addTextSources as _addTextSources, addUrlSources as _addUrlSources,
+  createNotebook as _createNotebook,
+  queryNotebook as _queryNotebook, listSources as _listSources, pruneSources as _pruneSources,
+  withBrowserSession as _withBrowserSession, closeBrowser as _closeBrowser,
+  probeAuth as _probeAuth, loginInteractive as _loginInteractive,
+  importNotebookLMProfile as _importNotebookLMProfile, getChromeProfile as _getChromeProfile,
+  diagnoseSelectors as _diagnoseSelectors,
+  endChatSession as _endChatSession, listChatSessions as _listChatSessions,
+} from './browser-source.js';
 
 // ── Main query entry point ───────────────────────────────────────────────────
 
 /**
- * Asks a question to a NotebookLM notebook and returns the AI response text.
+ * Asks a question to a NotebookLM notebook and returns the AI response text
+ * together with the citations behind it (format them with formatReferences()
+ * from citations.js).
  *
  * Previously delegated to a notebooklm-mcp subprocess via JSON-RPC, which meant
  * a separate auth lifecycle we couldn't control. Now drives the NotebookLM UI
  * directly via the same launchPersistentContext used for source injection —
  * same auth path, zero external process, no session expiry surprises.
  *
+ * Pass `session_id` to ask inside a chat session: the notebook page stays open
+ * between calls so follow-ups continue the conversation (`reset_session` starts
+ * it over). End it with endChatSession().
+ *
  * @param {string} toolName  - must be 'ask_question'
- * @param {object} toolArgs  - { question: string, notebook_url: string }
- * @returns {Promise<string>}
+ * @param {object} toolArgs  - { question: string, notebook_url: string, session_id?: string, reset_session?: boolean }
+ * @returns {Promise<{
+ *   answer: string,
+ *   citations: Array<{ number: number, source: string|null, quote: string|null }>,
+ *   session: { id: string, turn: number, restarted: boolean }|null,
+ * }>}
  */
 export async function callNotebookLM(toolName, toolArgs) {
   if (toolName !== 'ask_question') {
     throw new Error(`callNotebookLM: unsupported tool "${toolName}"`);
   }
-  const { question, notebook_url } = toolArgs;
+  const { question, notebook_url, session_id, reset_session = false } = toolArgs;
   if (!question)     throw new Error('callNotebookLM: question is required');
   if (!notebook_url) throw new Error('callNotebookLM: notebook_url is required');
 
-  return _queryNotebook(question, notebook_url);
+  return _queryNotebook(question, notebook_url, { sessionId: session_id ?? null, reset: reset_session });
+}
+
+/**
+ * Ends a chat session started with callNotebookLM(…, { session_id }) and
+ * closes its notebook page.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{ id: string, turns: number, notebookUrl: string }|null>} null if no such session
+ */
+export async function endChatSession(sessionId) {
+  return _endChatSession(sessionId);
+}
+
+/** Open chat sessions, most recently used first. */
+export function listChatSessions() {
+  return _listChatSessions();
 }
 
 // ── Source injection (browser automation) ────────────────────────────────────
@@ -32,14 +67,45 @@ export async function callNotebookLM(toolName, toolArgs) {
  * This is the primary way to push codebase snapshots, feedback notes,
  * and research summaries into NotebookLM as indexed, queryable knowledge.
  *
+ * Pass `{ replace: true }` for recurring sources (summaries, ROADMAP.md) so
+ * older copies with the same label are removed instead of accumulating.
+ *
  * @param {string} label       - Short title for the source (shown in sources panel)
  * @param {string} content     - Markdown content to store
  * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @param {{ replace?: boolean, signal?: AbortSignal }} [options] - aborting `signal` rejects with CancelledError
+ * @returns {Promise<{ removed: number }>}
  */
-export async function addTextSource(label, content, notebookUrl) {
+export async function addTextSource(label, content, notebookUrl, options = {}) {
   process.stderr.write(`[digital-pm-mcp] Adding text source "${label}" to NotebookLM...\n`);
-  await _addTextSource(label, content, notebookUrl);
-  process.stderr.write(`[digital-pm-mcp] ✅ Text source "${label}" added.\n`);
+  const result = await _addTextSource(label, content, notebookUrl, options);
+  const note   = result.removed > 0 ? ` (replaced ${result.removed} older cop${result.removed === 1 ? 'y' : 'ies'})` : '';
+  process.stderr.write(`[digital-pm-mcp] ✅ Text source "${label}" added${note}.\n`);
+  return result;
+}
+
+/**
+ * Adds several "Copied text" sources in a single notebook visit instead of
+ * reloading the notebook per source. Items fail independently — check `ok` on
+ * each result. Throws only if the notebook can't be opened at all.
+ *
+ * @param {Array<{ label: string, content: string, replace?: boolean }>} items
+ * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @param {{ replace?: boolean, signal?: AbortSignal, onItem?: Function }} [options]
+ *   `replace` is the default for every item; `onItem(item, index)` runs before each insert;
+ *   aborting `signal` stops the batch with a CancelledError
+ * @returns {Promise<Array<{ label: string, ok: boolean, removed: number, error: string|null }>>}
+ */
+export async function addTextSources(items, notebookUrl, options = {}) {
+  if (!items || items.length === 0) return [];
+  process.stderr.write(`[digital-pm-mcp] Adding ${items.length} text source(s) to NotebookLM in one session...\n`);
+  const results = await _addTextSources(items, notebookUrl, options);
+  const failed  = results.filter(r => !r.ok);
+  for (const r of failed) {
+    process.stderr.write(`[digital-pm-mcp] ⚠️ Text source "${r.label}" failed: ${r.error}\n`);
+  }
+  process.stderr.write(`[digital-pm-mcp] ✅ ${results.length - failed.length}/${results.length} text source(s) added.\n`);
+  return results;
 }
 
 /**
@@ -50,14 +116,41 @@ export async function addTextSource(label, content, notebookUrl) {
  *
  * @param {string[]} urls      - URLs to add as sources
  * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @param {{ signal?: AbortSignal }} [options] - aborting rejects with CancelledError
  */
-export async function addUrlSources(urls, notebookUrl) {
+export async function addUrlSources(urls, notebookUrl, options = {}) {
   if (!urls || urls.length === 0) return;
   process.stderr.write(`[digital-pm-mcp] Adding ${urls.length} URL source(s) to NotebookLM...\n`);
-  await _addUrlSources(urls, notebookUrl);
+  await _addUrlSources(urls, notebookUrl, options);
   process.stderr.write(`[digital-pm-mcp] ✅ ${urls.length} URL source(s) added.\n`);
 }
 
+// ── Source inventory (browser automation) ───────────────────────────────────
+
+/**
+ * Lists the sources currently in the notebook, in panel order (oldest first).
+ *
+ * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @returns {Promise<Array<{ index: number, title: string, icon: string }>>}
+ */
+export async function listSources(notebookUrl) {
+  return _listSources(notebookUrl);
+}
+
+/**
+ * Deletes the sources chosen by `select(sources)` in a single browser session.
+ *
+ * @param {string} notebookUrl - NotebookLM notebook share URL
+ * @param {Function} select    - receives the source list, returns the entries to delete
+ * @returns {Promise<{ sources: object[], removed: object[] }>}
+ */
+export async function pruneSources(notebookUrl, select) {
+  process.stderr.write('[digital-pm-mcp] Pruning NotebookLM sources...\n');
+  const result = await _pruneSources(notebookUrl, select);
+  process.stderr.write(`[digital-pm-mcp] ✅ ${result.removed.length} source(s) removed.\n`);
+  return result;
+}
+
 // ── Notebook creation (browser automation) ───────────────────────────────────
 
 /**
@@ -73,6 +166,84 @@ export async function createNotebook() {
   return url;
 }
 
+// ── Google auth (browser automation) ─────────────────────────────────────────
+
+/**
+ * Checks whether the browser profile is signed in to NotebookLM by loading the
+ * home page headlessly. NotebookLM calls made while signed out throw
+ * AuthRequiredError (services/errors.js).
+ *
+ * @returns {Promise<{ authenticated: boolean, url: string }>}
+ */
+export async function probeAuth() {
+  return _probeAuth();
+}
+
+/**
+ * Opens a visible browser window on NotebookLM and waits for the user to sign
+ * in to Google. The session is saved in the browser profile for later headless use.
+ *
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<{ authenticated: boolean, alreadySignedIn: boolean, url: string }>}
+ */
+export async function loginInteractive(options = {}) {
+  process.stderr.write('[digital-pm-mcp] Opening browser for NotebookLM sign-in...\n');
+  return _loginInteractive(options);
+}
+
+/**
+ * Replaces digital-pm-mcp's Chrome profile with a copy of notebooklm-mcp's,
+ * picking up a sign-in made there. Happens automatically on first use; this
+ * forces a fresh import.
+ *
+ * @returns {Promise<{ from: string, to: string }>}
+ */
+export async function importNotebookLMProfile() {
+  process.stderr.write('[digital-pm-mcp] Importing notebooklm-mcp Chrome profile...\n');
+  return _importNotebookLMProfile();
+}
+
+/** The Chrome profile directory NotebookLM automation runs with. */
+export function getChromeProfile() {
+  return _getChromeProfile();
+}
+
+// ── Browser session reuse ────────────────────────────────────────────────────
+
+/**
+ * Runs `fn` with the pooled browser held open — no idle shutdown between the
+ * NotebookLM calls it makes — and closes the browser when `fn` settles. Used
+ * by the standalone sync runner (`digital-pm-sync`, including `--all`).
+ *
+ * @param {Function} fn - async work to run inside the session
+ * @returns {Promise<*>} whatever `fn` returns
+ */
+export async function withBrowserSession(fn) {
+  return _withBrowserSession(fn);
+}
+
+/**
+ * Closes the pooled browser, if one is open. Called on server shutdown;
+ * otherwise the browser closes itself after DIGITAL_PM_BROWSER_IDLE_SECONDS.
+ */
+export async function closeBrowser() {
+  return _closeBrowser();
+}
+
+// ── UI diagnostics ───────────────────────────────────────────────────────────
+
+/**
+ * Resolves every NotebookLM UI step in the selector registry (selectors.js),
+ * screen by screen, against the live notebook or saved HTML fixtures.
+ *
+ * @param {{ notebookUrl?: string, fixtureDir?: string, captureDir?: string }} options
+ * @returns {Promise<object[]>} one entry per screen — see browser-source.js
+ */
+export async function diagnoseSelectors(options) {
+  process.stderr.write(`[digital-pm-mcp] Checking NotebookLM UI selectors (${options.fixtureDir ? 'fixtures' : 'live'})...\n`);
+  return _diagnoseSelectors(options);
+}
+
 // ── Legacy alias (kept for any internal callers) ──────────────────────────────
 
 /**
@@ -0,0 +1,53 @@
+/**
+ * progress.js
+ *
+ * Step-by-step progress for the long-running tools (digitalPM_init,
+ * digitalPM_sync). Every step is logged to stderr and — when the MCP client
+ * asked for progress by sending a progressToken in the request's `_meta` — sent
+ * as a `notifications/progress` message the client can show while the tool runs.
+ *
+ * The reporter also carries the request's abort signal: when the client cancels
+ * the request (`notifications/cancelled`), the next step() throws CancelledError
+ * and the signal is passed on to the browser and search calls so they stop too.
+ *
+ * Outside an MCP request (bin/digital-pm-sync.js) createProgress() without
+ * arguments gives a reporter that only logs to stderr and is never cancelled.
+ */
+
+import { CancelledError } from './errors.js';
+
+/**
+ * @param {object} [extra] - the RequestHandlerExtra the MCP server passes to tool handlers
+ * @returns {{
+ *   signal: AbortSignal|null,
+ *   step: (message: string) => void,
+ *   throwIfCancelled: () => void,
+ * }}
+ */
+export function createProgress(extra = null) {
+  const token  = extra?._meta?.progressToken;
+  const signal = extra?.signal ?? null;
+  let   count  = 0;
+
+  const throwIfCancelled = () => {
+    if (signal?.aborted) throw new CancelledError();
+  };
+
+  return {
+    signal,
+    throwIfCancelled,
+
+    /** Reports the next step. Throws CancelledError if the request was cancelled. */
+    step(message) {
+      throwIfCancelled();
+      count++;
+      process.stderr.write(`[digital-pm-mcp] ${message}\n`);
+      if (token === undefined || !extra.sendNotification) return;
+      // progress must increase with every notification; the total isn't known up front
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken: token, progress: count, message },
+      }).catch(() => { /* the client went away — nothing to report to */ });
+    },
+  };
+}
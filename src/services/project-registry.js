@@ -0,0 +1,94 @@
+/**
+ * project-registry.js
+ *
+ * Machine-wide list of digital-pm-mcp projects, so one scheduled job can keep
+ * every notebook current (`digital-pm-sync --all`). Stored next to the Chrome
+ * profile clones in the app-support directory:
+ *
+ *   <app support>/digital-pm-mcp/projects.json
+ *
+ *   {
+ *     "version":  1,
+ *     "projects": [
+ *       { "path": "/Users/me/code/app", "name": "app", "registered_at": "…" }
+ *     ],
+ *     "schedule": { … }   // set by digitalPM_schedule(all_projects=true)
+ *   }
+ *
+ * Projects are registered by digitalPM_init and digitalPM_schedule, or by hand
+ * with `digital-pm-sync --register <path>`. Paths are stored resolved and are
+ * unique.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { dirname, resolve }           from 'path';
+
+import { getAppDataPath } from './config.js';
+
+const REGISTRY_VERSION = 1;
+
+export function getRegistryPath() {
+  return getAppDataPath('projects.json');
+}
+
+export async function readRegistry() {
+  try {
+    const registry = JSON.parse(await readFile(getRegistryPath(), 'utf8'));
+    if (registry?.version === REGISTRY_VERSION && Array.isArray(registry.projects)) return registry;
+  } catch { /* missing or unreadable — start fresh */ }
+  return { version: REGISTRY_VERSION, projects: [] };
+}
+
+export async function writeRegistry(registry) {
+  const file = getRegistryPath();
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(registry, null, 2) + '\n', 'utf8');
+  return file;
+}
+
+/** Registered projects, in registration order. */
+export async function listProjects() {
+  return (await readRegistry()).projects;
+}
+
+/**
+ * Adds a project, or refreshes its name if it is already registered.
+ * @returns {Promise<{ project: object, created: boolean }>}
+ */
+export async function registerProject(projectPath, projectName) {
+  const registry = await readRegistry();
+  const key      = resolve(projectPath);
+  const existing = registry.projects.find(p => p.path === key);
+
+  if (existing) {
+    if (!projectName || existing.name === projectName) return { project: existing, created: false };
+    existing.name = projectName;
+    await writeRegistry(registry);
+    return { project: existing, created: false };
+  }
+
+  const project = { path: key, name: projectName ?? null, registered_at: new Date().toISOString() };
+  registry.projects.push(project);
+  await writeRegistry(registry);
+  return { project, created: true };
+}
+
+/** Removes a project by path. Returns the removed entry, or null. */
+export async function unregisterProject(projectPath) {
+  const registry = await readRegistry();
+  const key      = resolve(projectPath);
+  const removed  = registry.projects.find(p => p.path === key) ?? null;
+  if (!removed) return null;
+
+  registry.projects = registry.projects.filter(p => p !== removed);
+  await writeRegistry(registry);
+  return removed;
+}
+
+/** Stores (or clears, with null) the schedule of the all-projects job. */
+export async function setRegistrySchedule(schedule) {
+  const registry = await readRegistry();
+  if (schedule) registry.schedule = schedule;
+  else delete registry.schedule;
+  await writeRegistry(registry);
+}
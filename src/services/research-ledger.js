@@ -0,0 +1,114 @@
+/**
+ * research-ledger.js
+ *
+ * Local memory of research across syncs, stored at .digitalpm/research.json:
+ *
+ *   queries — cached search results per (provider, query), reused for a TTL so
+ *             identical searches don't burn the monthly search quota
+ *   urls    — every research URL seen: topic, title, first-seen time and which
+ *             notebook (if any) it has been pushed to as a Website source
+ *
+ * URLs already pushed to the current notebook are never re-added, so repeated
+ * syncs stop creating duplicate Website sources. Pointing the project at a new
+ * notebook makes every URL eligible again.
+ *
+ * TTL: "research": { "cache_ttl_hours": 24 } in .digitalpM.json (0 disables the cache).
+ */
+
+import { readStateFile, writeStateFile } from './config.js';
+
+const LEDGER_FILE       = 'research.json';
+const LEDGER_VERSION    = 1;
+const DEFAULT_TTL_HOURS = 24;
+
+export async function readLedger(projectPath) {
+  const ledger = await readStateFile(projectPath, LEDGER_FILE);
+  if (ledger?.version !== LEDGER_VERSION) return { version: LEDGER_VERSION, queries: {}, urls: {} };
+  return ledger;
+}
+
+export async function writeLedger(projectPath, ledger) {
+  return writeStateFile(projectPath, LEDGER_FILE, ledger);
+}
+
+/** Cache TTL in milliseconds from the project config. */
+export function cacheTtlMs(config) {
+  const hours = config?.research?.cache_ttl_hours ?? DEFAULT_TTL_HOURS;
+  return Math.max(0, Number(hours) || 0) * 60 * 60 * 1000;
+}
+
+// ── Query cache ───────────────────────────────────────────────────────────────
+
+/** Cache key: provider + search options + normalized query. */
+export function queryKey(providerName, query, options = {}) {
+  return `${providerName}|${JSON.stringify(options)}|${query.trim().toLowerCase()}`;
+}
+
+/** Returns cached results if the entry is younger than ttlMs, else null. */
+export function getCachedResults(ledger, key, ttlMs) {
+  const entry = ledger.queries[key];
+  if (!entry || ttlMs <= 0) return null;
+  if (Date.now() - Date.parse(entry.fetched_at) > ttlMs) return null;
+  return entry.results;
+}
+
+/**
+ * Caches a query's results and drops every entry older than ttlMs, so
+ * research.json doesn't grow with each distinct query. With a TTL of 0 the
+ * cache is off and nothing is kept.
+ */
+export function cacheResults(ledger, key, query, results, ttlMs) {
+  const now = Date.now();
+  for (const [k, entry] of Object.entries(ledger.queries)) {
+    if (!(now - Date.parse(entry.fetched_at) <= ttlMs)) delete ledger.queries[k];
+  }
+  if (ttlMs > 0) ledger.queries[key] = { query, fetched_at: new Date(now).toISOString(), results };
+}
+
+// ── URL tracking ──────────────────────────────────────────────────────────────
+
+/** Strips fragments, tracking params and trailing slashes so near-identical URLs dedupe. */
+export function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    for (const param of [...u.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$|ref$)/i.test(param)) u.searchParams.delete(param);
+    }
+    return u.toString().replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+/** Records every URL from searchTopics() output; existing entries keep their first-seen time. */
+export function recordUrls(ledger, researchResults) {
+  const now = new Date().toISOString();
+  for (const { topic, results } of researchResults) {
+    for (const r of results) {
+      if (!r.url) continue;
+      const key = normalizeUrl(r.url);
+      if (ledger.urls[key]) continue;
+      ledger.urls[key] = { url: r.url, topic, title: r.title ?? r.url, first_seen: now, pushed_to: null };
+    }
+  }
+}
+
+/** Filters out URLs already pushed to this notebook (and duplicates within the list). */
+export function unpushedUrls(ledger, urls, notebookUrl) {
+  const seen = new Set();
+  return urls.filter(url => {
+    const key = normalizeUrl(url);
+    if (seen.has(key) || ledger.urls[key]?.pushed_to === notebookUrl) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function markPushed(ledger, urls, notebookUrl) {
+  const now = new Date().toISOString();
+  for (const url of urls) {
+    const key = normalizeUrl(url);
+    ledger.urls[key] = { ...(ledger.urls[key] ?? { url, first_seen: now }), pushed_to: notebookUrl, pushed_at: now };
+  }
+}
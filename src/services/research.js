@@ -1,92 +1,141 @@
 /**
- * research.js — Tavily-powered web search
+ * research.js — Web search for market & competitive research
  *
- * Replaces the old DuckDuckGo HTML scraper (blocked, unreliable) with Tavily,
- * a search API purpose-built for LLM consumption. Returns structured JSON with
- * cited results — no HTML parsing, no cookie juggling, no bot detection.
+ * searchTopic() / searchTopics() delegate to a pluggable provider from
+ * search-providers.js: Tavily, Brave Search, SerpAPI, Exa or a SearXNG instance.
+ * The old DuckDuckGo HTML scraper (blocked, unreliable) is gone for good.
  *
- * Requires: TAVILY_API_KEY environment variable
- * Free tier: 1,000 searches/month — https://app.tavily.com
+ * Pick a backend in .digitalpM.json:
+ *   "research": { "provider": "brave" }
+ * or with DIGITAL_PM_SEARCH_PROVIDER. Otherwise the first provider whose
+ * credentials are set is used (Tavily first).
  *
- * Add to your MCP config:
+ * Add the matching key to your MCP config:
  *   "digital-pm-mcp": { "env": { "TAVILY_API_KEY": "tvly-..." } }
+ *
+ * Per-project search controls, also under "research" in .digitalpM.json:
+ *   include_domains  — only keep results from these domains (subdomains match)
+ *   exclude_domains  — drop results from these domains
+ *   recency_days     — only pages published within the last N days
+ *   search_depth     — "basic" | "advanced" (Tavily; advanced costs 2× credits)
+ *   max_results      — results per topic (1–20)
+ * Providers apply them natively where they can; domain rules are enforced on
+ * the results afterwards regardless, so every provider honours them.
  */
 
-const TAVILY_ENDPOINT = 'https://api.tavily.com/search';
-const MAX_RESULTS     = 7;
-const SEARCH_DEPTH    = 'basic';   // 'advanced' costs 2× credits
-const TIMEOUT_MS      = 15_000;
+import { resolveProvider }                                      from './search-providers.js';
+import { queryKey, getCachedResults, cacheResults, cacheTtlMs } from './research-ledger.js';
+import { CancelledError }                                       from './errors.js';
 
-// ── API key helper ────────────────────────────────────────────────────────────
+const MAX_RESULTS       = 7;
+const MAX_RESULTS_LIMIT = 20;
+const SEARCH_DEPTH      = 'basic';   // Tavily only — 'advanced' costs 2× credits
+const SEARCH_DEPTHS     = ['basic', 'advanced'];
 
-function getTavilyKey() {
-  const key = process.env.TAVILY_API_KEY;
-  if (!key) {
-    throw new Error(
-      'TAVILY_API_KEY is not set.\n' +
-      'Get a free key (1,000 searches/month) at https://app.tavily.com\n' +
-      'Then add it to your MCP config:\n' +
-      '  "digital-pm-mcp": { "env": { "TAVILY_API_KEY": "tvly-..." } }\n' +
-      'Restart Claude Code after updating the config.'
-    );
-  }
-  return key;
-}
+// ── Settings ──────────────────────────────────────────────────────────────────
 
-// ── Core search ───────────────────────────────────────────────────────────────
+/** Lower-cased bare hostnames: "https://www.Example.com/x" → "example.com". */
+function cleanDomains(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(d => String(d).trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
 
 /**
- * Search Tavily for a single query.
- * Returns [{url, title, description}] — same shape as the old DDG results
- * so handleResearch needs zero changes.
- *
- * Never throws — returns [] on failure so callers can skip gracefully.
+ * Search options for a project, from the "research" block of .digitalpM.json.
+ * Invalid or missing values fall back to the defaults.
  */
-export async function searchTopic(query) {
-  const apiKey = getTavilyKey(); // throws if missing — let it propagate up
+function searchOptions(config) {
+  const research    = config?.research ?? {};
+  const maxResults  = Number.parseInt(research.max_results, 10);
+  const recencyDays = Number.parseInt(research.recency_days, 10);
+  return {
+    maxResults:     maxResults > 0 ? Math.min(maxResults, MAX_RESULTS_LIMIT) : MAX_RESULTS,
+    searchDepth:    SEARCH_DEPTHS.includes(research.search_depth) ? research.search_depth : SEARCH_DEPTH,
+    includeDomains: cleanDomains(research.include_domains),
+    excludeDomains: cleanDomains(research.exclude_domains),
+    recencyDays:    recencyDays > 0 ? recencyDays : null,
+  };
+}
 
-  try {
-    const res = await fetch(TAVILY_ENDPOINT, {
-      method:  'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        api_key:      apiKey,
-        query,
-        search_depth: SEARCH_DEPTH,
-        max_results:  MAX_RESULTS,
-      }),
-      signal: AbortSignal.timeout(TIMEOUT_MS),
-    });
+function onDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
 
-    if (!res.ok) {
-      const text = await res.text().catch(() => '');
-      throw new Error(`Tavily ${res.status}: ${text.slice(0, 200)}`);
-    }
+/** Drops results outside include_domains or inside exclude_domains. */
+function applyDomainRules(results, { includeDomains, excludeDomains }) {
+  if (includeDomains.length === 0 && excludeDomains.length === 0) return results;
+  return results.filter(r => {
+    let host;
+    try { host = new URL(r.url).hostname.toLowerCase().replace(/^www\./, ''); } catch { return false; }
+    if (includeDomains.length > 0 && !includeDomains.some(d => onDomain(host, d))) return false;
+    return !excludeDomains.some(d => onDomain(host, d));
+  });
+}
 
-    const data = await res.json();
+// ── Core search ───────────────────────────────────────────────────────────────
 
-    return (data.results ?? []).map(r => ({
-      url:         r.url,
-      title:       r.title   ?? r.url,
-      description: (r.content ?? r.snippet ?? '').slice(0, 400),
-    }));
+/**
+ * Runs one query through the provider, or serves it from the ledger's query
+ * cache when an identical search is younger than the cache TTL.
+ * Returns { results, cached }.
+ */
+async function runSearch(query, config, ledger) {
+  const { name, provider, apiKey, endpoint } = resolveProvider(config); // throws if unconfigured
+  const options = searchOptions(config);
+  const key     = queryKey(name, query, options);
+  const ttlMs   = cacheTtlMs(config);
+
+  const hit = ledger ? getCachedResults(ledger, key, ttlMs) : null;
+  if (hit) return { results: hit, cached: true };
 
+  try {
+    const results = applyDomainRules(await provider.search(query, { apiKey, endpoint, ...options }), options);
+    if (ledger && results.length > 0) cacheResults(ledger, key, query, results, ttlMs);
+    return { results, cached: false };
   } catch (err) {
-    process.stderr.write(`[digital-pm-mcp] Tavily search failed for "${query}": ${err.message}\n`);
-    return [];
+    process.stderr.write(`[digital-pm-mcp] ${provider.label} search failed for "${query}": ${err.message}\n`);
+    return { results: [], cached: false };
   }
 }
 
+/**
+ * Search a single query with the project's configured provider.
+ * Returns [{url, title, description}].
+ *
+ * Throws if no provider is configured (let it propagate up so the user sees
+ * setup instructions). Never throws on search failure — returns [] so callers
+ * can skip gracefully.
+ *
+ * @param {string} query
+ * @param {object|null} [config] - .digitalpM.json contents (provider, search controls, cache TTL)
+ * @param {object} [opts]
+ * @param {object} [opts.ledger] - from readLedger(); serves identical queries from cache
+ */
+export async function searchTopic(query, config = null, { ledger } = {}) {
+  return (await runSearch(query, config, ledger)).results;
+}
+
 /**
  * Search multiple topics sequentially with a short inter-request pause.
- * Returns [{ topic, results }] — same shape as before.
+ * Returns [{ topic, results, cached }] — same shape as before plus the cache flag.
+ *
+ * @param {string[]} topics
+ * @param {object|null} [config] - .digitalpM.json contents (provider, search controls, cache TTL)
+ * @param {object} [opts]
+ * @param {object} [opts.ledger] - from readLedger(); enables the query cache
+ * @param {AbortSignal} [opts.signal] - stops between topics with a CancelledError
+ * @param {(topic: string, index: number, total: number) => void} [opts.onTopic] - called before each search
  */
-export async function searchTopics(topics) {
+export async function searchTopics(topics, config = null, { ledger, signal, onTopic } = {}) {
   const all = [];
   for (let i = 0; i < topics.length; i++) {
-    const results = await searchTopic(topics[i]);
-    all.push({ topic: topics[i], results });
-    if (i < topics.length - 1) {
+    if (signal?.aborted) throw new CancelledError();
+    onTopic?.(topics[i], i, topics.length);
+    const { results, cached } = await runSearch(topics[i], config, ledger);
+    all.push({ topic: topics[i], results, cached });
+    if (i < topics.length - 1 && !cached) {
       await new Promise(r => setTimeout(r, 400));
     }
   }
@@ -0,0 +1,476 @@
+/**
+ * roadmap-model.js
+ *
+ * Parses ROADMAP.md into a typed model and serializes it back to markdown.
+ *
+ * The parser keeps a line-level document tree (title → ## sections → ### subsections
+ * → blocks) and exposes typed views over it: epics with their feature tables, sprint /
+ * backlog / completed items, blockers and metadata. Views reference the underlying
+ * nodes, so mutating a view mutates the document.
+ *
+ * Serialization is lossless for anything that wasn't touched: every node remembers
+ * its raw line and is only re-rendered when its parsed fields actually changed.
+ * Lines the parser doesn't understand (prose, quotes, code fences, extra headings)
+ * are carried through verbatim — hand-edited roadmaps survive a round trip.
+ *
+ * Exports:
+ *   parseRoadmap(markdown)          → RoadmapModel
+ *   serializeRoadmap(model)         → markdown string
+ *   findItem(model, text)           → the best-matching sprint/backlog/completed item
+ *   setItemState(item, state)       → 'planned' | 'in-progress' | 'done'
+ *   setItemBrief(item, path)        → links the item's saved implementation brief
+ *   addBlocker(model, text, opts)   → appends a [BLOCKER: …] entry
+ *   removeBlockers(model, match)    → removes matching blocker entries
+ *   setMetadata(model, key, value)  → upserts a `- **Key**: value` metadata entry
+ *   setCompetitors(model, rows)     → rewrites the North Star competitor table
+ */
+
+// ── Section detection ─────────────────────────────────────────────────────────
+// Matched against heading text so icons and minor wording edits don't matter.
+
+const SECTION_PATTERNS = {
+  northStar: /north star/i,
+  epics:     /strategic epics/i,
+  board:     /execution board/i,
+  feedback:  /feedback loop/i,
+  metadata:  /metadata/i,
+};
+
+const BOARD_PATTERNS = {
+  sprint:    /sprint/i,
+  backlog:   /backlog/i,
+  completed: /completed/i,
+};
+
+const PLACEHOLDERS = {
+  blockers:    '_No blockers detected._',
+  competitors: '_No competitors tracked yet — add them with `digitalPM_competitors`._',
+};
+
+const COMPETITOR_HEADER = ['Competitor', 'Their approach', 'Our edge'];
+const COMPETITOR_SEP    = '|------------|----------------|----------|';
+const EDGE_PLACEHOLDER  = '_← Define our differentiator_';
+
+const CHECKBOX_STATES = { ' ': 'planned', '/': 'in-progress', 'x': 'done', 'X': 'done' };
+const CHECKBOX_MARKS  = { 'planned': ' ', 'in-progress': '/', 'done': 'x' };
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// ── Line-level node parsers / renderers ───────────────────────────────────────
+
+const LIST_RE    = /^(\s*)- (.*)$/;
+const TASK_RE    = /^\[([ /xX])\] (.*)$/;
+const TASK_BODY  = /^(?:`(P\d)`\s+)?(?:\*\*(.+?)\*\*:\s+)?(.*)$/;
+const BRIEF_LINK = /\s+·\s+\[brief\]\(([^)\s]+)\)$/;
+const BLOCKER_RE = /^\*\*\[BLOCKER: ([^\]]+)\]\*\*\s*(?:(\d{4}-\d{2}-\d{2}):\s*)?(.*)$/;
+const META_RE    = /^\*\*([^*]+)\*\*:\s*(.*)$/;
+
+function parseListItem(line) {
+  const [, indent, rest] = line.match(LIST_RE);
+  const task = rest.match(TASK_RE);
+  if (task) {
+    const [, priority, epic, body] = task[2].match(TASK_BODY);
+    const brief = body.match(BRIEF_LINK);
+    const title = brief ? body.slice(0, brief.index) : body;
+    return { type: 'task', indent, state: CHECKBOX_STATES[task[1]], priority: priority ?? null, epic: epic ?? null, title, brief: brief?.[1] ?? null, raw: line };
+  }
+  const blocker = rest.match(BLOCKER_RE);
+  if (blocker) {
+    return { type: 'blocker', indent, kind: blocker[1], date: blocker[2] ?? null, text: blocker[3], raw: line };
+  }
+  const meta = rest.match(META_RE);
+  if (meta) {
+    return { type: 'meta', indent, key: meta[1], value: meta[2], raw: line };
+  }
+  return { type: 'bullet', indent, text: rest, raw: line };
+}
+
+function renderListItem(node) {
+  switch (node.type) {
+    case 'task': {
+      const priority = node.priority ? `\`${node.priority}\` ` : '';
+      const epic     = node.epic     ? `**${node.epic}**: `    : '';
+      const brief    = node.brief    ? ` · [brief](${node.brief})` : '';
+      return `${node.indent}- [${CHECKBOX_MARKS[node.state]}] ${priority}${epic}${node.title}${brief}`;
+    }
+    case 'blocker':
+      return `${node.indent}- **[BLOCKER: ${node.kind}]**${node.date ? ` ${node.date}:` : ''} ${node.text}`;
+    case 'meta':
+      return `${node.indent}- **${node.key}**: ${node.value}`;
+    default:
+      return `${node.indent}- ${node.text}`;
+  }
+}
+
+function splitRow(line) {
+  // Escaped pipes (\|) stay inside their cell
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(c => c.trim());
+}
+
+function renderRow(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+/** Emit the raw line when the node still renders the way it was parsed. */
+function emit(node, parse, render) {
+  if (node.raw !== undefined && render(parse(node.raw)) === render(node)) return node.raw;
+  return render(node);
+}
+
+// ── Document tree ─────────────────────────────────────────────────────────────
+
+/**
+ * Groups lines into blocks: consecutive list lines → list, consecutive table lines
+ * → table, everything else → one text block per line. Code fences are opaque.
+ */
+function parseBlocks(lines) {
+  const blocks = [];
+  let inFence  = false;
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const last = blocks[blocks.length - 1];
+
+    if (!inFence && LIST_RE.test(line)) {
+      const item = parseListItem(line);
+      if (last?.type === 'list') last.items.push(item);
+      else blocks.push({ type: 'list', items: [item] });
+    } else if (!inFence && /^\s*\|/.test(line)) {
+      if (last?.type === 'table') {
+        if (/^\s*\|[\s:|-]+\|\s*$/.test(line) && last.rows.length === 0 && !last.separator) last.separator = line;
+        else last.rows.push({ cells: splitRow(line), raw: line });
+      } else {
+        blocks.push({ type: 'table', header: { cells: splitRow(line), raw: line }, separator: null, rows: [] });
+      }
+    } else {
+      blocks.push({ type: 'text', line });
+    }
+  }
+  return blocks;
+}
+
+function renderBlocks(blocks) {
+  const out = [];
+  for (const block of blocks) {
+    if (block.type === 'text') {
+      out.push(block.line);
+    } else if (block.type === 'list') {
+      for (const item of block.items) out.push(emit(item, parseListItem, renderListItem));
+    } else {
+      const row = r => (r.raw !== undefined && renderRow(splitRow(r.raw)) === renderRow(r.cells)) ? r.raw : renderRow(r.cells);
+      out.push(row(block.header));
+      out.push(block.separator ?? renderRow(block.header.cells.map(c => '-'.repeat(Math.max(3, c.length)))));
+      for (const r of block.rows) out.push(row(r));
+    }
+  }
+  return out;
+}
+
+/** Splits lines on headings of the given depth, ignoring headings inside code fences. */
+function splitOnHeading(lines, depth) {
+  const marker = '#'.repeat(depth) + ' ';
+  const parts  = [{ heading: null, lines: [] }];
+  let inFence  = false;
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    if (!inFence && line.startsWith(marker)) parts.push({ heading: line, lines: [] });
+    else parts[parts.length - 1].lines.push(line);
+  }
+  return parts;
+}
+
+const headingTitle = heading => heading.replace(/^#+\s*/, '').trim();
+
+// ── Typed views ───────────────────────────────────────────────────────────────
+
+function tableView(block, fields) {
+  return block.rows.map(row => {
+    const view = { row };
+    fields.forEach((field, i) => {
+      Object.defineProperty(view, field, {
+        enumerable: true,
+        get: ()  => row.cells[i] ?? '',
+        set: (v) => { row.cells[i] = v; },
+      });
+    });
+    return view;
+  });
+}
+
+const listItems = (blocks, type) =>
+  blocks.filter(b => b.type === 'list').flatMap(b => b.items).filter(i => i.type === type);
+
+function findSection(sections, key, patterns = SECTION_PATTERNS) {
+  return sections.find(s => patterns[key].test(s.title)) ?? null;
+}
+
+/** All blocks under a section, including its ### subsections. */
+const allBlocks = section => section ? [...section.blocks, ...section.subsections.flatMap(s => s.blocks)] : [];
+
+function buildViews(doc) {
+  const northStar = findSection(doc.sections, 'northStar');
+  const epicsSec  = findSection(doc.sections, 'epics');
+  const board     = findSection(doc.sections, 'board');
+  const feedback  = findSection(doc.sections, 'feedback');
+  const metadata  = findSection(doc.sections, 'metadata');
+
+  const competitorTable = northStar?.blocks.find(b => b.type === 'table') ?? null;
+
+  const epics = (epicsSec?.subsections ?? []).map(sub => {
+    const title   = sub.title;
+    const match   = title.match(/^(\p{Extended_Pictographic}\uFE0F?)\s+(.*)$/u);
+    const quote   = sub.blocks.find(b => b.type === 'text' && /NotebookLM Insight/.test(b.line));
+    const table   = sub.blocks.find(b => b.type === 'table');
+    return {
+      name:     match ? match[2] : title,
+      icon:     match ? match[1] : null,
+      insight:  quote ? quote.line.replace(/^>\s*💡\s*\*\*NotebookLM Insight\*\*:\s*/, '').replace(/^_"|"_$/g, '') : null,
+      features: table ? tableView(table, ['feature', 'status', 'priority']) : [],
+      section:  sub,
+    };
+  });
+
+  const boardSub = key => board?.subsections.find(s => BOARD_PATTERNS[key].test(s.title)) ?? null;
+
+  return {
+    title:       doc.title ? headingTitle(doc.title) : null,
+    competitors: competitorTable ? tableView(competitorTable, ['competitor', 'approach', 'edge']) : [],
+    epics,
+    sprint:      listItems(boardSub('sprint')?.blocks    ?? [], 'task'),
+    backlog:     listItems(boardSub('backlog')?.blocks   ?? [], 'task'),
+    completed:   listItems(boardSub('completed')?.blocks ?? [], 'task'),
+    blockers:    listItems(allBlocks(feedback), 'blocker'),
+    metadata:    Object.fromEntries(listItems(allBlocks(metadata), 'meta').map(m => [m.key, m.value])),
+  };
+}
+
+// ── PUBLIC: parse / serialize ─────────────────────────────────────────────────
+
+/**
+ * Parses ROADMAP.md into a typed model.
+ *
+ * @param {string} markdown
+ * @returns {{
+ *   title: string|null,
+ *   competitors: Array<{ competitor: string, approach: string, edge: string }>,
+ *   epics: Array<{ name: string, icon: string|null, insight: string|null, features: Array<{ feature: string, status: string, priority: string }> }>,
+ *   sprint: object[], backlog: object[], completed: object[],
+ *   blockers: Array<{ kind: string, date: string|null, text: string }>,
+ *   metadata: Record<string, string>,
+ *   doc: object,
+ * }}
+ */
+export function parseRoadmap(markdown) {
+  const eol   = markdown.includes('\r\n') ? '\r\n' : '\n';
+  const lines = markdown.split(/\r?\n/);
+
+  const [head, ...rest] = splitOnHeading(lines, 2);
+  const titleIdx = head.lines.findIndex(l => /^# /.test(l));
+  const doc = {
+    eol,
+    before:   titleIdx === -1 ? [] : head.lines.slice(0, titleIdx),
+    title:    titleIdx === -1 ? null : head.lines[titleIdx],
+    preamble: parseBlocks(titleIdx === -1 ? head.lines : head.lines.slice(titleIdx + 1)),
+    sections: rest.map(part => {
+      const [intro, ...subs] = splitOnHeading(part.lines, 3);
+      return {
+        heading:     part.heading,
+        title:       headingTitle(part.heading),
+        blocks:      parseBlocks(intro.lines),
+        subsections: subs.map(s => ({ heading: s.heading, title: headingTitle(s.heading), blocks: parseBlocks(s.lines) })),
+      };
+    }),
+  };
+
+  return { ...buildViews(doc), doc };
+}
+
+/**
+ * Serializes a model (as returned by parseRoadmap, possibly mutated) to markdown.
+ * Untouched lines are emitted byte-for-byte.
+ */
+export function serializeRoadmap(model) {
+  const { doc } = model;
+  const out = [...doc.before];
+  if (doc.title !== null) out.push(doc.title);
+  out.push(...renderBlocks(doc.preamble));
+  for (const section of doc.sections) {
+    out.push(section.heading, ...renderBlocks(section.blocks));
+    for (const sub of section.subsections) out.push(sub.heading, ...renderBlocks(sub.blocks));
+  }
+  return out.join(doc.eol);
+}
+
+// ── PUBLIC: mutations ─────────────────────────────────────────────────────────
+
+/**
+ * Finds the Active Execution Board item that best matches `text`:
+ * exact title match first, then title substring, then epic + title substring.
+ * Case-insensitive. Returns null if nothing matches.
+ */
+export function findItem(model, text) {
+  const needle = text.toLowerCase().trim();
+  const items  = [...model.sprint, ...model.backlog, ...model.completed];
+  const full   = i => `${i.epic ?? ''}: ${i.title}`.toLowerCase();
+  return items.find(i => i.title.toLowerCase() === needle)
+    ?? items.find(i => i.title.toLowerCase().includes(needle))
+    ?? items.find(i => full(i).includes(needle))
+    ?? null;
+}
+
+/** Sets an item's checkbox state. Returns false if the state is unknown. */
+export function setItemState(item, state) {
+  if (!(state in CHECKBOX_MARKS)) return false;
+  item.state = state;
+  return true;
+}
+
+/**
+ * Links an item to its saved implementation brief (` · [brief](path)` after the
+ * title); null removes the link. Returns false if the link is already there.
+ */
+export function setItemBrief(item, path) {
+  if ((item.brief ?? null) === path) return false;
+  item.brief = path;
+  return true;
+}
+
+/** Renders an item the way it appears on the board (for messages). */
+export function describeItem(item) {
+  return renderListItem({ ...item, indent: '' });
+}
+
+/**
+ * Appends a [BLOCKER: kind] entry to the Feedback Loop section, replacing the
+ * "_No blockers detected._" placeholder if it's still there.
+ * Returns false if the roadmap has no Feedback Loop section.
+ */
+export function addBlocker(model, text, { kind = 'Research Shift', date = today() } = {}) {
+  const section = findSection(model.doc.sections, 'feedback');
+  if (!section) return false;
+
+  const node = { type: 'blocker', indent: '', kind, date, text };
+  const list = section.blocks.find(b => b.type === 'list' && b.items.some(i => i.type === 'blocker'));
+
+  if (list) {
+    list.items.push(node);
+  } else {
+    const placeholder = section.blocks.findIndex(b => b.type === 'text' && b.line.trim() === PLACEHOLDERS.blockers);
+    if (placeholder !== -1) section.blocks.splice(placeholder, 1, { type: 'list', items: [node] });
+    else insertBeforeTrailer(section.blocks, { type: 'list', items: [node] });
+  }
+
+  model.blockers.push(node);
+  return true;
+}
+
+/**
+ * Removes blocker entries whose text contains `match` (case-insensitive), or for
+ * which `match(blocker)` returns true. Restores the placeholder when none remain.
+ * Returns the number of entries removed.
+ */
+export function removeBlockers(model, match) {
+  const section = findSection(model.doc.sections, 'feedback');
+  if (!section) return 0;
+
+  const test = typeof match === 'function'
+    ? match
+    : b => b.text.toLowerCase().includes(String(match).toLowerCase());
+
+  // Emptied lists leave a null marker so the placeholder can go back where they were
+  let removed  = 0;
+  const blocks = section.blocks.map(block => {
+    if (block.type !== 'list') return block;
+    const kept = block.items.filter(i => !(i.type === 'blocker' && test(i)));
+    removed   += block.items.length - kept.length;
+    block.items = kept;
+    return kept.length > 0 ? block : null;
+  });
+
+  const remaining = listItems(blocks.filter(Boolean), 'blocker').length;
+  const first     = blocks.indexOf(null);
+  section.blocks  = blocks
+    .map((b, i) => (b === null && i === first && remaining === 0 ? { type: 'text', line: PLACEHOLDERS.blockers } : b))
+    .filter(Boolean);
+
+  model.blockers = listItems(allBlocks(section), 'blocker');
+  return removed;
+}
+
+/**
+ * Upserts a `- **Key**: value` entry in the Metadata section.
+ * Returns true if the document changed.
+ */
+export function setMetadata(model, key, value) {
+  const section = findSection(model.doc.sections, 'metadata');
+  if (!section) return false;
+
+  const entry = listItems(section.blocks, 'meta').find(m => m.key === key);
+  if (entry) {
+    if (entry.value === value) return false;
+    entry.value = value;
+  } else {
+    const list = section.blocks.find(b => b.type === 'list');
+    const node = { type: 'meta', indent: '', key, value };
+    if (list) list.items.push(node);
+    else insertBeforeTrailer(section.blocks, { type: 'list', items: [node] });
+  }
+
+  model.metadata[key] = value;
+  return true;
+}
+
+/**
+ * Rewrites the competitor table in the Contextual North Star section from
+ * `rows` ([{ name, url, approach }]). "Our edge" cells are hand-written, so
+ * they're carried over for competitors already in the table (matched by name).
+ * An empty list swaps the table for a placeholder line.
+ * Returns true if the document changed.
+ */
+export function setCompetitors(model, rows) {
+  const section = findSection(model.doc.sections, 'northStar');
+  if (!section) return false;
+
+  const cellName = cell => cell.replace(/^\[([^\]]*)\]\(.*\)$/, '$1').trim().toLowerCase();
+  const escape   = text => String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+
+  const tableIdx = section.blocks.findIndex(b => b.type === 'table');
+  const table    = tableIdx === -1 ? null : section.blocks[tableIdx];
+  const before   = table ? renderBlocks([table]).join('\n') : null;
+  const edges    = new Map((table?.rows ?? []).map(r => [cellName(r.cells[0] ?? ''), r.cells[2]]));
+
+  if (rows.length === 0) {
+    if (!table) return false;
+    section.blocks.splice(tableIdx, 1, { type: 'text', line: PLACEHOLDERS.competitors });
+    model.competitors = [];
+    return true;
+  }
+
+  const next = table ?? { type: 'table', header: { cells: [...COMPETITOR_HEADER] }, separator: COMPETITOR_SEP, rows: [] };
+  next.rows  = rows.map(({ name, url, approach }) => {
+    const cells = [
+      url ? `[${escape(name)}](${url})` : escape(name),
+      escape(approach || 'N/A'),
+      edges.get(name.trim().toLowerCase()) || EDGE_PLACEHOLDER,
+    ];
+    const existing = table?.rows.find(r => cellName(r.cells[0] ?? '') === name.trim().toLowerCase());
+    return existing?.raw !== undefined ? { cells, raw: existing.raw } : { cells };
+  });
+
+  if (!table) {
+    const placeholder = section.blocks.findIndex(b => b.type === 'text' && b.line.trim() === PLACEHOLDERS.competitors);
+    if (placeholder !== -1) section.blocks.splice(placeholder, 1, next);
+    else insertBeforeTrailer(section.blocks, next);
+  }
+
+  model.competitors = tableView(next, ['competitor', 'approach', 'edge']);
+  return !table || renderBlocks([next]).join('\n') !== before;
+}
+
+/** Inserts a block after the last content line, before trailing blanks / `---`. */
+function insertBeforeTrailer(blocks, block) {
+  let i = blocks.length;
+  while (i > 0 && blocks[i - 1].type === 'text' && /^\s*(---)?\s*$/.test(blocks[i - 1].line)) i--;
+  blocks.splice(i, 0, ...(i > 0 ? [{ type: 'text', line: '' }] : []), block);
+}
@@ -14,6 +14,11 @@
 
 import { readFile, writeFile } from 'fs/promises';
 import { join }                from 'path';
+import {
+  parseRoadmap, serializeRoadmap, findItem, setItemState, setItemBrief, describeItem,
+  addBlocker as addModelBlocker, removeBlockers, setMetadata, setCompetitors,
+} from './roadmap-model.js';
+import { archiveBrief }        from './briefs.js';
 
 const ROADMAP_FILE = 'ROADMAP.md';
 const today = () => new Date().toISOString().split('T')[0];
@@ -136,41 +141,6 @@ const BASE_EPICS = [
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-/**
- * Pull top competitor entries from DuckDuckGo research results.
- * Prioritises results from topics containing "competitor" or "alternative".
- */
-function extractCompetitors(researchResults, max = 5) {
-  const rows = [];
-
-  // Favour competitor-focused topics first
-  const sorted = [...researchResults].sort((a, b) => {
-    const aScore = /competitor|alternative|vs\b/i.test(a.topic) ? 1 : 0;
-    const bScore = /competitor|alternative|vs\b/i.test(b.topic) ? 1 : 0;
-    return bScore - aScore;
-  });
-
-  for (const { results: topicResults } of sorted) {
-    for (const r of topicResults) {
-      if (rows.length >= max) break;
-      if (!r.url || r.url.includes('duckduckgo.com')) continue;
-
-      // Clean competitor name from page title
-      const name = (r.title || r.url)
-        .split(/[|–—\-:]/)[0]
-        .replace(/<[^>]+>/g, '')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .slice(0, 45);
-
-      const approach = (r.description || '').replace(/\s+/g, ' ').trim().slice(0, 90);
-      rows.push({ name, url: r.url, approach });
-    }
-  }
-
-  return rows;
-}
-
 /**
  * Derive relevant epics from the detected tech stack.
  * Attaches the best-matching research insight to each epic.
@@ -228,6 +198,7 @@ function pickInsight(researchResults, keywords) {
  * @param {string[]} opts.techStack
  * @param {number}   opts.fileCount
  * @param {Array}    opts.researchResults  — from searchTopics()
+ * @param {Array}    opts.competitors      — [{ name, url, approach }] from the competitor registry
  * @param {string}   opts.notebookUrl
  * @param {string[]} opts.researchTopics
  * @returns {string}
@@ -240,9 +211,9 @@ export function generateRoadmapContent({
   researchResults,
   notebookUrl,
   researchTopics,
+  competitors = [],
 }) {
   const date        = today();
-  const competitors = extractCompetitors(researchResults);
   const epics       = deriveEpics(techStack, researchResults);
   const lines       = [];
 
@@ -260,17 +231,22 @@ export function generateRoadmapContent({
   lines.push(`**What we're building**: ${description || projectName}`);
   lines.push('');
 
+  // Built from the competitor registry in .digitalpM.json (digitalPM_competitors)
+  lines.push('**Competitive Landscape** _(tracked competitors — manage with `digitalPM_competitors`)_:');
+  lines.push('');
   if (competitors.length > 0) {
-    lines.push('**Competitive Landscape** _(sourced from market research — update as the space evolves)_:');
-    lines.push('');
     lines.push('| Competitor | Their approach | Our edge |');
     lines.push('|------------|----------------|----------|');
     for (const c of competitors) {
-      const approach = c.approach || 'N/A';
-      lines.push(`| [${c.name}](${c.url}) | ${approach} | _← Define our differentiator_ |`);
+      const label    = c.name.replace(/\|/g, '\\|');
+      const name     = c.url ? `[${label}](${c.url})` : label;
+      const approach = (c.approach || 'N/A').replace(/\|/g, '\\|');
+      lines.push(`| ${name} | ${approach} | _← Define our differentiator_ |`);
     }
-    lines.push('');
+  } else {
+    lines.push('_No competitors tracked yet — add them with `digitalPM_competitors`._');
   }
+  lines.push('');
 
   lines.push(`> 🔎 **Research basis**: ${researchResults.length} topic(s) indexed in NotebookLM on ${date}.`);
   lines.push(`> Ask your PM: _"How do we differentiate from competitors based on the latest research?"_`);
@@ -377,69 +353,151 @@ export async function readRoadmap(projectPath) {
   }
 }
 
+/** Parsed ROADMAP.md model (roadmap-model.js), or null if there is no roadmap. */
+export async function readRoadmapModel(projectPath) {
+  const content = await readRoadmap(projectPath);
+  return content ? parseRoadmap(content) : null;
+}
+
+/** The Active Execution Board item best matching `text` (findItem()), or null. */
+export async function findRoadmapItem(projectPath, text) {
+  const model = await readRoadmapModel(projectPath);
+  return model ? findItem(model, text) : null;
+}
+
 // ── Tactical patches (state machine updates) ──────────────────────────────────
+// Every mutation goes through the parsed model (roadmap-model.js) so hand-edited
+// roadmaps keep their formatting and the patchers don't depend on exact wording.
+
+/**
+ * Reads ROADMAP.md, applies `mutate(model)` and writes the result back.
+ * The mutator returns a truthy value if it changed anything; that value is
+ * returned to the caller. Returns null if there is no ROADMAP.md.
+ */
+export async function updateRoadmap(projectPath, mutate) {
+  const content = await readRoadmap(projectPath);
+  if (!content) return null;
+
+  const model  = parseRoadmap(content);
+  const result = mutate(model);
+  if (result) await writeRoadmap(projectPath, serializeRoadmap(model));
+  return result;
+}
 
 /**
  * Updates the "Last tactical sync" date in the Metadata section.
  * Called automatically after every digitalPM_sync run.
  */
 export async function patchTacticalSync(projectPath) {
-  const content = await readRoadmap(projectPath);
-  if (!content) return false;
-
-  const patched = content.replace(
-    /- \*\*Last tactical sync\*\*: \d{4}-\d{2}-\d{2}/,
-    `- **Last tactical sync**: ${today()}`
-  );
-  if (patched === content) return false;
+  const changed = await updateRoadmap(projectPath, model => setMetadata(model, 'Last tactical sync', today()));
+  return Boolean(changed);
+}
 
-  await writeRoadmap(projectPath, patched);
-  return true;
+/**
+ * Rewrites the North Star competitor table from the competitor registry,
+ * keeping hand-written "Our edge" cells. Returns true if ROADMAP.md changed.
+ */
+export async function syncCompetitorTable(projectPath, rows) {
+  const changed = await updateRoadmap(projectPath, model => setCompetitors(model, rows));
+  return Boolean(changed);
 }
 
+// Checkbox state machine from the Active Execution Board protocol:
+//   `[ ]` planned → `[/]` in progress → `[x]` verified
+// Each target status lists the states it may be entered from.
+const TRANSITIONS = {
+  'in-progress': ['planned'],
+  'done':        ['in-progress'],
+  'planned':     ['in-progress', 'done'],   // reopen
+};
+
 /**
  * Moves a sprint/backlog item to a new state.
- * Finds the first line matching itemText and replaces its checkbox.
+ * Finds the best-matching board item and validates the move against the
+ * `[ ] → [/] → [x]` state machine before updating its checkbox.
+ *
+ * Completing an item that links a saved brief (docs/briefs/) archives the
+ * brief and repoints the link; `brief` reports the move, or `error` if the
+ * brief couldn't be archived (the transition itself still stands).
  *
  * @param {string} projectPath
- * @param {string} itemText      - Substring that uniquely identifies the item
- * @param {'in-progress'|'done'} status
+ * @param {string} itemText      - Text that identifies the item (title or substring)
+ * @param {'planned'|'in-progress'|'done'} status
+ * @returns {Promise<{ ok: boolean, from?: string, to?: string, line?: string, reason?: string,
+ *                     brief?: { from: string, to?: string, error?: string } }>}
  */
 export async function patchSprintItem(projectPath, itemText, status) {
-  const content = await readRoadmap(projectPath);
-  if (!content) return false;
-
-  const checkboxMap = { 'in-progress': '[/]', 'done': '[x]' };
-  const newBox = checkboxMap[status];
-  if (!newBox) return false;
-
-  // Replace the first matching line's checkbox ([ ] or [/])
-  const lines = content.split('\n');
-  let changed = false;
-  for (let i = 0; i < lines.length; i++) {
-    if (lines[i].includes(itemText) && /\[[ /]\]/.test(lines[i])) {
-      lines[i] = lines[i].replace(/\[[ /]\]/, newBox);
-      changed = true;
-      break;
+  if (!TRANSITIONS[status]) return { ok: false, reason: `Unknown status "${status}"` };
+
+  let outcome = { ok: false, reason: 'ROADMAP.md not found' };
+  let brief   = null;
+  await updateRoadmap(projectPath, model => {
+    const item = findItem(model, itemText);
+    if (!item) {
+      outcome = { ok: false, reason: `No roadmap item matches "${itemText}"` };
+      return false;
+    }
+
+    const from = item.state;
+    if (!TRANSITIONS[status].includes(from)) {
+      outcome = { ok: false, from, to: status, line: describeItem(item), reason: `Cannot move from ${from} to ${status}` };
+      return false;
+    }
+
+    setItemState(item, status);
+    outcome = { ok: true, from, to: status, line: describeItem(item) };
+    if (status === 'done') brief = item.brief;
+    return true;
+  });
+
+  if (brief) {
+    try {
+      const archived = await archiveBrief(projectPath, brief);
+      if (archived) {
+        outcome.brief = { from: brief, to: archived };
+        await updateRoadmap(projectPath, model => {
+          const item = findItem(model, itemText);
+          if (!item || !setItemBrief(item, archived)) return false;
+          outcome.line = describeItem(item);
+          return true;
+        });
+      }
+    } catch (err) {
+      process.stderr.write(`[digital-pm-mcp] Could not archive brief ${brief}: ${err.message}\n`);
+      outcome.brief = { from: brief, error: err.message };
     }
   }
+  return outcome;
+}
 
-  if (!changed) return false;
-  await writeRoadmap(projectPath, lines.join('\n'));
-  return true;
+/**
+ * Links the board item matching `itemText` to a saved implementation brief.
+ * Returns the item's updated line, or null if ROADMAP.md has no such item.
+ */
+export async function linkBrief(projectPath, itemText, path) {
+  let line = null;
+  await updateRoadmap(projectPath, model => {
+    const item = findItem(model, itemText);
+    if (!item) return false;
+    const changed = setItemBrief(item, path);
+    line = describeItem(item);
+    return changed;
+  });
+  return line;
 }
 
 /**
  * Appends a [BLOCKER: Research Shift] entry to the Feedback Loop section.
  */
 export async function addBlocker(projectPath, blockerText) {
-  const content = await readRoadmap(projectPath);
-  if (!content) return false;
-
-  const entry = `\n- **[BLOCKER: Research Shift]** ${today()}: ${blockerText}`;
-  const patched = content.replace('_No blockers detected._', `_No blockers detected._${entry}`);
+  const added = await updateRoadmap(projectPath, model => addModelBlocker(model, blockerText));
+  return Boolean(added);
+}
 
-  if (patched === content) return false;
-  await writeRoadmap(projectPath, patched);
-  return true;
+/**
+ * Removes every [BLOCKER: …] entry in the Feedback Loop that mentions blockerText.
+ * Returns the number of entries removed.
+ */
+export async function removeBlocker(projectPath, blockerText) {
+  return (await updateRoadmap(projectPath, model => removeBlockers(model, blockerText))) ?? 0;
 }
@@ -0,0 +1,85 @@
+/**
+ * run-log.js
+ *
+ * Append-only history of sync runs at .digitalpm/runs.jsonl — one JSON record
+ * per line, newest last:
+ *
+ *   {
+ *     "started_at": "…", "finished_at": "…", "duration_ms": 41230,
+ *     "trigger": "scheduled" | "manual", "mode": "both",
+ *     "status": "ok" | "partial" | "failed",
+ *     "files": 212,
+ *     "sources":     { "added": 1, "changed": 2, "unchanged": 9, "replaced": 2 },
+ *     "research":    { "topics": 5, "cached": 1, "urls_found": 30, "urls_added": 6, "urls_skipped": 24 },
+ *     "competitors": { "checked": 4, "changes": 1, "blockers": 0 },
+ *     "errors": ["Research summary failed: …"]
+ *   }
+ *
+ * "partial" means the run finished but something failed along the way;
+ * "failed" means it threw. The log is trimmed to the newest MAX_RUNS records.
+ */
+
+import { readFile, writeFile, appendFile, mkdir } from 'fs/promises';
+import { dirname }                                from 'path';
+
+import { getStatePath } from './config.js';
+
+const RUNS_FILE = 'runs.jsonl';
+const MAX_RUNS  = 500;
+
+/**
+ * Builds a run record from runSync() stats (or a thrown error) and appends it.
+ * Never throws — losing a log line must not fail the sync itself.
+ */
+export async function recordRun(projectPath, { startedAt, trigger, mode, stats = null, error = null }) {
+  const finishedAt = new Date();
+  const errors     = [...(stats?.errors ?? []), ...(error ? [error.message ?? String(error)] : [])];
+  const record     = {
+    started_at:  startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    trigger,
+    mode,
+    status:      error ? 'failed' : errors.length > 0 ? 'partial' : 'ok',
+    ...(stats ? { files: stats.files, sources: stats.sources, research: stats.research, competitors: stats.competitors } : {}),
+    errors,
+  };
+
+  try {
+    const file = getStatePath(projectPath, RUNS_FILE);
+    await mkdir(dirname(file), { recursive: true });
+    await appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+
+    const runs = await readRuns(projectPath);
+    if (runs.length > MAX_RUNS) {
+      await writeFile(file, runs.slice(-MAX_RUNS).map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+    }
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Could not write run log: ${err.message}\n`);
+  }
+  return record;
+}
+
+/**
+ * All recorded runs, oldest first. Unparseable lines (e.g. a run killed
+ * mid-write) are skipped.
+ */
+export async function readRuns(projectPath) {
+  let raw;
+  try {
+    raw = await readFile(getStatePath(projectPath, RUNS_FILE), 'utf8');
+  } catch {
+    return [];
+  }
+  return raw.split('\n').flatMap(line => {
+    if (!line.trim()) return [];
+    try { return [JSON.parse(line)]; } catch { return []; }
+  });
+}
+
+/** Most recent runs in a row that didn't finish cleanly (newest first). */
+export function failureStreak(runs) {
+  const streak = [];
+  for (let i = runs.length - 1; i >= 0 && runs[i].status !== 'ok'; i--) streak.push(runs[i]);
+  return streak;
+}
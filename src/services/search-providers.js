@@ -0,0 +1,250 @@
+/**
+ * search-providers.js — Interchangeable web search backends
+ *
+ * Every provider turns a query into [{ url, title, description }] — the shape
+ * handleResearch, handleSync and the roadmap generator already consume.
+ *
+ *   tavily   — TAVILY_API_KEY    https://app.tavily.com (1,000 free searches/month)
+ *   brave    — BRAVE_API_KEY     https://brave.com/search/api
+ *   serpapi  — SERPAPI_API_KEY   https://serpapi.com (Google results)
+ *   exa      — EXA_API_KEY       https://exa.ai
+ *   searxng  — SEARXNG_URL       any self-hosted SearXNG instance with JSON output enabled
+ *
+ * Selection (first match wins):
+ *   1. "research": { "provider": "brave" } in .digitalpM.json
+ *   2. DIGITAL_PM_SEARCH_PROVIDER env var
+ *   3. the first provider above whose credentials are set
+ *
+ * "research": { "endpoint": "http://localhost:8080/…" } overrides the provider's
+ * URL — for proxies, self-hosted gateways, or a local stub in tests.
+ */
+
+const TIMEOUT_MS = 15_000;
+
+// ── HTTP helper ───────────────────────────────────────────────────────────────
+
+async function fetchJson(url, init, providerName) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`${providerName} ${res.status}: ${text.slice(0, 200)}`);
+  }
+  return res.json();
+}
+
+const snippet = text => (text ?? '').replace(/\s+/g, ' ').trim().slice(0, 400);
+
+// ── Filter helpers ────────────────────────────────────────────────────────────
+// For providers without native domain / date parameters.
+
+/** Appends site: / -site: operators for engines that only filter via the query string. */
+function scopedQuery(query, { includeDomains = [], excludeDomains = [] }) {
+  const parts = [query];
+  if (includeDomains.length === 1) parts.push(`site:${includeDomains[0]}`);
+  if (includeDomains.length > 1)   parts.push(`(${includeDomains.map(d => `site:${d}`).join(' OR ')})`);
+  for (const d of excludeDomains) parts.push(`-site:${d}`);
+  return parts.join(' ');
+}
+
+/** YYYY-MM-DD for N days ago. */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** Smallest day / week / month / year bucket covering the window, or null past a year. */
+function recencyBucket(days) {
+  if (!days)       return null;
+  if (days <= 1)   return 'day';
+  if (days <= 7)   return 'week';
+  if (days <= 31)  return 'month';
+  if (days <= 366) return 'year';
+  return null;
+}
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+// search(query, opts) — opts: { apiKey, endpoint, maxResults, searchDepth,
+//                               includeDomains, excludeDomains, recencyDays }
+
+export const PROVIDERS = {
+  tavily: {
+    label:    'Tavily',
+    envKey:   'TAVILY_API_KEY',
+    endpoint: 'https://api.tavily.com/search',
+    async search(query, { apiKey, endpoint, maxResults, searchDepth, includeDomains, excludeDomains, recencyDays }) {
+      const timeRange = recencyBucket(recencyDays);
+      const data = await fetchJson(endpoint, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          api_key:      apiKey,
+          query,
+          search_depth: searchDepth,
+          max_results:  maxResults,
+          ...(includeDomains?.length ? { include_domains: includeDomains } : {}),
+          ...(excludeDomains?.length ? { exclude_domains: excludeDomains } : {}),
+          ...(timeRange ? { time_range: timeRange } : {}),
+        }),
+      }, 'Tavily');
+      return (data.results ?? []).map(r => ({
+        url:         r.url,
+        title:       r.title ?? r.url,
+        description: snippet(r.content ?? r.snippet),
+      }));
+    },
+  },
+
+  brave: {
+    label:    'Brave Search',
+    envKey:   'BRAVE_API_KEY',
+    endpoint: 'https://api.search.brave.com/res/v1/web/search',
+    async search(query, { apiKey, endpoint, maxResults, recencyDays, ...filters }) {
+      const url = new URL(endpoint);
+      url.searchParams.set('q', scopedQuery(query, filters));
+      url.searchParams.set('count', String(maxResults));
+      if (recencyDays) url.searchParams.set('freshness', `${daysAgo(recencyDays)}to${daysAgo(0)}`);
+      const data = await fetchJson(url, {
+        headers: { 'Accept': 'application/json', 'X-Subscription-Token': apiKey },
+      }, 'Brave');
+      return (data.web?.results ?? []).map(r => ({
+        url:         r.url,
+        title:       r.title ?? r.url,
+        description: snippet(r.description?.replace(/<[^>]+>/g, '')),
+      }));
+    },
+  },
+
+  serpapi: {
+    label:    'SerpAPI',
+    envKey:   'SERPAPI_API_KEY',
+    endpoint: 'https://serpapi.com/search.json',
+    async search(query, { apiKey, endpoint, maxResults, recencyDays, ...filters }) {
+      const url = new URL(endpoint);
+      url.searchParams.set('engine', 'google');
+      url.searchParams.set('q', scopedQuery(query, filters));
+      url.searchParams.set('num', String(maxResults));
+      url.searchParams.set('api_key', apiKey);
+      if (recencyDays) url.searchParams.set('tbs', `qdr:d${recencyDays}`);
+      const data = await fetchJson(url, {}, 'SerpAPI');
+      return (data.organic_results ?? []).slice(0, maxResults).map(r => ({
+        url:         r.link,
+        title:       r.title ?? r.link,
+        description: snippet(r.snippet),
+      }));
+    },
+  },
+
+  exa: {
+    label:    'Exa',
+    envKey:   'EXA_API_KEY',
+    endpoint: 'https://api.exa.ai/search',
+    async search(query, { apiKey, endpoint, maxResults, includeDomains, excludeDomains, recencyDays }) {
+      const data = await fetchJson(endpoint, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey },
+        body: JSON.stringify({
+          query,
+          numResults: maxResults,
+          contents:   { text: { maxCharacters: 400 } },
+          ...(includeDomains?.length ? { includeDomains } : {}),
+          ...(excludeDomains?.length ? { excludeDomains } : {}),
+          ...(recencyDays ? { startPublishedDate: `${daysAgo(recencyDays)}T00:00:00.000Z` } : {}),
+        }),
+      }, 'Exa');
+      return (data.results ?? []).map(r => ({
+        url:         r.url,
+        title:       r.title || r.url,
+        description: snippet(r.text ?? r.summary),
+      }));
+    },
+  },
+
+  searxng: {
+    label:    'SearXNG',
+    envKey:   'SEARXNG_URL',
+    endpoint: null,   // the instance URL is the credential
+    async search(query, { apiKey, endpoint, maxResults, recencyDays, ...filters }) {
+      const url       = new URL('search', (endpoint ?? apiKey).replace(/\/?$/, '/'));
+      const timeRange = recencyBucket(recencyDays);
+      url.searchParams.set('q', scopedQuery(query, filters));
+      url.searchParams.set('format', 'json');
+      if (timeRange) url.searchParams.set('time_range', timeRange);
+      const data = await fetchJson(url, { headers: { 'Accept': 'application/json' } }, 'SearXNG');
+      return (data.results ?? []).slice(0, maxResults).map(r => ({
+        url:         r.url,
+        title:       r.title || r.url,
+        description: snippet(r.content),
+      }));
+    },
+  },
+};
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the provider name to use for this project, or null if none is
+ * explicitly chosen and no provider has credentials.
+ */
+export function selectProviderName(config) {
+  const explicit = config?.research?.provider ?? process.env.DIGITAL_PM_SEARCH_PROVIDER;
+  if (explicit) return explicit.toLowerCase();
+  return Object.keys(PROVIDERS).find(name => process.env[PROVIDERS[name].envKey]) ?? null;
+}
+
+/** API key (or, for SearXNG, instance URL) for a provider — env first, then config endpoint. */
+function credentialFor(name, config) {
+  const provider = PROVIDERS[name];
+  if (!provider) return null;
+  return process.env[provider.envKey] ?? (provider.endpoint === null ? config?.research?.endpoint : null) ?? null;
+}
+
+/** True if research can run for this project (a provider is selected and has credentials). */
+export function hasSearchProvider(config) {
+  const name = selectProviderName(config);
+  return Boolean(name && credentialFor(name, config));
+}
+
+/**
+ * Search-related env vars that are currently set — passed through to scheduled
+ * sync jobs, which don't inherit the MCP server's environment.
+ */
+export function searchEnv() {
+  const keys = [...Object.values(PROVIDERS).map(p => p.envKey), 'DIGITAL_PM_SEARCH_PROVIDER'];
+  return Object.fromEntries(keys.filter(k => process.env[k]).map(k => [k, process.env[k]]));
+}
+
+/**
+ * Resolves the provider for a project and its credentials.
+ * Throws with setup instructions if nothing usable is configured.
+ *
+ * @returns {{ name: string, provider: object, apiKey: string, endpoint: string|null }}
+ */
+export function resolveProvider(config) {
+  const name = selectProviderName(config);
+
+  if (!name) {
+    throw new Error(
+      'No search provider configured.\n' +
+      'Set one of these in your MCP config env block:\n' +
+      Object.values(PROVIDERS).map(p => `  ${p.envKey.padEnd(16)} — ${p.label}`).join('\n') + '\n' +
+      'Free Tavily key (1,000 searches/month): https://app.tavily.com\n' +
+      'Restart Claude Code after updating the config.'
+    );
+  }
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown search provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+
+  const apiKey = credentialFor(name, config);
+  if (!apiKey) {
+    throw new Error(
+      `${provider.envKey} is not set (required by the "${name}" search provider).\n` +
+      'Add it to your MCP config:\n' +
+      `  "digital-pm-mcp": { "env": { "${provider.envKey}": "..." } }\n` +
+      'Restart Claude Code after updating the config.'
+    );
+  }
+
+  return { name, provider, apiKey, endpoint: config?.research?.endpoint ?? provider.endpoint };
+}
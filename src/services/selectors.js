@@ -0,0 +1,292 @@
+/**
+ * selectors.js
+ *
+ * Every NotebookLM DOM selector the browser automation relies on, in one
+ * versioned registry. Each step lists CSS selectors in preference order — the
+ * first is what the current UI uses, the rest are fallbacks for known or likely
+ * variants. Steps that are found by their label also carry `text` (matched
+ * case-insensitively, `exact` or `includes`) and/or `aria` (aria-label
+ * substrings); `within` scopes a step to the first element of another step.
+ *
+ * When NotebookLM changes its UI, a step fails with a SelectorError naming the
+ * step and every selector tried, instead of a generic 30-second timeout.
+ * digitalPM_doctor walks SCREENS against the live notebook (or saved HTML
+ * fixtures) and reports which step broke and whether a fallback is carrying it.
+ *
+ * Bump SELECTOR_VERSION whenever a step's selectors change.
+ */
+
+import { SelectorError } from './errors.js';
+
+export const SELECTOR_VERSION = '2026.10.1';
+
+export const SELECTORS = {
+  // ── Home page ──────────────────────────────────────────────────────────────
+  newNotebookButton: {
+    description: '"New notebook" button on the home page',
+    css:   ['button', '[role="button"]', '.new-notebook-card', 'mat-card', 'a'],
+    text:  ['new notebook', 'create notebook', 'new'],
+    match: 'exact',
+    aria:  ['new notebook', 'create notebook'],
+  },
+
+  // ── Notebook page ──────────────────────────────────────────────────────────
+  queryInput: {
+    description: 'Chat input (present once the notebook has loaded)',
+    css: ['textarea.query-box-input', 'query-box textarea', 'textarea[aria-label="Query box"]'],
+  },
+  addSourceButton: {
+    description: '"Add source" button in the sources panel',
+    css: ['button[aria-label="Add source"]', 'button.add-source-button', 'button[aria-label*="Add source" i]'],
+  },
+  sourceRow: {
+    description: 'A source in the sources panel',
+    css:      ['.single-source-container', 'source-picker .source-item'],
+    optional: true,
+  },
+  sourceTitle: {
+    description: 'Title of a source',
+    css:      ['.source-title', '.source-item-title'],
+    within:   'sourceRow',
+    optional: true,
+  },
+  sourceIcon: {
+    description: 'Type icon of a source',
+    css:      ['mat-icon', '.source-icon'],
+    within:   'sourceRow',
+    optional: true,
+  },
+  sourceMoreButton: {
+    description: '"More" (⋮) button of a source',
+    css:      ['button[aria-label="More"]', 'button.source-item-more-button'],
+    within:   'sourceRow',
+    optional: true,
+  },
+  responseContainer: {
+    description: 'A NotebookLM answer in the chat',
+    css:      ['.to-user-container', 'chat-message .to-user-message'],
+    optional: true,
+  },
+  responseText: {
+    description: 'Text of a NotebookLM answer',
+    css:      ['.message-text-content', '.to-user-message-text'],
+    within:   'responseContainer',
+    optional: true,
+  },
+  thinkingIndicator: {
+    description: '"Thinking" indicator while an answer is generated',
+    css:      ['div.thinking-message', '.thinking-indicator'],
+    optional: true,
+  },
+  citationMarker: {
+    description: 'Numbered citation chip in an answer',
+    css:      ['button.citation-marker', '.citation-marker', 'button[aria-label^="Citation" i]'],
+    within:   'responseText',
+    optional: true,
+  },
+
+  // ── Citation popover (hovering a citation chip) ────────────────────────────
+  citationPopover: {
+    description: 'Popover showing the cited passage',
+    css: ['.cdk-overlay-container .citation-tooltip', '.cdk-overlay-container [role="tooltip"]', '.cdk-overlay-container .mat-mdc-tooltip'],
+  },
+  citationSource: {
+    description: 'Source title in the citation popover',
+    css:    ['.citation-tooltip-source-title', '.source-title', '.citation-source'],
+    within: 'citationPopover',
+  },
+  citationQuote: {
+    description: 'Quoted passage in the citation popover',
+    css:    ['.citation-tooltip-text', '.highlighted-text', 'blockquote'],
+    within: 'citationPopover',
+  },
+
+  // ── Add sources dialog ─────────────────────────────────────────────────────
+  overlayBackdrop: {
+    description: 'Backdrop behind an open dialog',
+    css: ['.cdk-overlay-backdrop.cdk-overlay-backdrop-showing'],
+  },
+  dialogCloseButton: {
+    description: 'Close button of the open dialog',
+    css:      ['.cdk-overlay-container button[aria-label="Close"]'],
+    optional: true,
+  },
+  sourceTypeButton: {
+    description: 'Source-type buttons in the "Add sources" dialog',
+    css: ['.cdk-overlay-container button.drop-zone-icon-button', '.cdk-overlay-container .drop-zone button'],
+  },
+  copiedTextOption: {
+    description: '"Copied text" source type',
+    css:  ['.cdk-overlay-container button.drop-zone-icon-button', '.cdk-overlay-container .drop-zone button'],
+    text: ['copied text', 'paste text'],
+  },
+  websitesOption: {
+    description: '"Websites" source type',
+    css:  ['.cdk-overlay-container button.drop-zone-icon-button', '.cdk-overlay-container .drop-zone button'],
+    text: ['websites', 'website'],
+  },
+
+  // ── Copied text / Websites forms ───────────────────────────────────────────
+  copiedTextInput: {
+    description: 'Text area of the "Copied text" form',
+    css: ['textarea.copied-text-input-textarea', '.cdk-overlay-container textarea'],
+  },
+  urlInput: {
+    description: 'URL box of the "Websites" form',
+    css: ['.cdk-overlay-container textarea', '.cdk-overlay-container input[type="url"]'],
+  },
+  insertButton: {
+    description: '"Insert" button of the source forms',
+    css:   ['.cdk-overlay-container button'],
+    text:  ['insert'],
+    match: 'exact',
+  },
+
+  // ── Remove source ──────────────────────────────────────────────────────────
+  removeSourceMenuItem: {
+    description: '"Remove source" in a source\'s ⋮ menu',
+    css:  ['.cdk-overlay-container [role="menuitem"]', '.cdk-overlay-container button'],
+    text: ['remove source', 'delete source'],
+  },
+  confirmDeleteButton: {
+    description: '"Delete" button of the remove-source confirmation',
+    css:   ['.cdk-overlay-container button'],
+    text:  ['delete'],
+    match: 'exact',
+  },
+};
+
+/**
+ * The UI states the automation passes through, in the order digitalPM_doctor
+ * walks them, with the steps that must resolve in each. Saved fixtures are
+ * named after the screen: `<fixture dir>/<screen>.html`.
+ */
+export const SCREENS = {
+  'home':               ['newNotebookButton'],
+  'notebook':           ['queryInput', 'addSourceButton', 'sourceRow', 'sourceTitle', 'sourceIcon', 'sourceMoreButton',
+                         'responseContainer', 'responseText', 'thinkingIndicator', 'citationMarker'],
+  'citation-popover':   ['citationPopover', 'citationSource', 'citationQuote'],
+  'add-source-dialog':  ['overlayBackdrop', 'dialogCloseButton', 'sourceTypeButton', 'copiedTextOption', 'websitesOption'],
+  'copied-text-dialog': ['copiedTextInput', 'insertButton'],
+  'websites-dialog':    ['urlInput', 'insertButton'],
+  'source-menu':        ['removeSourceMenuItem'],
+  'delete-confirm':     ['confirmDeleteButton'],
+};
+
+/** The registry entry for `step`, with `within` resolved to its parent's selectors. */
+function specFor(step) {
+  const spec = SELECTORS[step];
+  if (!spec) throw new Error(`Unknown NotebookLM selector step "${step}"`);
+  return { ...spec, within: spec.within ? scopedSelectors(spec.within) : null };
+}
+
+/** A step's selectors prefixed by its ancestors' (`within` chains), most specific first. */
+function scopedSelectors(step) {
+  const { css, within } = SELECTORS[step];
+  if (!within) return css;
+  return scopedSelectors(within).flatMap(parent => css.map(sel => `${parent} ${sel}`));
+}
+
+/**
+ * Runs inside the page (passed to page.evaluate), so it must stay
+ * self-contained. Returns the first selector with a matching element, and
+ * optionally clicks that element.
+ */
+function matchInDom({ spec, visible, click }) {
+  const root = spec.within
+    ? spec.within.map(sel => document.querySelector(sel)).find(Boolean)
+    : document;
+  if (!root) return null;
+
+  const isVisible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  const labelled  = el => {
+    if (!spec.text && !spec.aria) return true;
+    const text = (el.textContent || '').trim().toLowerCase();
+    const aria = (el.getAttribute('aria-label') || '').toLowerCase();
+    return (spec.text || []).some(t => (spec.match === 'exact' ? text === t : text.includes(t)))
+        || (spec.aria || []).some(a => aria.includes(a));
+  };
+
+  for (let index = 0; index < spec.css.length; index++) {
+    const el = Array.from(root.querySelectorAll(spec.css[index]))
+      .find(e => labelled(e) && (!visible || isVisible(e)));
+    if (el) {
+      if (click) el.click();
+      return { index, selector: spec.css[index] };
+    }
+  }
+  return null;
+}
+
+// ── PUBLIC ────────────────────────────────────────────────────────────────────
+
+/**
+ * A step's selectors in readable form, with the label each must carry:
+ * `.cdk-overlay-container button (text "insert")`.
+ */
+export function describeSelectors(step) {
+  const { css, text, aria, match = 'includes' } = specFor(step);
+  const labels = [
+    ...(text ?? []).map(t => `text ${match === 'exact' ? '=' : '~'} "${t}"`),
+    ...(aria ?? []).map(a => `aria-label ~ "${a}"`),
+  ];
+  return labels.length ? css.map(sel => `${sel} (${labels.join(' or ')})`) : css;
+}
+
+/** All of a step's CSS selectors as one selector list, for page.$$ / locator(). */
+export function stepSelector(step) {
+  return specFor(step).css.join(', ');
+}
+
+/**
+ * Resolves `step` on the page right now.
+ * @returns {Promise<{ index: number, selector: string }|null>} index 0 is the primary selector
+ */
+export async function findStep(page, step, { visible = true } = {}) {
+  return page.evaluate(matchInDom, { spec: specFor(step), visible, click: false });
+}
+
+/**
+ * Waits until `step` resolves to a visible element (state "visible") or no
+ * longer does (state "hidden"). Throws SelectorError on timeout.
+ * @returns {Promise<{ index: number, selector: string }|null>}
+ */
+export async function waitForStep(page, step, { timeout = 30_000, state = 'visible' } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const match = await findStep(page, step);
+    if (state === 'visible' ? match : !match) return match;
+    if (Date.now() >= deadline) break;
+    await page.waitForTimeout(250);
+  }
+  const spec = SELECTORS[step];
+  throw new SelectorError(step, {
+    description: spec.description,
+    tried:       describeSelectors(step),
+    state,
+    url:         page.url(),
+  });
+}
+
+/**
+ * Clicks the element `step` resolves to. Plain CSS steps get a real mouse
+ * click; label-matched steps are clicked in the page, as the matching element
+ * can't be addressed by a selector alone.
+ */
+export async function clickStep(page, step, { timeout = 30_000 } = {}) {
+  const match = await waitForStep(page, step, { timeout });
+  const spec  = SELECTORS[step];
+  if (spec.text || spec.aria || spec.within) {
+    await page.evaluate(matchInDom, { spec: specFor(step), visible: true, click: true });
+  } else {
+    await page.click(match.selector, { timeout });
+  }
+  return match;
+}
+
+/** Fills the input `step` resolves to. */
+export async function fillStep(page, step, value, { timeout = 30_000 } = {}) {
+  const match = await waitForStep(page, step, { timeout });
+  await page.fill(match.selector, value, { timeout });
+  return match;
+}
@@ -0,0 +1,79 @@
+/**
+ * source-manifest.js
+ *
+ * Tracks which text sources have been pushed to NotebookLM and the hash of the
+ * content each one had, so digitalPM_sync only re-uploads what actually changed.
+ *
+ * Stored at .digitalpm/sources.json:
+ *   {
+ *     "version":      1,
+ *     "notebook_url": "https://notebooklm.google.com/notebook/…",
+ *     "sources": {
+ *       "README.md": { "hash": "…", "bytes": 5120, "uploaded_at": "2026-…" }
+ *     }
+ *   }
+ *
+ * The manifest belongs to one notebook: when the project is pointed at a new or
+ * recreated notebook it starts empty, so every source is uploaded again.
+ */
+
+import { createHash } from 'crypto';
+
+import { readStateFile, writeStateFile } from './config.js';
+
+const MANIFEST_FILE    = 'sources.json';
+const MANIFEST_VERSION = 1;
+
+// digital-pm-mcp stamps generated sources with the current date / sync time.
+// Those lines change on every run, so they're excluded from the content hash.
+const VOLATILE_LINES = /^_(Generated \d{4}-\d{2}-\d{2}|Sync update — |Full sync ).*_$/;
+
+/**
+ * SHA-256 of the source content, ignoring digital-pm-mcp's own timestamp lines
+ * and trailing whitespace so cosmetic churn doesn't trigger a re-upload.
+ */
+export function hashContent(content) {
+  const normalized = content
+    .split(/\r?\n/)
+    .filter(line => !VOLATILE_LINES.test(line.trim()))
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * The manifest for `notebookUrl` — empty if none was written yet, or if the one
+ * on disk was recorded against another notebook (or before notebooks were recorded).
+ */
+export async function readManifest(projectPath, notebookUrl) {
+  const manifest = await readStateFile(projectPath, MANIFEST_FILE);
+  if (manifest?.version !== MANIFEST_VERSION || manifest.notebook_url !== notebookUrl) {
+    return { version: MANIFEST_VERSION, notebook_url: notebookUrl, sources: {} };
+  }
+  return manifest;
+}
+
+export async function writeManifest(projectPath, manifest) {
+  return writeStateFile(projectPath, MANIFEST_FILE, manifest);
+}
+
+/**
+ * Compares a candidate source against the manifest.
+ * @returns {'added'|'changed'|'unchanged'}
+ */
+export function classifySource(manifest, label, hash) {
+  const entry = manifest.sources[label];
+  if (!entry)              return 'added';
+  if (entry.hash !== hash) return 'changed';
+  return 'unchanged';
+}
+
+/** Records a successful upload in the manifest (in memory — call writeManifest to persist). */
+export function recordSource(manifest, label, hash, content) {
+  manifest.sources[label] = {
+    hash,
+    bytes:       Buffer.byteLength(content, 'utf8'),
+    uploaded_at: new Date().toISOString(),
+  };
+}
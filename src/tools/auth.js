@@ -0,0 +1,103 @@
+/**
+ * digitalPM_auth — Check or renew the NotebookLM Google sign-in
+ *
+ * Every NotebookLM operation runs in a headless browser with digital-pm-mcp's
+ * persistent Chrome profile. When that profile's Google session is missing or
+ * expired, operations fail with AuthRequiredError.
+ *
+ * Actions:
+ *   status — load NotebookLM headlessly and report whether the profile is signed in
+ *   login  — open a visible browser window, wait for the user to sign in,
+ *            and keep the session in the profile
+ *   import — replace the profile with a copy of notebooklm-mcp's (reuses a
+ *            sign-in made there; done automatically the first time)
+ */
+
+import {
+  probeAuth, loginInteractive, importNotebookLMProfile, getChromeProfile,
+} from '../services/notebooklm.js';
+
+export async function handleAuth({ action = 'status', timeout_seconds = 300 }) {
+  if (action === 'import') {
+    let result;
+    try {
+      result = await importNotebookLMProfile();
+    } catch (err) {
+      return { content: [{ type: 'text', text: failure('Profile import failed', err) }] };
+    }
+    return {
+      content: [{
+        type: 'text',
+        text: [
+          `## ✅ Chrome Profile Imported`,
+          ``,
+          `Copied \`${result.from}\``,
+          `   → \`${result.to}\``,
+          ``,
+          `Run \`digitalPM_auth()\` to check the imported session is still signed in.`,
+        ].join('\n'),
+      }],
+    };
+  }
+
+  if (action === 'login') {
+    let result;
+    try {
+      result = await loginInteractive({ timeoutMs: timeout_seconds * 1000 });
+    } catch (err) {
+      return {
+        content: [{
+          type: 'text',
+          text: failure('Sign-in failed', err, [
+            `A visible browser window needs a desktop session — on a headless machine, sign in`,
+            `on a machine with a display and copy the browser profile over.`,
+          ]),
+        }],
+      };
+    }
+
+    const text = result.authenticated
+      ? [
+          `## ✅ NotebookLM Signed In`,
+          ``,
+          result.alreadySignedIn
+            ? `The browser profile was already signed in — nothing to do.`
+            : `Sign-in complete. The session is saved in the browser profile and used for every headless NotebookLM call.`,
+        ]
+      : [
+          `## ⚠️ Sign-in Not Completed`,
+          ``,
+          `No NotebookLM session after ${timeout_seconds}s (last page: \`${result.url}\`).`,
+          `Run \`digitalPM_auth(action="login")\` again, and finish signing in within the time limit`,
+          `(pass \`timeout_seconds\` for longer).`,
+        ];
+    return { content: [{ type: 'text', text: text.join('\n') }] };
+  }
+
+  let probe;
+  try {
+    probe = await probeAuth();
+  } catch (err) {
+    return { content: [{ type: 'text', text: failure('Auth check failed', err) }] };
+  }
+
+  const text = probe.authenticated
+    ? [`## ✅ NotebookLM Session Active`, ``, `The browser profile is signed in to NotebookLM.`, ``, `**Profile:** \`${getChromeProfile()}\``]
+    : [
+        `## 🔒 NotebookLM Sign-in Required`,
+        ``,
+        `NotebookLM redirected to \`${probe.url}\` — the Google session is missing or expired.`,
+        ``,
+        `Run \`digitalPM_auth(action="login")\`: a browser window opens, sign in to Google,`,
+        `and the window closes by itself once NotebookLM loads.`,
+        ``,
+        `**Profile:** \`${getChromeProfile()}\``,
+      ];
+  return { content: [{ type: 'text', text: text.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function failure(title, err, hints = []) {
+  return [`## ❌ ${title}`, ``, `**Error:** ${err.message}`, ...(hints.length > 0 ? ['', ...hints] : [])].join('\n');
+}
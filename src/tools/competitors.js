@@ -0,0 +1,119 @@
+/**
+ * digitalPM_competitors — Manage the competitor registry
+ *
+ * Tracked competitors live in the "competitors" array of .digitalpM.json:
+ * name, homepage, pricing page, changelog URL and free-form notes. The
+ * registry drives the ROADMAP.md competitor table and the digitalPM_insights
+ * prompt, so both name real competitors instead of search-result titles.
+ *
+ * Actions:
+ *   add     — add a competitor, or update the given fields of an existing one
+ *   remove  — drop a competitor by name
+ *   list    — show the registry
+ *
+ * add / remove rewrite the ROADMAP.md competitor table (keeping hand-written
+ * "Our edge" cells) and re-push the roadmap to NotebookLM.
+ */
+
+import { readConfig, resolveProjectPath }   from '../services/config.js';
+import { addTextSource }                    from '../services/notebooklm.js';
+import { readRoadmap, syncCompetitorTable } from '../services/roadmap.js';
+import {
+  getCompetitors, upsertCompetitor, removeCompetitor, competitorTableRows,
+} from '../services/competitors.js';
+
+export async function handleCompetitors({ action = 'list', name, homepage, pricing_url, changelog_url, notes, project_path }) {
+  const projectPath = resolveProjectPath(project_path);
+  const config      = await readConfig(projectPath);
+
+  if (!config) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No \`.digitalpM.json\` found at \`${projectPath}\`. Run \`digitalPM_init\` first.`,
+      }],
+    };
+  }
+
+  if (action === 'list') {
+    return { content: [{ type: 'text', text: formatRegistry(config.project_name, getCompetitors(config)) }] };
+  }
+
+  if (!name) {
+    return { content: [{ type: 'text', text: `⚠️ \`name\` is required for action="${action}".` }] };
+  }
+
+  // ── Update the registry ───────────────────────────────────────────────────
+  let summary;
+  let competitors;
+
+  if (action === 'add') {
+    let result;
+    try {
+      result = await upsertCompetitor(projectPath, { name, homepage, pricing_url, changelog_url, notes });
+    } catch (err) {
+      return { content: [{ type: 'text', text: `⚠️ Could not save competitor: ${err.message}` }] };
+    }
+    competitors = result.competitors;
+    summary     = `✅ **${result.competitor.name}** ${result.created ? 'added to' : 'updated in'} the competitor registry`;
+  } else {
+    const result = await removeCompetitor(projectPath, name);
+    if (!result.removed) {
+      return { content: [{ type: 'text', text: `⚠️ No tracked competitor named "${name}". Run \`digitalPM_competitors\` to list them.` }] };
+    }
+    competitors = result.competitors;
+    summary     = `🗑️ **${result.removed.name}** removed from the competitor registry`;
+  }
+
+  const lines = [`## 🏁 Competitors Updated — ${config.project_name}`, ``, summary, ``];
+
+  // ── Rebuild the ROADMAP.md competitor table ───────────────────────────────
+  let roadmapChanged = false;
+  try {
+    roadmapChanged = await syncCompetitorTable(projectPath, competitorTableRows(competitors));
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Competitor table update failed: ${err.message}\n`);
+    lines.push(`⚠️ ROADMAP.md competitor table update failed: ${err.message}`);
+  }
+
+  if (roadmapChanged) {
+    lines.push(`✅ **ROADMAP.md** competitor table rebuilt`);
+    if (config.notebook_url) {
+      try {
+        await addTextSource('ROADMAP.md — Living Execution Graph', await readRoadmap(projectPath), config.notebook_url, { replace: true });
+        lines.push(`✅ **ROADMAP.md** re-pushed to NotebookLM`);
+      } catch (err) {
+        process.stderr.write(`[digital-pm-mcp] Roadmap source failed: ${err.message}\n`);
+        lines.push(`⚠️ ROADMAP.md push to NotebookLM failed: ${err.message}`);
+      }
+    }
+  } else if (!(await readRoadmap(projectPath))) {
+    lines.push(`_No \`ROADMAP.md\` yet — the table is generated on the next \`digitalPM_init\`._`);
+  }
+
+  lines.push('', formatRegistry(config.project_name, competitors, { heading: false }));
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function formatRegistry(projectName, competitors, { heading = true } = {}) {
+  const lines = heading ? [`## 🏁 Tracked Competitors — ${projectName}`, ``] : [];
+
+  if (competitors.length === 0) {
+    lines.push(`_No competitors tracked yet._`);
+    lines.push(`Add one: \`digitalPM_competitors(action="add", name="...", homepage="https://...")\``);
+    return lines.join('\n');
+  }
+
+  const link = url => (url ? `[link](${url})` : '—');
+  const cell = text => String(text ?? '').replace(/\|/g, '\\|');
+
+  lines.push(`| Competitor | Pricing | Changelog | Notes |`);
+  lines.push(`|------------|---------|-----------|-------|`);
+  for (const c of competitors) {
+    const name = c.homepage ? `[${cell(c.name)}](${c.homepage})` : cell(c.name);
+    lines.push(`| ${name} | ${link(c.pricing_url)} | ${link(c.changelog_url)} | ${cell(c.notes) || '—'} |`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,111 @@
+/**
+ * digitalPM_doctor — Which NotebookLM UI step broke?
+ *
+ * Walks every screen the browser automation passes through (home page,
+ * notebook, a citation popover, "Add sources" dialog, Copied text / Websites
+ * forms, a source's ⋮ menu) and resolves each step in the selector registry (services/selectors.js),
+ * reporting per step whether the primary selector, a fallback, or nothing matched.
+ *
+ * Modes:
+ *   live          — against the project's notebook; changes nothing in it
+ *   fixture_path  — against saved HTML snapshots (`<dir>/<screen>.html`),
+ *                   offline and without a sign-in
+ *   save_fixtures — live, and also saves each screen's DOM to that directory
+ */
+
+import { resolve } from 'path';
+
+import { readConfig, resolveProjectPath }                from '../services/config.js';
+import { diagnoseSelectors }                             from '../services/notebooklm.js';
+import { AuthRequiredError }                             from '../services/errors.js';
+import { SELECTOR_VERSION, SELECTORS, describeSelectors } from '../services/selectors.js';
+
+const SCREEN_TITLES = {
+  'home':               'Home page',
+  'notebook':           'Notebook',
+  'citation-popover':   'Citation popover',
+  'add-source-dialog':  '"Add sources" dialog',
+  'copied-text-dialog': '"Copied text" form',
+  'websites-dialog':    '"Websites" form',
+  'source-menu':        'Source ⋮ menu',
+  'delete-confirm':     'Remove-source confirmation',
+};
+
+export async function handleDoctor({ project_path, fixture_path, save_fixtures }) {
+  const projectPath = resolveProjectPath(project_path);
+  const fixtureDir  = fixture_path  ? resolve(projectPath, fixture_path)  : null;
+  const captureDir  = save_fixtures ? resolve(projectPath, save_fixtures) : null;
+
+  let notebookUrl = null;
+  if (!fixtureDir) {
+    const config = await readConfig(projectPath);
+    notebookUrl  = config?.notebook_url ?? null;
+  }
+
+  let report;
+  try {
+    report = await diagnoseSelectors({ notebookUrl, fixtureDir, captureDir });
+  } catch (err) {
+    const hint = err instanceof AuthRequiredError
+      ? `Sign in with \`digitalPM_auth(action="login")\`, or check the selectors offline with \`fixture_path\`.`
+      : `Check that the browser can start (see \`digitalPM_auth()\`), or check the selectors offline with \`fixture_path\`.`;
+    return { content: [{ type: 'text', text: [`## ❌ Doctor Could Not Run`, ``, err.message, ``, hint].join('\n') }] };
+  }
+
+  const steps    = report.flatMap(r => r.steps);
+  const failed   = steps.filter(s => !s.match && !s.optional);
+  const fallback = steps.filter(s => s.match && s.match.index > 0);
+  const absent   = steps.filter(s => !s.match && s.optional);
+
+  const icon  = failed.length ? '❌' : fallback.length ? '⚠️' : '✅';
+  const lines = [`## 🩺 NotebookLM UI Doctor ${icon}`, ``];
+  lines.push(`**Selector registry:** v${SELECTOR_VERSION}`);
+  lines.push(`**Checked against:** ${fixtureDir ? `fixtures in \`${fixtureDir}\`` : notebookUrl ? `live notebook ${notebookUrl}` : 'live home page only (no notebook_url in .digitalpM.json)'}`);
+  lines.push(`**Result:** ${steps.length - failed.length - absent.length} step(s) found` +
+    `${fallback.length ? `, ${fallback.length} only via a fallback selector` : ''}` +
+    `${failed.length ? `, **${failed.length} broken**` : ''}` +
+    `${absent.length ? `, ${absent.length} optional not present` : ''}`);
+
+  for (const entry of report) {
+    lines.push('', `### ${SCREEN_TITLES[entry.screen] ?? entry.screen}`);
+    if (entry.skipped) {
+      lines.push(`_Skipped — ${entry.skipped}._`);
+      continue;
+    }
+    if (entry.error) lines.push(`⚠️ Could not reach this screen: ${entry.error}`);
+    if (entry.source && fixtureDir) lines.push(`_Fixture: \`${entry.source}\`_`);
+    lines.push('', `| Step | Result | Selector |`, `|------|--------|----------|`);
+    for (const s of entry.steps) lines.push(`| \`${s.step}\` — ${s.description} | ${stepResult(s)} | ${stepSelectorCell(s)} |`);
+  }
+
+  if (failed.length || fallback.length) {
+    lines.push('', `### Next steps`);
+    for (const s of failed) {
+      lines.push(`- \`${s.step}\` is broken — none of ${SELECTORS[s.step].css.length} selector(s) matched. Add the new selector first in its list in \`src/services/selectors.js\` and bump \`SELECTOR_VERSION\`.`);
+    }
+    for (const s of fallback) {
+      lines.push(`- \`${s.step}\` only works via fallback \`${s.match.selector}\` — promote it to first place before the fallback breaks too.`);
+    }
+    if (!fixtureDir && !captureDir) {
+      lines.push(`- Run again with \`save_fixtures="<dir>"\` to snapshot the current NotebookLM DOM for offline checks.`);
+    }
+  }
+
+  if (captureDir) lines.push('', `_Saved the DOM of each screen reached to \`${captureDir}\` — re-check offline with \`fixture_path\`._`);
+
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function stepResult({ match, optional }) {
+  if (!match)           return optional ? '➖ not present' : '❌ not found';
+  if (match.index > 0)  return `⚠️ fallback #${match.index}`;
+  return '✅';
+}
+
+function stepSelectorCell({ step, match }) {
+  const cell = sel => `\`${sel.replace(/\|/g, '\\|')}\``;
+  if (match) return cell(describeSelectors(step)[match.index]);
+  return `tried ${describeSelectors(step).map(cell).join(', ')}`;
+}
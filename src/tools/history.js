@@ -0,0 +1,114 @@
+/**
+ * digitalPM_history — Reread past NotebookLM answers
+ *
+ * Searches the answer archive (.digitalpm/answers/, see services/answer-archive.js)
+ * that digitalPM_query, digitalPM_plan and digitalPM_insights write to, by
+ * keyword, tool and date. With `id`, shows one archived answer in full —
+ * citations included — without asking NotebookLM again.
+ */
+
+import { readConfig, resolveProjectPath } from '../services/config.js';
+import { formatReferences }               from '../services/citations.js';
+import {
+  readAnswers, findAnswer, searchAnswers, parseDateBound, excerpt,
+} from '../services/answer-archive.js';
+
+const TOOL_NAMES = { query: 'digitalPM_query', plan: 'digitalPM_plan', insights: 'digitalPM_insights' };
+
+export async function handleHistory({ query = '', tool, since, until, id, limit = 10, project_path }) {
+  const projectPath = resolveProjectPath(project_path);
+  const config      = await readConfig(projectPath);
+  const records     = await readAnswers(projectPath);
+
+  if (records.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No archived answers in \`.digitalpm/answers/\` yet — \`digitalPM_query\`, \`digitalPM_plan\` and \`digitalPM_insights\` save every answer there.`,
+      }],
+    };
+  }
+
+  // ── One answer in full ────────────────────────────────────────────────────
+  if (id) {
+    const { record, matches } = findAnswer(records, id);
+    if (!record) {
+      const text = matches.length > 1
+        ? [`\`${id}\` matches ${matches.length} answers — use a longer id:`, ``, ...matches.slice(0, 10).map(r => `- \`${r.id}\``)]
+        : [`No archived answer with id \`${id}\`. Search with \`digitalPM_history(query="…")\` to find it.`];
+      return { content: [{ type: 'text', text: text.join('\n') }] };
+    }
+    return { content: [{ type: 'text', text: formatRecord(record).join('\n').trimEnd() }] };
+  }
+
+  // ── Search ────────────────────────────────────────────────────────────────
+  const sinceMs = parseDateBound(since);
+  const untilMs = parseDateBound(until, { endOfDay: true });
+  const invalid = [since && sinceMs === null && `since="${since}"`, until && untilMs === null && `until="${until}"`].filter(Boolean);
+  if (invalid.length > 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `Couldn't read ${invalid.join(' and ')} — use a date like \`2026-03-01\` or a relative age like \`7d\` / \`12h\`.`,
+      }],
+    };
+  }
+
+  const found = searchAnswers(records, { query, tool, since: sinceMs, until: untilMs });
+  const shown = found.slice(0, limit);
+
+  const filters = [
+    query && `matching "${query}"`,
+    tool  && `from ${TOOL_NAMES[tool] ?? tool}`,
+    since && `since ${since}`,
+    until && `until ${until}`,
+  ].filter(Boolean);
+
+  const lines = [
+    `## 🗂️ Digital PM History${config?.project_name ? ` — ${config.project_name}` : ''}`,
+    ``,
+    `**${found.length}** of ${records.length} archived answer(s)${filters.length ? ` ${filters.join(', ')}` : ''}` +
+      (found.length > shown.length ? ` — showing the newest ${shown.length}` : ''),
+  ];
+
+  if (found.length === 0) {
+    lines.push('', `_Nothing matched. Try fewer keywords or a wider date range._`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
+
+  for (const r of shown) {
+    lines.push('');
+    lines.push(`### \`${r.id}\``);
+    lines.push(`${formatDate(r.created_at)} · ${TOOL_NAMES[r.tool] ?? r.tool}${r.session_id ? ` · session \`${r.session_id}\`` : ''}${r.citations?.length ? ` · ${r.citations.length} citation(s)` : ''}`);
+    lines.push(`**Q:** ${excerpt(r.question, '', 200)}`);
+    lines.push(`> ${excerpt(r.answer, query)}`);
+  }
+
+  lines.push('', `_Show one in full with \`digitalPM_history(id="<id>")\` — a unique prefix is enough._`);
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function formatRecord(r) {
+  return [
+    `## 🗂️ Archived Answer — ${r.project ?? 'Digital PM'}`,
+    ``,
+    `> \`${r.id}\` · ${formatDate(r.created_at)} · ${TOOL_NAMES[r.tool] ?? r.tool}${r.session_id ? ` · session \`${r.session_id}\`` : ''}`,
+    `> _Archived answer — may be out of date; ask again for a fresh one._`,
+    ``,
+    `**Q:** ${r.question}`,
+    ``,
+    `---`,
+    ``,
+    r.answer,
+    ``,
+    ...(r.citations?.length ? [`---`, ``, ...formatReferences(r.citations)] : []),
+  ];
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  const pad  = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
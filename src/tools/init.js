@@ -1,15 +1,24 @@
 import { readConfig, writeConfig, resolveProjectPath, createDefaultConfig } from '../services/config.js';
 import { analyzeProject }                 from '../services/codebase.js';
 import { searchTopics }                   from '../services/research.js';
+import { hasSearchProvider }              from '../services/search-providers.js';
+import { readLedger, writeLedger, recordUrls, unpushedUrls, markPushed } from '../services/research-ledger.js';
 import { addTextSource, addUrlSources, createNotebook } from '../services/notebooklm.js';
 import { generateRoadmapContent, writeRoadmap }         from '../services/roadmap.js';
+import { getCompetitors, competitorTableRows }          from '../services/competitors.js';
+import { registerProject }                              from '../services/project-registry.js';
+import { AuthRequiredError }                            from '../services/errors.js';
+import { createProgress }                               from '../services/progress.js';
 import { basename }                        from 'path';
 
-export async function handleInit({ project_path, notebook_url, description, research_topics }) {
+export async function handleInit({ project_path, notebook_url, description, research_topics }, extra) {
   const projectPath    = resolveProjectPath(project_path);
   const existingConfig = await readConfig(projectPath);
+  // Each step is reported to the client; a cancelled request stops at the next one
+  const progress       = createProgress(extra);
 
   // ── Step 1: Analyze codebase ────────────────────────────────────────────────
+  progress.step('Analyzing codebase...');
   const analysis = await analyzeProject(projectPath);
 
   const projectName    = existingConfig?.project_name    ?? analysis?.projectName ?? basename(projectPath);
@@ -22,12 +31,15 @@ export async function handleInit({ project_path, notebook_url, description, rese
   // ── Step 2: Resolve notebook URL — use passed, existing config, or auto-create ──
   let targetNotebookUrl  = notebook_url ?? existingConfig?.notebook_url ?? null;
   let notebookWasCreated = false;
+  let createError        = null;
 
   if (!targetNotebookUrl) {
+    progress.step('Creating NotebookLM notebook...');
     try {
       targetNotebookUrl  = await createNotebook();
       notebookWasCreated = true;
     } catch (err) {
+      createError = err;
       process.stderr.write(`[digital-pm-mcp] Auto-create notebook failed: ${err.message}\n`);
     }
   }
@@ -44,8 +56,9 @@ export async function handleInit({ project_path, notebook_url, description, rese
           `**Files**: ${analysis.fileCount}`,
           `**Tech stack**: ${analysis.techStack.join(', ') || 'Not detected'}`,
           ``,
-          `Auto-creation failed (notebooklm-mcp may need re-authentication).`,
-          `Please create a notebook manually:`,
+          createError instanceof AuthRequiredError
+            ? `Auto-creation failed: the browser isn't signed in to NotebookLM. Run \`digitalPM_auth(action="login")\`, then initialize again — or create a notebook manually:`
+            : `Auto-creation failed (${createError?.message ?? 'unknown error'}). Please create a notebook manually:`,
           `1. Go to **https://notebooklm.google.com** → click **"+ New"**`,
           `2. Click **Share** → **"Anyone with the link"** → **"Copy link"**`,
           `3. Come back and say: **"Initialize my digital PM with URL: <paste>"**`,
@@ -56,12 +69,20 @@ export async function handleInit({ project_path, notebook_url, description, rese
 
   // ── Step 3: Save config ─────────────────────────────────────────────────────
   const config = createDefaultConfig(projectName, targetNotebookUrl, resolvedDesc, resolvedTopics);
-  await writeConfig(projectPath, config);
+  const savedConfig = await writeConfig(projectPath, config);
+
+  // Make the project visible to multi-project syncs (digital-pm-sync --all)
+  try {
+    await registerProject(projectPath, projectName);
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Project registry update failed: ${err.message}\n`);
+  }
 
   // ── Step 4: Add codebase summary to notebook ────────────────────────────────
   const sourceResults = [];
+  progress.step('Adding source "Codebase Architecture Summary"...');
   try {
-    await addTextSource('Codebase Architecture Summary', analysis.summary, targetNotebookUrl);
+    await addTextSource('Codebase Architecture Summary', analysis.summary, targetNotebookUrl, { replace: true, signal: progress.signal });
     sourceResults.push(`✅ **Codebase summary** added (${analysis.fileCount} files analyzed)`);
   } catch (err) {
     process.stderr.write(`[digital-pm-mcp] Codebase source failed: ${err.message}\n`);
@@ -71,13 +92,19 @@ export async function handleInit({ project_path, notebook_url, description, rese
   // ── Step 5: Run market + competitive research ────────────────────────────────
   let researchResults = [];
   let researchUrlCount = 0;
-  const tavilyMissing = !process.env.TAVILY_API_KEY;
+  const searchMissing = !hasSearchProvider(savedConfig);
 
-  if (tavilyMissing) {
-    sourceResults.push(`⏭️ **Market research skipped** — TAVILY_API_KEY not configured (see setup note below)`);
+  if (searchMissing) {
+    sourceResults.push(`⏭️ **Market research skipped** — no search provider configured (see setup note below)`);
   } else {
     try {
-      researchResults = await searchTopics(resolvedTopics.slice(0, 8)); // cap at 8 topics for init
+      const ledger = await readLedger(projectPath);
+      researchResults = await searchTopics(resolvedTopics.slice(0, 8), savedConfig, { // cap at 8 topics for init
+        ledger,
+        signal:  progress.signal,
+        onTopic: (topic, i, total) => progress.step(`Searching topic ${i + 1} of ${total}: ${topic}`),
+      });
+      recordUrls(ledger, researchResults);
 
       const allUrls = researchResults
         .flatMap(r => r.results)
@@ -86,13 +113,19 @@ export async function handleInit({ project_path, notebook_url, description, rese
 
       researchUrlCount = allUrls.length;
 
-      if (allUrls.length > 0) {
-        await addUrlSources(allUrls, targetNotebookUrl);
-        sourceResults.push(`✅ **${allUrls.length} market research URLs** added as Website sources`);
+      // Re-running init against the same notebook shouldn't duplicate Website sources
+      const freshUrls = unpushedUrls(ledger, allUrls, targetNotebookUrl);
+      if (freshUrls.length > 0) {
+        progress.step(`Adding ${freshUrls.length} research URL(s) as Website sources...`);
+        await addUrlSources(freshUrls, targetNotebookUrl, { signal: progress.signal });
+        markPushed(ledger, freshUrls, targetNotebookUrl);
+        sourceResults.push(`✅ **${freshUrls.length} market research URLs** added as Website sources`);
       }
+      await writeLedger(projectPath, ledger);
 
       const researchMarkdown = formatResearchSummary(researchResults, projectName);
-      await addTextSource('Market & Competitive Research', researchMarkdown, targetNotebookUrl);
+      progress.step('Adding source "Market & Competitive Research"...');
+      await addTextSource('Market & Competitive Research', researchMarkdown, targetNotebookUrl, { replace: true, signal: progress.signal });
       sourceResults.push(`✅ **Research summary** added as Copied text source`);
     } catch (err) {
       process.stderr.write(`[digital-pm-mcp] Research failed: ${err.message}\n`);
@@ -102,6 +135,7 @@ export async function handleInit({ project_path, notebook_url, description, rese
 
   // ── Step 6: Generate and write ROADMAP.md ───────────────────────────────────
   let roadmapPath = null;
+  progress.step('Writing ROADMAP.md...');
   try {
     const roadmapContent = generateRoadmapContent({
       projectName,
@@ -111,12 +145,14 @@ export async function handleInit({ project_path, notebook_url, description, rese
       researchResults,
       notebookUrl:    targetNotebookUrl,
       researchTopics: resolvedTopics,
+      competitors:    competitorTableRows(getCompetitors(savedConfig)),
     });
 
     roadmapPath = await writeRoadmap(projectPath, roadmapContent);
 
     // Also add ROADMAP.md as a source so NotebookLM is aware of the plan
-    await addTextSource('ROADMAP.md — Living Execution Graph', roadmapContent, targetNotebookUrl);
+    progress.step('Adding source "ROADMAP.md — Living Execution Graph"...');
+    await addTextSource('ROADMAP.md — Living Execution Graph', roadmapContent, targetNotebookUrl, { replace: true, signal: progress.signal });
     sourceResults.push(`✅ **ROADMAP.md** generated and added as source`);
   } catch (err) {
     process.stderr.write(`[digital-pm-mcp] Roadmap generation failed: ${err.message}\n`);
@@ -124,6 +160,7 @@ export async function handleInit({ project_path, notebook_url, description, rese
   }
 
   // ── Build success response ─────────────────────────────────────────────────
+  progress.throwIfCancelled();
   const notebookNote = notebookWasCreated
     ? `_(New notebook created automatically — rename it in NotebookLM if you like)_`
     : `_(Using ${existingConfig?.notebook_url ? 'existing configured' : 'provided'} notebook)_`;
@@ -158,13 +195,16 @@ export async function handleInit({ project_path, notebook_url, description, rese
         `- \`"Research [topic] via digital PM"\` — add competitive intel on demand`,
         `- \`"Log feedback: [user said X]"\` — capture user insights permanently`,
         `- \`"What should I build next?"\` — strategic query to your NotebookLM PM`,
+        getCompetitors(savedConfig).length === 0
+          ? `- \`"Track Linear as a competitor"\` — build the ROADMAP.md competitor table with \`digitalPM_competitors\``
+          : '',
         ``,
         `**Research topics configured**: ${topicList}`,
         ``,
-        ...(tavilyMissing ? [
+        ...(searchMissing ? [
           `---`,
           ``,
-          `### ⚠️ Action Required — Add Tavily API Key`,
+          `### ⚠️ Action Required — Add a Search API Key`,
           ``,
           `Market research and competitive intel are disabled until you set this up.`,
           ``,
@@ -179,6 +219,8 @@ export async function handleInit({ project_path, notebook_url, description, rese
           `}`,
           `\`\`\``,
           `3. Restart Claude Code, then run: **"Sync my digital PM"** to pull research`,
+          ``,
+          `_Prefer another backend? Set \`BRAVE_API_KEY\`, \`SERPAPI_API_KEY\`, \`EXA_API_KEY\` or \`SEARXNG_URL\` instead._`,
         ] : []),
       ].filter(Boolean).join('\n'),
     }],
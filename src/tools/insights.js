@@ -6,47 +6,43 @@
  * one response — covers all the PM angles you'd want before planning a sprint.
  *
  * No parameters needed. Just call digitalPM_insights and get a briefing.
+ * `template` picks another briefing template defined in .digitalpM.json
+ * (services/insights-templates.js) — e.g. pricing / compliance / enterprise
+ * readiness for a B2B product.
+ *
+ * Every briefing is parsed into its template's sections and stored (services/insights-history.js).
+ * With `compare`, the report ends with what changed since the previous one; with
+ * `pivot_blocker` (or "insights": { "pivot_blocker": true } in .digitalpM.json)
+ * a changed, non-reassuring Pivot Risk section raises a ROADMAP.md blocker.
  */
 
-import { readConfig, resolveProjectPath } from '../services/config.js';
-import { callNotebookLM }                 from '../services/notebooklm.js';
-
-// ── Curated PM query template ─────────────────────────────────────────────────
-// Structured so NotebookLM returns a consistent 5-section digest every time.
-// Single query = single browser session = fast (vs. 5 separate sessions).
-
-const INSIGHTS_QUERY = `
-You are a senior product manager reviewing my project. Based on everything in this notebook
-(codebase architecture, competitive research, user feedback, market data), give me a
-structured strategic briefing in exactly these 5 sections:
-
-## 1. Competitive Gaps
-What are our top 3 gaps vs market alternatives right now?
-Be specific — name the gap, name who does it better, say why it matters.
-
-## 2. Unmet User Demand
-What are the top 3 capabilities that users of similar products ask for most that we don't have?
-Cite sources from the research if possible.
-
-## 3. Technical Risk
-What are our top 2 architectural or technical risks we should address before scaling?
-Be concrete — vague warnings are not useful.
+import { readConfig, resolveProjectPath }        from '../services/config.js';
+import { callNotebookLM }                        from '../services/notebooklm.js';
+import { formatReferences }                      from '../services/citations.js';
+import { archiveAnswer, archivedNote }           from '../services/answer-archive.js';
+import { AuthRequiredError }                     from '../services/errors.js';
+import { getCompetitors, competitorPromptContext } from '../services/competitors.js';
+import { readRoadmapModel, addBlocker }          from '../services/roadmap.js';
+import {
+  saveBriefing, readBriefings, compareBriefings, itemLead,
+} from '../services/insights-history.js';
+import {
+  DEFAULT_TEMPLATE_NAME, resolveTemplate, buildTemplateQuery,
+} from '../services/insights-templates.js';
 
-## 4. #1 Priority — Next 30 Days
-One thing only: the single highest-impact action we should take in the next 30 days
-to maximize competitive differentiation. Justify the choice.
+// ── Query ─────────────────────────────────────────────────────────────────────
+// Single query = single browser session = fast (vs. one session per section).
 
-## 5. Pivot Risk
-Are there any signals from the research suggesting we're building in the wrong direction,
-or that the market is moving somewhere we're not pointed?
-If nothing alarming: say so directly, don't hedge.
-
-Keep every section actionable and specific to this project. Cite sources where available.
-`.trim();
+/** Names the tracked competitors (digitalPM_competitors) so gaps are measured against them. */
+function buildInsightsQuery(template, competitors) {
+  const query   = buildTemplateQuery(template);
+  const context = competitorPromptContext(competitors);
+  return context ? `${query}\n\n${context}` : query;
+}
 
 // ── Tool handler ─────────────────────────────────────────────────────────────
 
-export async function handleInsights({ project_path }) {
+export async function handleInsights({ project_path, template: templateName, compare = false, pivot_blocker }) {
   const projectPath = resolveProjectPath(project_path);
   const config      = await readConfig(projectPath);
 
@@ -77,31 +73,81 @@ export async function handleInsights({ project_path }) {
     };
   }
 
-  const date = new Date().toISOString().split('T')[0];
+  let template;
+  try {
+    template = resolveTemplate(config, templateName ?? DEFAULT_TEMPLATE_NAME);
+  } catch (err) {
+    return { content: [{ type: 'text', text: [`## ❌ digitalPM_insights: Template unavailable`, ``, err.message].join('\n') }] };
+  }
+
+  const date      = new Date().toISOString().split('T')[0];
+  const isDefault = template.name === DEFAULT_TEMPLATE_NAME;
+  const label     = isDefault ? 'Strategic briefing' : `${template.name} briefing`;
 
   try {
-    const insights = await callNotebookLM('ask_question', {
-      question:     INSIGHTS_QUERY,
+    const { answer: insights, citations } = await callNotebookLM('ask_question', {
+      question:     buildInsightsQuery(template, getCompetitors(config)),
       notebook_url: config.notebook_url,
     });
 
+    const archived = await archiveAnswer(projectPath, {
+      tool:     'insights',
+      topic:    isDefault ? 'strategic-briefing' : `${template.name}-briefing`,
+      project:  config.project_name,
+      question: label,
+      template: template.name,
+      answer:   insights,
+      citations,
+    });
+
+    // Store the parsed briefing and diff it against the previous one of the same
+    // template (skipping any whose answer had none of the declared sections)
+    const previous = (await readBriefings(projectPath, { template: template.name }))
+      .find(b => Object.values(b.sections).some(Boolean));
+    let   briefing   = null;
+    try {
+      briefing = await saveBriefing(projectPath, { project: config.project_name, answer: insights, template, archiveId: archived?.id });
+    } catch (err) {
+      process.stderr.write(`[digital-pm-mcp] Could not store briefing: ${err.message}\n`);
+    }
+    const changes = previous && briefing ? compareBriefings(previous, briefing) : null;
+
+    let blocker = null;
+    if ((pivot_blocker ?? config.insights?.pivot_blocker ?? false) && changes?.pivot?.changed && changes.pivot.alarming) {
+      const run = isDefault ? `${date} strategic briefing` : `${date} "${template.name}" briefing`;
+      blocker   = await raisePivotBlocker(projectPath, changes.pivot, run);
+    }
+
+    const missing = briefing
+      ? template.sections.filter(s => !briefing.sections[s.key]).map(s => `"${s.title}"`)
+      : [];
+
     return {
       content: [{
         type: 'text',
         text: [
-          `## 🧠 Digital PM Strategic Briefing — ${config.project_name}`,
+          isDefault
+            ? `## 🧠 Digital PM Strategic Briefing — ${config.project_name}`
+            : `## 🧠 Digital PM Briefing: ${template.name} — ${config.project_name}`,
           `> Generated ${date} from NotebookLM · Run \`digitalPM_sync\` to refresh context`,
           ``,
           `---`,
           ``,
-          insights,
+          // Every declared section found → shown under the template's own headings
+          briefing && missing.length === 0 ? formatSections(template, briefing) : insights,
           ``,
+          ...formatReferences(citations),
+          ...(compare ? formatTrend(changes, previous, template) : []),
+          ...(blocker ? [blocker, ``] : []),
+          ...(missing.length ? [`_Couldn't find ${missing.join(', ')} in this answer — left out of comparisons._`, ``] : []),
           `---`,
           ``,
           `**Next steps:**`,
-          `- Act on the #1 Priority above before your next session`,
+          ...(isDefault ? [`- Act on the #1 Priority above before your next session`] : []),
           `- Run \`digitalPM_plan(feature="...")\` for implementation guidance on any gap`,
           `- Run \`digitalPM_sync\` after shipping to keep the notebook current`,
+          ...(!compare && previous ? [`- Run \`digitalPM_insights(${isDefault ? '' : `template="${template.name}", `}compare=true)\` next time to see what changed since this briefing`] : []),
+          ...(archived ? [``, archivedNote(archived)] : []),
         ].join('\n'),
       }],
     };
@@ -115,11 +161,109 @@ export async function handleInsights({ project_path }) {
           ``,
           `**Error:** ${err.message}`,
           ``,
-          `**Try:**`,
-          `1. Run \`digitalPM_sync\` to make sure the notebook has content`,
-          `2. Run \`digitalPM_insights\` again (browser sessions can be slow to start)`,
+          ...(err instanceof AuthRequiredError
+            ? [`Run \`digitalPM_auth(action="login")\` to sign in to NotebookLM, then try again.`]
+            : [
+                `**Try:**`,
+                `1. Run \`digitalPM_sync\` to make sure the notebook has content`,
+                `2. Run \`digitalPM_insights\` again (browser sessions can be slow to start)`,
+              ]),
         ].join('\n'),
       }],
     };
   }
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** A parsed briefing under its template's numbered headings. */
+function formatSections(template, briefing) {
+  return template.sections
+    .map((s, i) => `### ${i + 1}. ${s.title}\n\n${briefing.sections[s.key].text}`)
+    .join('\n\n');
+}
+
+/**
+ * The "since last briefing" section of a compare run — named findings for the
+ * default template, gained / dropped points per section for custom ones.
+ */
+function formatTrend(changes, previous, template) {
+  if (!changes) {
+    return [`### 📈 Since the Last Briefing`, ``, `_First stored briefing of this template — the next compare run shows what changed._`, ``];
+  }
+
+  const lines    = [`### 📈 Since the Last Briefing (${previous.created_at.split('T')[0]})`, ``];
+  const group    = (header, items = []) => lines.push(header, ...items, ``);
+  const missing  = label => group(`**${label}:** _not comparable — section missing from one briefing_`);
+
+  if (template.name !== DEFAULT_TEMPLATE_NAME) {
+    for (const { key, title } of template.sections) {
+      const diff = changes.sections[key];
+      if (!diff) {
+        missing(title);
+        continue;
+      }
+      group(`**${diff.title}:** ${diff.added.length} new · ${diff.dropped.length} no longer listed`, [
+        ...diff.added.map(item => `- 🆕 ${itemLead(item)}`),
+        ...diff.dropped.map(item => `- ➖ ${itemLead(item)}`),
+      ]);
+    }
+    return lines;
+  }
+
+  const { gaps, risks, priority, pivot } = changes;
+
+  if (gaps) {
+    group(`**Competitive gaps:** ${gaps.added.length} new · ${gaps.closed.length} no longer listed`, [
+      ...gaps.added.map(g => `- 🆕 ${itemLead(g)}`),
+      ...gaps.closed.map(g => `- ✅ ${itemLead(g)}`),
+    ]);
+  } else missing('Competitive gaps');
+
+  if (risks) {
+    group(`**Technical risks:** ${risks.resolved.length} resolved · ${risks.added.length} new`, [
+      ...risks.resolved.map(r => `- ✅ ${itemLead(r)}`),
+      ...risks.added.map(r => `- 🆕 ${itemLead(r)}`),
+    ]);
+  } else missing('Technical risks');
+
+  if (priority) {
+    group(priority.shifted
+      ? `**#1 priority:** 🔀 shifted — was "${priority.before}", now "${priority.after}"`
+      : `**#1 priority:** ➡️ unchanged — "${priority.after}"`);
+  } else missing('#1 priority');
+
+  if (pivot) {
+    group(!pivot.changed
+      ? `**Pivot risk:** ➡️ unchanged${pivot.alarming ? '' : ' — nothing alarming'}`
+      : pivot.alarming
+        ? `**Pivot risk:** ⚠️ changed — "${pivot.after}"`
+        : `**Pivot risk:** ✅ eased — now nothing alarming (was "${pivot.before}")`);
+  } else missing('Pivot risk');
+
+  return lines;
+}
+
+/**
+ * Raises a [BLOCKER: Research Shift] for a changed Pivot Risk section, unless
+ * ROADMAP.md already has one for the same finding. `briefing` names the run:
+ * `2026-03-01 strategic briefing`, or `2026-03-01 "enterprise" briefing` for a
+ * custom template.
+ * @returns {Promise<string|null>} the line to report, or null when there's no ROADMAP.md
+ */
+async function raisePivotBlocker(projectPath, pivot, briefing) {
+  const text = `Pivot Risk changed in the ${briefing}: "${pivot.after}"`;
+  try {
+    const model = await readRoadmapModel(projectPath);
+    if (!model) return null;
+    if (model.blockers.some(b => b.text.includes(`"${pivot.after}"`))) {
+      return `_Pivot Risk blocker already in ROADMAP.md — not raised again._`;
+    }
+    return await addBlocker(projectPath, text)
+      ? `🛑 **Blocker raised in ROADMAP.md:** ${text}`
+      : null;
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Pivot Risk blocker failed: ${err.message}\n`);
+    return `⚠️ Could not raise the Pivot Risk blocker: ${err.message}`;
+  }
+}
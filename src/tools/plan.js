@@ -10,13 +10,22 @@
  *
  * The brief is volatile — Claude Code ingests it, implements, verifies tests,
  * then marks the item [x] in ROADMAP.md and discards the brief.
+ *
+ * With `save_brief` (or "plan": { "save_briefs": true } in .digitalpM.json) the
+ * brief is kept in the repo instead: docs/briefs/<feature-slug>.md, linked from
+ * the matching ROADMAP.md item and archived when that item is completed
+ * (services/briefs.js, patchSprintItem()).
  */
 
-import { readConfig, resolveProjectPath }  from '../services/config.js';
-import { callNotebookLM }                  from '../services/notebooklm.js';
-import { readRoadmap }                     from '../services/roadmap.js';
+import { readConfig, resolveProjectPath }          from '../services/config.js';
+import { callNotebookLM }                          from '../services/notebooklm.js';
+import { formatReferences }                        from '../services/citations.js';
+import { archiveAnswer, archivedNote }             from '../services/answer-archive.js';
+import { AuthRequiredError }                       from '../services/errors.js';
+import { readRoadmap, findRoadmapItem, linkBrief } from '../services/roadmap.js';
+import { saveBrief }                               from '../services/briefs.js';
 
-export async function handlePlan({ feature, project_path }) {
+export async function handlePlan({ feature, project_path, save_brief }) {
   const projectPath = resolveProjectPath(project_path);
   const config      = await readConfig(projectPath);
 
@@ -89,12 +98,12 @@ export async function handlePlan({ feature, project_path }) {
   ].join('\n');
 
   // ── Query NotebookLM ────────────────────────────────────────────────────
-  let briefContent;
+  let briefContent, citations;
   try {
-    briefContent = await callNotebookLM('ask_question', {
+    ({ answer: briefContent, citations } = await callNotebookLM('ask_question', {
       question,
       notebook_url: config.notebook_url,
-    });
+    }));
   } catch (err) {
     process.stderr.write(`[digital-pm-mcp] plan query failed: ${err.message}\n`);
     return {
@@ -105,10 +114,14 @@ export async function handlePlan({ feature, project_path }) {
           ``,
           `Error: ${err.message}`,
           ``,
-          `This usually means:`,
-          `- \`notebooklm-mcp\` is not authenticated — run \`setup_auth\` in notebooklm-mcp`,
-          `- The notebook hasn't finished indexing sources yet — wait a few minutes and retry`,
-          `- The notebook URL in \`.digitalpM.json\` is incorrect`,
+          ...(err instanceof AuthRequiredError
+            ? [`The NotebookLM Google session is missing or expired — run \`digitalPM_auth(action="login")\` to sign in.`]
+            : [
+                `This usually means:`,
+                `- The notebook hasn't finished indexing sources yet — wait a few minutes and retry`,
+                `- The notebook URL in \`.digitalpM.json\` is incorrect`,
+                `- The browser session expired — check with \`digitalPM_auth()\``,
+              ]),
           ``,
           `**Fallback**: Proceed with implementation using your existing knowledge,`,
           `then run \`digitalPM_plan\` again once the notebook is accessible.`,
@@ -117,13 +130,30 @@ export async function handlePlan({ feature, project_path }) {
     };
   }
 
+  const archived = await archiveAnswer(projectPath, {
+    tool:     'plan',
+    topic:    feature,
+    project:  config.project_name,
+    question: `Implementation brief: ${feature}`,
+    feature,
+    answer:   briefContent,
+    citations,
+  });
+
+  const saved = (save_brief ?? config.plan?.save_briefs ?? false)
+    ? await keepBrief(projectPath, { feature, content: briefContent, citations, answerId: archived?.id })
+    : null;
+
   // ── Format the brief ────────────────────────────────────────────────────
   const date = new Date().toISOString().split('T')[0];
 
   const response = [
     `## 🧠 Implementation Brief — ${feature}`,
     ``,
-    `> **JIT Brief** generated ${date} from NotebookLM research · Discard after implementation`,
+    saved?.path
+      ? `> **JIT Brief** generated ${date} from NotebookLM research · Saved to \`${saved.path}\`${saved.linked ? ', archived when the item is completed' : ''}`
+      : `> **JIT Brief** generated ${date} from NotebookLM research · Discard after implementation`,
+    ...(saved ? [saved.note] : []),
     `> Update \`ROADMAP.md\` sprint status: \`[ ]\` → \`[/]\` now, \`[x]\` after tests pass`,
     pivotWarning,
     ``,
@@ -131,6 +161,7 @@ export async function handlePlan({ feature, project_path }) {
     ``,
     briefContent,
     ``,
+    ...formatReferences(citations),
     `---`,
     ``,
     `### ⚡ Execution Checklist`,
@@ -139,9 +170,37 @@ export async function handlePlan({ feature, project_path }) {
     `- [ ] Marked \`[/]\` in ROADMAP.md sprint board`,
     `- [ ] Implementation complete`,
     `- [ ] All test cases from brief are passing`,
-    `- [ ] Marked \`[x]\` in ROADMAP.md (verified)`,
+    saved?.linked
+      ? `- [ ] Marked \`[x]\` with \`digitalPM_roadmap(action="complete")\` (verified — archives the brief)`
+      : `- [ ] Marked \`[x]\` in ROADMAP.md (verified)`,
     `- [ ] Run \`digitalPM_sync\` if this changes the codebase architecture significantly`,
+    ...(archived ? [``, archivedNote(archived)] : []),
   ].join('\n');
 
   return { content: [{ type: 'text', text: response }] };
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Writes the brief to docs/briefs/ and links it from the matching ROADMAP.md
+ * item. Never throws — a failed save is reported, the brief is still returned.
+ * @returns {Promise<{ path: string|null, linked: boolean, note: string }>}
+ */
+async function keepBrief(projectPath, { feature, content, citations, answerId }) {
+  try {
+    const item  = await findRoadmapItem(projectPath, feature);
+    const path  = await saveBrief(projectPath, { feature, content, citations, roadmapItem: item?.title ?? null, answerId });
+    const line  = item ? await linkBrief(projectPath, feature, path) : null;
+    return {
+      path,
+      linked: Boolean(line),
+      note:   line
+        ? `> 📄 Linked from ROADMAP.md: ${line}`
+        : `> 📄 No ROADMAP.md item matches this feature — the brief isn't linked, so completing an item won't archive it.`,
+    };
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Could not save brief: ${err.message}\n`);
+    return { path: null, linked: false, note: `> ⚠️ Could not save the brief to docs/briefs/: ${err.message}` };
+  }
+}
@@ -1,16 +1,35 @@
 import { readConfig, resolveProjectPath } from '../services/config.js';
-import { callNotebookLM } from '../services/notebooklm.js';
+import { callNotebookLM, endChatSession, listChatSessions } from '../services/notebooklm.js';
+import { AuthRequiredError } from '../services/errors.js';
+import { formatReferences } from '../services/citations.js';
+import { archiveAnswer, archivedNote } from '../services/answer-archive.js';
 
 const MAX_RETRIES    = 3;
 const RETRY_DELAY_MS = 2_500;
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-function isAuthError(msg) {
-  return /auth|login|session|authenticate/i.test(msg);
-}
+export async function handleQuery({ question, project_path, session_id, session_action = 'continue' }) {
+  if (session_action === 'end') return endSession(session_id);
+
+  if (!question) {
+    return {
+      content: [{
+        type: 'text',
+        text: `\`question\` is required — only \`session_action="end"\` works without one.`,
+      }],
+    };
+  }
+
+  if (session_action === 'reset' && !session_id) {
+    return {
+      content: [{
+        type: 'text',
+        text: `\`session_action="reset"\` needs the \`session_id\` of the session to start over — without one there is no session to reset.`,
+      }],
+    };
+  }
 
-export async function handleQuery({ question, project_path }) {
   const projectPath = resolveProjectPath(project_path);
   const config      = await readConfig(projectPath);
 
@@ -36,9 +55,20 @@ export async function handleQuery({ question, project_path }) {
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const answer = await callNotebookLM('ask_question', {
+      const { answer, citations, session } = await callNotebookLM('ask_question', {
         question,
-        notebook_url: config.notebook_url,
+        notebook_url:  config.notebook_url,
+        session_id,
+        reset_session: session_action === 'reset' && attempt === 1,
+      });
+
+      const archived = await archiveAnswer(projectPath, {
+        tool:    'query',
+        project: config.project_name,
+        question,
+        answer,
+        citations,
+        ...(session ? { session_id: session.id } : {}),
       });
 
       // Success — include retry info if we had to retry
@@ -49,18 +79,22 @@ export async function handleQuery({ question, project_path }) {
           text: [
             `## 🧠 Digital PM — ${config.project_name}`,
             retryNote,
+            ...(session ? [sessionNote(session, session_action), ``] : []),
             `**Q:** ${question}`,
             ``,
             `---`,
             ``,
             answer,
-          ].join('\n'),
+            ...(citations.length ? [``, `---`, ``, ...formatReferences(citations)] : []),
+            ...(archived ? [``, archivedNote(archived)] : []),
+          ].join('\n').replace(/\n{3,}/g, '\n\n').trimEnd(),
         }],
       };
 
     } catch (err) {
       lastErr = err;
-      const shouldRetry = isAuthError(err.message) && attempt < MAX_RETRIES;
+      // A signed-out profile won't fix itself — only retry transient browser failures
+      const shouldRetry = !(err instanceof AuthRequiredError) && attempt < MAX_RETRIES;
       process.stderr.write(
         `[digital-pm-mcp] Query attempt ${attempt}/${MAX_RETRIES} failed: ${err.message}` +
         (shouldRetry ? ` — retrying in ${RETRY_DELAY_MS}ms…\n` : '\n')
@@ -74,28 +108,58 @@ export async function handleQuery({ question, project_path }) {
   }
 
   // All attempts exhausted
-  const authIssue = isAuthError(lastErr.message);
+  const authIssue = lastErr instanceof AuthRequiredError;
   return {
     content: [{
       type: 'text',
       text: [
         `## ⚠️ Digital PM Query Unavailable`,
         ``,
-        `Failed after ${MAX_RETRIES} attempts: **${lastErr.message}**`,
+        authIssue
+          ? `**${lastErr.message}**`
+          : `Failed after ${MAX_RETRIES} attempts: **${lastErr.message}**`,
         ``,
         authIssue
           ? [
-              `This is a **notebooklm-mcp session issue**. Quick fix:`,
+              `The NotebookLM **Google session is missing or expired**. Quick fix:`,
               ``,
-              `\`\`\``,
-              `npx notebooklm-mcp@latest`,
-              `# then use the setup_auth tool to re-authenticate`,
-              `\`\`\``,
-              ``,
-              `Once re-authenticated, restart Claude Code and try again.`,
+              `1. Run \`digitalPM_auth(action="login")\` — a browser window opens`,
+              `2. Sign in to Google; the window closes once NotebookLM loads`,
+              `3. Ask the question again`,
             ].join('\n')
-          : `Make sure \`notebooklm-mcp\` is installed and your Google session is active, then try again.`,
+          : `Check the browser session with \`digitalPM_auth()\`, then try again.`,
       ].join('\n'),
     }],
   };
 }
+
+// ── Chat sessions ───────────────────────────────────────────────────────────
+
+function sessionNote({ id, turn, restarted }, action) {
+  if (restarted) {
+    return `> ⚠️ Session \`${id}\`: the previous chat page was lost, so this question started a fresh conversation — restate any context it relies on.`;
+  }
+  if (turn === 1) {
+    return action === 'reset'
+      ? `> 💬 Session \`${id}\` reset — this is a fresh conversation.`
+      : `> 💬 Session \`${id}\` started — pass the same \`session_id\` for follow-ups, \`session_action="end"\` when done.`;
+  }
+  return `> 💬 Session \`${id}\` · follow-up ${turn}`;
+}
+
+async function endSession(sessionId) {
+  const open = listChatSessions();
+  const openList = open.length
+    ? ['', `**Open sessions:**`, ...open.map(s => `- \`${s.id}\` — ${s.turns} question(s)`)]
+    : [];
+
+  if (!sessionId) {
+    return { content: [{ type: 'text', text: [`Pass the \`session_id\` to end.`, ...openList].join('\n') }] };
+  }
+
+  const ended = await endChatSession(sessionId);
+  const text  = ended
+    ? [`## 💬 Session Ended`, ``, `Closed \`${ended.id}\` after ${ended.turns} question(s).`]
+    : [`No open session \`${sessionId}\` — it may already have ended after inactivity.`, ...openList];
+  return { content: [{ type: 'text', text: text.join('\n') }] };
+}
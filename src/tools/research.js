@@ -1,6 +1,9 @@
 import { readConfig, resolveProjectPath } from '../services/config.js';
 import { searchTopics }                   from '../services/research.js';
 import { addUrlSources, addTextSource }   from '../services/notebooklm.js';
+import {
+  readLedger, writeLedger, recordUrls, unpushedUrls, markPushed,
+} from '../services/research-ledger.js';
 
 export async function handleResearch({ topics, project_path }) {
   const projectPath = resolveProjectPath(project_path);
@@ -29,7 +32,11 @@ export async function handleResearch({ topics, project_path }) {
   }
 
   // ── Search ───────────────────────────────────────────────────────────────
-  const results = await searchTopics(resolvedTopics);
+  // The ledger lives in .digitalpm/ — identical queries inside the cache TTL skip the API
+  const ledger      = await readLedger(projectPath);
+  const results     = await searchTopics(resolvedTopics, config, { ledger });
+  const cachedCount = results.filter(r => r.cached).length;
+  recordUrls(ledger, results);
 
   // ── Collect URLs — filter out DDG search pages (JS-rendered, NotebookLM can't fetch them) ──
   const allUrls = [];
@@ -51,23 +58,29 @@ export async function handleResearch({ topics, project_path }) {
   const sourceResults = [];
 
   if (notebookUrl) {
-    // 1. Add real research URLs as "Websites" sources
-    if (allUrls.length > 0) {
+    // 1. Add real research URLs as "Websites" sources — only ones this notebook doesn't have yet
+    const freshUrls = unpushedUrls(ledger, allUrls, notebookUrl);
+    const skipped   = allUrls.length - freshUrls.length;
+    if (freshUrls.length > 0) {
       try {
-        await addUrlSources(allUrls, notebookUrl);
-        sourceResults.push(`✅ **${allUrls.length} research URLs** added as Website sources`);
+        await addUrlSources(freshUrls, notebookUrl);
+        markPushed(ledger, freshUrls, notebookUrl);
+        sourceResults.push(`✅ **${freshUrls.length} research URLs** added as Website sources`);
       } catch (err) {
         process.stderr.write(`[digital-pm-mcp] URL source injection failed: ${err.message}\n`);
         sourceResults.push(`⚠️ URL sources failed: ${err.message}`);
       }
-    } else {
-      sourceResults.push(`⚠️ No URLs found. Check that TAVILY_API_KEY is set in your MCP config.`);
+    }
+    if (skipped > 0) {
+      sourceResults.push(`⏭️ **${skipped} research URL(s)** already in the notebook — skipped`);
+    } else if (allUrls.length === 0) {
+      sourceResults.push(`⚠️ No URLs found. Check your search provider API key in your MCP config.`);
     }
 
     // 2. Add structured research summary as "Copied text" source
     if (topicsWithResults.length > 0) {
       try {
-        await addTextSource('Research Summary', researchMarkdown, notebookUrl);
+        await addTextSource('Research Summary', researchMarkdown, notebookUrl, { replace: true });
         sourceResults.push(`✅ **Research summary** added as Copied text source`);
       } catch (err) {
         process.stderr.write(`[digital-pm-mcp] Summary source injection failed: ${err.message}\n`);
@@ -76,6 +89,8 @@ export async function handleResearch({ topics, project_path }) {
     }
   }
 
+  await writeLedger(projectPath, ledger);
+
   // ── Build response ───────────────────────────────────────────────────────
   const lines = [
     `## 🔬 Research Results`,
@@ -84,9 +99,14 @@ export async function handleResearch({ topics, project_path }) {
     ``,
   ];
 
+  if (cachedCount > 0) {
+    lines.push(`_${cachedCount} topic(s) served from the research cache (\`research.cache_ttl_hours\` in \`.digitalpM.json\`)._`);
+    lines.push('');
+  }
+
   if (topicsWithNoResults.length > 0) {
     lines.push(`⚠️ No results for: ${topicsWithNoResults.map(t => `\`${t}\``).join(', ')}`);
-    lines.push(`   Check that TAVILY_API_KEY is set correctly in your MCP config.`);
+    lines.push(`   Check that your search provider API key is set correctly in your MCP config.`);
     lines.push('');
   }
 
@@ -0,0 +1,106 @@
+/**
+ * digitalPM_roadmap — Drive the ROADMAP.md state machine
+ *
+ * Moves Active Execution Board items through the protocol's checkbox states
+ * and manages [BLOCKER: Research Shift] entries, so Claude never has to
+ * hand-edit ROADMAP.md. After every change the updated roadmap is re-pushed
+ * to NotebookLM so the PM knows what's in flight.
+ *
+ * Actions:
+ *   start     — `[ ]` → `[/]`
+ *   complete  — `[/]` → `[x]`  (tests must pass before calling this; archives
+ *               the item's saved brief in docs/briefs/, if it links one)
+ *   reopen    — `[/]` or `[x]` → `[ ]`
+ *   block     — add a [BLOCKER: Research Shift] entry for the item
+ *   unblock   — remove the item's blocker entries
+ */
+
+import { readConfig, resolveProjectPath }                          from '../services/config.js';
+import { addTextSource }                                           from '../services/notebooklm.js';
+import { readRoadmap, patchSprintItem, addBlocker, removeBlocker } from '../services/roadmap.js';
+
+const ACTION_STATUS = {
+  start:    'in-progress',
+  complete: 'done',
+  reopen:   'planned',
+};
+
+export async function handleRoadmap({ action, item, reason, project_path }) {
+  const projectPath = resolveProjectPath(project_path);
+  const config      = await readConfig(projectPath);
+
+  if (!(await readRoadmap(projectPath))) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No \`ROADMAP.md\` found at \`${projectPath}\`. Run \`digitalPM_init\` first to generate one.`,
+      }],
+    };
+  }
+
+  // ── Apply the transition ──────────────────────────────────────────────────
+  let summary;
+
+  if (ACTION_STATUS[action]) {
+    const result = await patchSprintItem(projectPath, item, ACTION_STATUS[action]);
+    if (!result.ok) {
+      return {
+        content: [{
+          type: 'text',
+          text: [
+            `## ⚠️ Roadmap Transition Rejected`,
+            ``,
+            `**Action:** \`${action}\` · **Item:** ${item}`,
+            `**Reason:** ${result.reason}`,
+            result.line ? `**Current line:** ${result.line}` : '',
+            ``,
+            `State machine: \`[ ]\` planned → \`[/]\` in progress → \`[x]\` verified.`,
+            `Use \`reopen\` to move an item back to \`[ ]\`.`,
+          ].filter(Boolean).join('\n'),
+        }],
+      };
+    }
+    summary = `✅ **${result.from} → ${result.to}**: ${result.line}`;
+    if (result.brief?.to)    summary += `\n📄 **Brief archived**: \`${result.brief.from}\` → \`${result.brief.to}\``;
+    if (result.brief?.error) summary += `\n⚠️ Could not archive the brief \`${result.brief.from}\`: ${result.brief.error}`;
+
+  } else if (action === 'block') {
+    const text  = reason ? `${item} — ${reason}` : item;
+    const added = await addBlocker(projectPath, text);
+    if (!added) {
+      return {
+        content: [{
+          type: 'text',
+          text: `⚠️ Could not add blocker — \`ROADMAP.md\` has no Feedback Loop section.`,
+        }],
+      };
+    }
+    summary = `🛑 **Blocker added**: ${text}\n   _Halt execution on this item and enter Plan Mode until it is resolved._`;
+
+  } else {
+    const removed = await removeBlocker(projectPath, item);
+    if (removed === 0) {
+      return {
+        content: [{ type: 'text', text: `⚠️ No blocker entries mention "${item}" in \`ROADMAP.md\`.` }],
+      };
+    }
+    summary = `✅ **${removed} blocker(s) removed** for "${item}"`;
+  }
+
+  // ── Re-push the roadmap so NotebookLM sees the new state ──────────────────
+  const lines = [`## 🗺️ Roadmap Updated — ${config?.project_name ?? 'ROADMAP.md'}`, ``, summary, ``];
+
+  if (config?.notebook_url) {
+    try {
+      await addTextSource('ROADMAP.md — Living Execution Graph', await readRoadmap(projectPath), config.notebook_url, { replace: true });
+      lines.push(`✅ **ROADMAP.md** re-pushed to NotebookLM`);
+    } catch (err) {
+      process.stderr.write(`[digital-pm-mcp] Roadmap source failed: ${err.message}\n`);
+      lines.push(`⚠️ ROADMAP.md push to NotebookLM failed: ${err.message}`);
+    }
+  } else {
+    lines.push(`_(Run \`digitalPM_init(notebook_url="...")\` to keep NotebookLM in sync with the roadmap.)_`);
+  }
+
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
@@ -4,26 +4,44 @@
  * On macOS: writes a launchd plist and loads it so the project syncs
  *   automatically on the configured schedule, even when Claude is closed.
  *
- * On other platforms: returns exact crontab instructions.
+ * On Linux: writes a systemd --user service + timer pair to
+ *   ~/.config/systemd/user/ and enables the timer. Without a user systemd
+ *   instance (containers, WSL, minimal distros) it installs a managed block
+ *   in the user's crontab instead, fenced by BEGIN/END marker comments.
+ *
+ * Anywhere else (or without crontab): returns exact crontab instructions.
  *
  * Schedule is stored in .digitalpM.json so it's documented with the project.
  *
+ * Search provider keys never go into world-readable files: systemd and cron jobs
+ * read them from an env file in the app-support directory (schedules/<unit>.env),
+ * and the launchd plist that embeds them — like the env files — is written 0600.
+ *
+ * all_projects=true installs one job instead that runs `digital-pm-sync --all`
+ * over every project in the machine-wide registry (services/project-registry.js);
+ * its schedule is stored in the registry.
+ *
  * Usage:
  *   digitalPM_schedule()                          — daily at 9am (default)
  *   digitalPM_schedule(interval="hourly")         — every hour
  *   digitalPM_schedule(interval="daily", hour=7)  — daily at 7am
  *   digitalPM_schedule(interval="weekly", hour=9) — every Monday at 9am
  *   digitalPM_schedule(disable=true)              — remove the scheduled job
+ *   digitalPM_schedule(all_projects=true)         — one job for every registered project
  */
 
-import os            from 'os';
-import path          from 'path';
-import fs            from 'fs/promises';
-import { execFile }  from 'child_process';
-import { promisify } from 'util';
-import { fileURLToPath } from 'url';
+import os                  from 'os';
+import path                from 'path';
+import fs                  from 'fs/promises';
+import { execFile, spawn } from 'child_process';
+import { promisify }       from 'util';
+import { fileURLToPath }   from 'url';
 
-import { readConfig, writeConfig, resolveProjectPath } from '../services/config.js';
+import { readConfig, writeConfig, resolveProjectPath, getAppDataPath } from '../services/config.js';
+import { searchEnv }                                    from '../services/search-providers.js';
+import {
+  listProjects, registerProject, setRegistrySchedule, getRegistryPath,
+} from '../services/project-registry.js';
 
 const execFileAsync = promisify(execFile);
 const __dirname     = path.dirname(fileURLToPath(import.meta.url));
@@ -31,7 +49,14 @@ const __dirname     = path.dirname(fileURLToPath(import.meta.url));
 // ── Paths ─────────────────────────────────────────────────────────────────────
 
 const LAUNCH_AGENTS_DIR = path.join(os.homedir(), 'Library', 'LaunchAgents');
+const SYSTEMD_USER_DIR  = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'systemd', 'user');
 const SYNC_SCRIPT       = path.join(__dirname, '..', '..', 'bin', 'digital-pm-sync.js');
+const LOG_FILE          = path.join(os.tmpdir(), 'digital-pm-mcp-sync.log');
+const CMD_TIMEOUT_MS    = 15_000;
+
+// The all-projects job — names that no project label / unit can produce
+const ALL_PROJECTS_LABEL = 'com.digital-pm-mcp.all-projects';
+const ALL_PROJECTS_UNIT  = 'digital-pm-mcp-all-projects';
 
 function plistLabel(projectName) {
   const safe = projectName.replace(/[^a-zA-Z0-9]/g, '-').replace(/-+/g, '-');
@@ -42,11 +67,81 @@ function plistPath(label) {
   return path.join(LAUNCH_AGENTS_DIR, `${label}.plist`);
 }
 
+/** systemd unit base name (also used as the crontab block marker). */
+function unitName(projectName) {
+  const safe = projectName.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+  return `digital-pm-mcp-sync-${safe || 'project'}`;
+}
+
+function unitPaths(unit) {
+  return {
+    service: path.join(SYSTEMD_USER_DIR, `${unit}.service`),
+    timer:   path.join(SYSTEMD_USER_DIR, `${unit}.timer`),
+  };
+}
+
+/** Env file holding the search provider keys of a systemd / cron job. */
+function envFilePath(unit) {
+  return getAppDataPath('schedules', `${unit}.env`);
+}
+
+/**
+ * Writes a file only the current user can read (0600 — chmod too, since
+ * writeFile's mode only applies when the file is created).
+ */
+async function writePrivateFile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+  await fs.writeFile(file, content, { encoding: 'utf8', mode: 0o600 });
+  await fs.chmod(file, 0o600);
+}
+
+/**
+ * Writes the job's env vars to its 0600 env file, one `line(key, value)` each.
+ * Returns the file's path, or null (and no file) when there is nothing to store.
+ */
+async function writeEnvFile(unit, env, line) {
+  const file    = envFilePath(unit);
+  const entries = Object.entries(env);
+  if (entries.length === 0) {
+    await fs.rm(file, { force: true });
+    return null;
+  }
+  await writePrivateFile(file, entries.map(([k, v]) => line(k, v)).join('\n') + '\n');
+  return file;
+}
+
+function humanInterval(interval, hour) {
+  return interval === 'hourly'
+    ? 'every hour'
+    : interval === 'weekly'
+    ? `every Monday at ${hour}:00`
+    : `daily at ${hour}:00`;
+}
+
+/** Runs a command with `input` on stdin (execFile can't feed stdin). */
+function runWithInput(cmd, args, input) {
+  return new Promise((resolvePromise, reject) => {
+    const child  = spawn(cmd, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    const timer  = setTimeout(() => child.kill(), CMD_TIMEOUT_MS);
+    let   stderr = '';
+    child.stderr.on('data', d => { stderr += d; });
+    child.on('error', err => { clearTimeout(timer); reject(err); });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0) resolvePromise();
+      else reject(new Error(`${cmd} exited with ${code}: ${stderr.trim()}`));
+    });
+    child.stdin.end(input);
+  });
+}
+
 // ── macOS launchd plist builder ───────────────────────────────────────────────
 
-function buildPlist({ label, nodePath, syncScript, projectPath, interval, hour, mode, tavilyKey }) {
-  const envBlock = tavilyKey
-    ? `\n\t<key>EnvironmentVariables</key>\n\t<dict>\n\t\t<key>TAVILY_API_KEY</key>\n\t\t<string>${tavilyKey}</string>\n\t</dict>`
+function buildPlist({ label, nodePath, syncScript, target, interval, hour, mode, env }) {
+  const xml      = v => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const envPairs = Object.entries(env).map(([k, v]) => `\t\t<key>${k}</key>\n\t\t<string>${xml(v)}</string>`);
+  const envBlock = envPairs.length > 0
+    ? `\n\t<key>EnvironmentVariables</key>\n\t<dict>\n${envPairs.join('\n')}\n\t</dict>`
     : '';
 
   let intervalBlock;
@@ -82,18 +177,15 @@ function buildPlist({ label, nodePath, syncScript, projectPath, interval, hour,
 
 \t<key>ProgramArguments</key>
 \t<array>
-\t\t<string>${nodePath}</string>
-\t\t<string>${syncScript}</string>
-\t\t<string>${projectPath}</string>
-\t\t<string>--mode=${mode}</string>
+${[nodePath, syncScript, target, `--mode=${mode}`].map(arg => `\t\t<string>${xml(arg)}</string>`).join('\n')}
 \t</array>
 ${intervalBlock}${envBlock}
 
 \t<key>StandardOutPath</key>
-\t<string>${os.tmpdir()}/digital-pm-mcp-sync.log</string>
+\t<string>${LOG_FILE}</string>
 
 \t<key>StandardErrorPath</key>
-\t<string>${os.tmpdir()}/digital-pm-mcp-sync.log</string>
+\t<string>${LOG_FILE}</string>
 
 \t<key>RunAtLoad</key>
 \t<false/>
@@ -102,59 +194,261 @@ ${intervalBlock}${envBlock}
 `;
 }
 
-// ── Disable helper ────────────────────────────────────────────────────────────
+// ── Linux systemd --user units ────────────────────────────────────────────────
+
+// systemd expands % specifiers in unit files; quote and escape values for ExecStart
+const systemdPath  = v => String(v).replace(/%/g, '%%');
+const systemdQuote = v => `"${systemdPath(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// EnvironmentFile= lines: KEY="value" with backslashes and quotes escaped (no % specifiers there)
+const systemdEnvLine = (k, v) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+function buildSystemdService({ projectName, nodePath, syncScript, target, workDir, mode, envFile }) {
+  return [
+    `[Unit]`,
+    `Description=digital-pm-mcp sync for ${projectName}`,
+    `Wants=network-online.target`,
+    `After=network-online.target`,
+    ``,
+    `[Service]`,
+    `Type=oneshot`,
+    `WorkingDirectory=${systemdPath(workDir)}`,
+    `ExecStart=${[nodePath, syncScript, target].map(systemdQuote).join(' ')} --mode=${mode}`,
+    ...(envFile ? [`EnvironmentFile=${systemdPath(envFile)}`] : []),
+    `StandardOutput=append:${systemdPath(LOG_FILE)}`,
+    `StandardError=append:${systemdPath(LOG_FILE)}`,
+    ``,
+  ].join('\n');
+}
 
-async function disableSchedule(label, projectPath, projectName) {
-  const plist = plistPath(label);
-  let unloaded = false;
+function buildSystemdTimer({ projectName, unit, interval, hour }) {
+  const hh         = String(hour).padStart(2, '0');
+  const onCalendar = interval === 'hourly'
+    ? `*-*-* *:00:00`
+    : interval === 'weekly'
+    ? `Mon *-*-* ${hh}:00:00`
+    : `*-*-* ${hh}:00:00`; // daily
+
+  return [
+    `[Unit]`,
+    `Description=Scheduled digital-pm-mcp sync for ${projectName} (${humanInterval(interval, hour)})`,
+    ``,
+    `[Timer]`,
+    `OnCalendar=${onCalendar}`,
+    `Persistent=true`,
+    `Unit=${unit}.service`,
+    ``,
+    `[Install]`,
+    `WantedBy=timers.target`,
+    ``,
+  ].join('\n');
+}
 
+/** True if a user systemd instance is reachable (not the case in most containers / WSL1). */
+async function hasSystemdUser() {
+  if (process.platform !== 'linux') return false;
   try {
-    await execFileAsync('launchctl', ['unload', plist]);
-    unloaded = true;
-  } catch { /* might not be loaded */ }
+    await execFileAsync('systemctl', ['--user', 'show-environment'], { timeout: CMD_TIMEOUT_MS });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
+const systemctl = (...args) => execFileAsync('systemctl', ['--user', ...args], { timeout: CMD_TIMEOUT_MS });
+
+async function installSystemd(job) {
+  const { service, timer } = unitPaths(job.unit);
+  const envFile = await writeEnvFile(job.unit, job.env, systemdEnvLine);
+  await fs.mkdir(SYSTEMD_USER_DIR, { recursive: true });
+  await fs.writeFile(service, buildSystemdService({ ...job, envFile }), 'utf8');
+  await fs.writeFile(timer, buildSystemdTimer(job), 'utf8');
+  await systemctl('daemon-reload');
+  await systemctl('enable', '--now', `${job.unit}.timer`);
+  return {
+    backend:  'systemd',
+    config:   { units: [service, timer] },
+    location: [`**Timer:** \`${timer}\``, `**Service:** \`${service}\``, `**Status:** \`systemctl --user list-timers ${job.unit}.timer\``],
+  };
+}
+
+/** Stops, disables and deletes the unit pair. Returns true if anything was removed. */
+async function removeSystemd(unit) {
+  const { service, timer } = unitPaths(unit);
+  const existed = await fs.access(timer).then(() => true, () => false);
+  if (existed) {
+    try { await systemctl('disable', '--now', `${unit}.timer`); } catch { /* not loaded */ }
+  }
+  await fs.rm(timer,   { force: true });
+  await fs.rm(service, { force: true });
+  await fs.rm(envFilePath(unit), { force: true });
+  if (existed) {
+    try { await systemctl('daemon-reload'); } catch { /* no user instance */ }
+  }
+  return existed;
+}
+
+// ── Managed crontab block (fallback) ──────────────────────────────────────────
+
+const cronMarkers = unit => [`# BEGIN ${unit} (managed by digital-pm-mcp)`, `# END ${unit}`];
+const shellQuote  = v => `'${String(v).replace(/'/g, `'\\''`)}'`;
+
+function cronExpression(interval, hour) {
+  return interval === 'hourly'
+    ? `0 * * * *`
+    : interval === 'weekly'
+    ? `0 ${hour} * * 1`
+    : `0 ${hour} * * *`; // daily
+}
+
+function buildCronBlock({ unit, nodePath, syncScript, target, interval, hour, mode, envFile }) {
+  const [begin, end] = cronMarkers(unit);
+  const envPrefix    = envFile ? `. ${shellQuote(envFile)} && ` : '';
+  const cmd          = `${envPrefix}${[nodePath, syncScript, target].map(shellQuote).join(' ')} --mode=${mode} >> ${shellQuote(LOG_FILE)} 2>&1`;
+  // % is a newline in crontab commands
+  return [begin, `${cronExpression(interval, hour)} ${cmd.replace(/%/g, '\\%')}`, end].join('\n');
+}
+
+async function readCrontab() {
   try {
-    await fs.rm(plist, { force: true });
-  } catch { /* might not exist */ }
+    const { stdout } = await execFileAsync('crontab', ['-l'], { timeout: CMD_TIMEOUT_MS });
+    return stdout;
+  } catch (err) {
+    if (err.code === 'ENOENT') throw err;
+    return ''; // "no crontab for user"
+  }
+}
+
+/** Removes the managed block for `unit` from crontab text. */
+function stripCronBlock(text, unit) {
+  const [begin, end] = cronMarkers(unit);
+  const out  = [];
+  let inside = false;
+  for (const line of text.split('\n')) {
+    if (line === begin) { inside = true; continue; }
+    if (inside && line === end) { inside = false; continue; }
+    if (!inside) out.push(line);
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+/, '');
+}
+
+async function hasCrontab() {
+  try {
+    await readCrontab();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function installCron(job) {
+  const current = stripCronBlock(await readCrontab(), job.unit).replace(/\s*$/, '');
+  const envFile = await writeEnvFile(job.unit, job.env, (k, v) => `export ${k}=${shellQuote(v)}`);
+  const next    = `${current ? `${current}\n\n` : ''}${buildCronBlock({ ...job, envFile })}\n`;
+  await runWithInput('crontab', ['-'], next);
+  return {
+    backend:  'cron',
+    config:   { cron_marker: job.unit },
+    location: [`**Crontab:** managed block \`${job.unit}\` (see \`crontab -l\`)`],
+  };
+}
+
+/** Removes the managed crontab block. Returns true if one was found. */
+async function removeCron(unit) {
+  let current;
+  try { current = await readCrontab(); } catch { return false; }
+  await fs.rm(envFilePath(unit), { force: true });
+  const next = stripCronBlock(current, unit);
+  if (next === current) return false;
+  await runWithInput('crontab', ['-'], next.trim() ? `${next.replace(/\s*$/, '')}\n` : '');
+  return true;
+}
+
+// ── macOS launchd ─────────────────────────────────────────────────────────────
+
+async function installLaunchd(job) {
+  await fs.mkdir(LAUNCH_AGENTS_DIR, { recursive: true });
+  const plistFile = plistPath(job.label);
+
+  // Unload existing job if present (ignore errors if not loaded)
+  try { await execFileAsync('launchctl', ['unload', plistFile]); } catch { /* ok */ }
+
+  // The plist carries the search provider keys — readable by this user only
+  await writePrivateFile(plistFile, buildPlist(job));
+  await execFileAsync('launchctl', ['load', plistFile]);
+  return {
+    backend:  'launchd',
+    config:   { plist: plistFile },
+    location: [`**Plist:** \`${plistFile}\``],
+  };
+}
+
+async function removeLaunchd(label) {
+  const plist   = plistPath(label);
+  const existed = await fs.access(plist).then(() => true, () => false);
+  try { await execFileAsync('launchctl', ['unload', plist]); } catch { /* might not be loaded */ }
+  await fs.rm(plist, { force: true });
+  return existed;
+}
+
+// ── Disable helper ────────────────────────────────────────────────────────────
+
+/**
+ * Tears down every job this project could have on this platform — whichever
+ * backend installed it — so switching backends never leaves a duplicate behind.
+ * Returns human-readable lines for what was removed.
+ */
+async function removeAllJobs(label, unit) {
+  const removed = [];
+  if (process.platform === 'darwin') {
+    if (await removeLaunchd(label)) removed.push(`Removed launchd job and plist: \`${plistPath(label)}\``);
+    return removed;
+  }
+  if (await removeSystemd(unit)) removed.push(`Disabled and removed systemd timer: \`${unit}.timer\``);
+  if (await removeCron(unit))    removed.push(`Removed managed crontab block: \`${unit}\``);
+  return removed;
+}
+
+/**
+ * Removes the job for `target` and clears its stored schedule — the project's
+ * .digitalpM.json, or the project registry for the all-projects job.
+ */
+async function disableSchedule({ label, unit, title, projectPath, allProjects }) {
+  const removed = await removeAllJobs(label, unit);
 
   // Remove schedule from config
-  await writeConfig(projectPath, { schedule: { enabled: false } });
+  if (allProjects) await setRegistrySchedule(null);
+  else await writeConfig(projectPath, { schedule: { enabled: false } });
 
   return {
     content: [{
       type: 'text',
       text: [
-        `## ✅ Schedule Disabled — ${projectName}`,
+        `## ✅ Schedule Disabled — ${title}`,
         ``,
-        unloaded
-          ? `Removed launchd job and plist: \`${plist}\``
-          : `Plist removed (was not loaded): \`${plist}\``,
+        ...(removed.length > 0 ? removed : [`No installed job was found — nothing to remove.`]),
         ``,
-        `Run \`digitalPM_schedule()\` to re-enable.`,
+        `Run \`digitalPM_schedule(${allProjects ? 'all_projects=true' : ''})\` to re-enable.`,
       ].join('\n'),
     }],
   };
 }
 
-// ── Cron instructions (non-macOS) ─────────────────────────────────────────────
+// ── Cron instructions (no systemd, no crontab) ────────────────────────────────
 
-function cronInstructions({ nodePath, syncScript, projectPath, interval, hour, mode }) {
-  const cronExpr = interval === 'hourly'
-    ? `0 * * * *`
-    : interval === 'weekly'
-    ? `0 ${hour} * * 1`
-    : `0 ${hour} * * *`; // daily
+function cronInstructions({ nodePath, syncScript, target, interval, hour, mode }) {
+  const cronExpr = cronExpression(interval, hour);
 
-  const cmd = `${nodePath} ${syncScript} ${projectPath} --mode=${mode}`;
-  const logFile = `/tmp/digital-pm-mcp-sync.log`;
+  const cmd = `${nodePath} ${syncScript} ${target} --mode=${mode}`;
+  const logFile = LOG_FILE;
 
   return {
     content: [{
       type: 'text',
       text: [
-        `## 📅 Schedule Setup (Linux / Windows)`,
+        `## 📅 Schedule Setup (Manual)`,
         ``,
-        `Automatic launchd scheduling is macOS-only. For other platforms, add this to your crontab:`,
+        `No launchd, systemd user instance or \`crontab\` was found. Add this to your scheduler:`,
         ``,
         `\`\`\`bash`,
         `# Run: crontab -e  (opens your crontab)`,
@@ -164,7 +458,7 @@ function cronInstructions({ nodePath, syncScript, projectPath, interval, hour, m
         ``,
         `**Cron expression:** \`${cronExpr}\` = ${interval}${interval === 'daily' || interval === 'weekly' ? ` at ${hour}:00` : ''}`,
         ``,
-        `If TAVILY_API_KEY isn't in your cron environment, add it:`,
+        `If your search provider key (e.g. TAVILY_API_KEY) isn't in your cron environment, add it:`,
         `\`\`\`bash`,
         `${cronExpr} TAVILY_API_KEY=tvly-... ${cmd} >> ${logFile} 2>&1`,
         `\`\`\``,
@@ -176,100 +470,92 @@ function cronInstructions({ nodePath, syncScript, projectPath, interval, hour, m
 // ── Main handler ──────────────────────────────────────────────────────────────
 
 export async function handleSchedule({
-  interval    = 'daily',
-  hour        = 9,
-  mode        = 'both',
+  interval     = 'daily',
+  hour         = 9,
+  mode         = 'both',
   project_path,
-  disable     = false,
+  disable      = false,
+  all_projects = false,
 }) {
-  const projectPath = resolveProjectPath(project_path);
-  const config      = await readConfig(projectPath);
-
-  if (!config) {
-    return {
-      content: [{
-        type: 'text',
-        text: `No \`.digitalpM.json\` at \`${projectPath}\`.\nRun \`digitalPM_init\` first.`,
-      }],
-    };
+  let target;
+  if (all_projects) {
+    target = await allProjectsTarget();
+  } else {
+    target = await projectTarget(resolveProjectPath(project_path));
+    if (target.error) return target.error;
   }
 
-  const projectName = config.project_name ?? path.basename(projectPath);
-  const label       = plistLabel(projectName);
+  const { label, unit, title } = target;
 
   // ── Disable ────────────────────────────────────────────────────────────────
   if (disable) {
-    return disableSchedule(label, projectPath, projectName);
+    return disableSchedule(target);
   }
 
-  // ── Non-macOS ──────────────────────────────────────────────────────────────
-  if (process.platform !== 'darwin') {
-    return cronInstructions({
-      nodePath:    process.execPath,
-      syncScript:  SYNC_SCRIPT,
-      projectPath,
-      interval,
-      hour,
-      mode,
-    });
-  }
+  const job = {
+    projectName: title,
+    label,
+    unit,
+    nodePath:   process.execPath,
+    syncScript: SYNC_SCRIPT,
+    target:     target.arg,
+    workDir:    target.workDir,
+    interval,
+    hour,
+    mode,
+    env:        searchEnv(),
+  };
 
-  // ── macOS: write + load launchd plist ─────────────────────────────────────
+  // ── Install: launchd (macOS) → systemd --user (Linux) → managed crontab ────
+  let installed;
   try {
-    await fs.mkdir(LAUNCH_AGENTS_DIR, { recursive: true });
-
-    const plist = buildPlist({
-      label,
-      nodePath:   process.execPath,
-      syncScript: SYNC_SCRIPT,
-      projectPath,
+    if (process.platform === 'darwin') {
+      installed = await installLaunchd(job);
+    } else {
+      const useSystemd = await hasSystemdUser();
+      if (!useSystemd && !(await hasCrontab())) return cronInstructions(job);
+      await removeAllJobs(label, unit);   // never leave a job behind when switching backends
+      installed = useSystemd ? await installSystemd(job) : await installCron(job);
+    }
+
+    const schedule = {
+      enabled:  true,
       interval,
       hour,
       mode,
-      tavilyKey:  process.env.TAVILY_API_KEY ?? '',
-    });
-
-    const plistFile = plistPath(label);
-
-    // Unload existing job if present (ignore errors if not loaded)
-    try { await execFileAsync('launchctl', ['unload', plistFile]); } catch { /* ok */ }
-
-    await fs.writeFile(plistFile, plist, 'utf8');
-    await execFileAsync('launchctl', ['load', plistFile]);
-
-    // Persist schedule to .digitalpM.json
-    await writeConfig(projectPath, {
-      schedule: {
-        enabled:  true,
-        interval,
-        hour,
-        mode,
-        plist:    plistFile,
-        installed_at: new Date().toISOString(),
-      },
-    });
+      backend:  installed.backend,
+      ...installed.config,
+      log:      LOG_FILE,
+      installed_at: new Date().toISOString(),
+    };
 
-    const humanInterval = interval === 'hourly'
-      ? 'every hour'
-      : interval === 'weekly'
-      ? `every Monday at ${hour}:00`
-      : `daily at ${hour}:00`;
+    // Persist schedule to .digitalpM.json (or the registry for the all-projects job)
+    if (target.allProjects) {
+      await setRegistrySchedule(schedule);
+    } else {
+      await writeConfig(target.projectPath, { schedule });
+      await registerProject(target.projectPath, title).catch(err => {
+        process.stderr.write(`[digital-pm-mcp] Project registry update failed: ${err.message}\n`);
+      });
+    }
 
     return {
       content: [{
         type: 'text',
         text: [
-          `## ✅ Autonomous Sync Scheduled — ${projectName}`,
+          `## ✅ Autonomous Sync Scheduled — ${title}`,
           ``,
-          `**Runs:** ${humanInterval}`,
+          `**Runs:** ${humanInterval(interval, hour)}`,
           `**Syncs:** ${mode === 'both' ? 'codebase + research' : mode}`,
-          `**Log:** \`${os.tmpdir()}/digital-pm-mcp-sync.log\``,
-          `**Plist:** \`${plistFile}\``,
+          `**Via:** ${installed.backend}`,
+          `**Log:** \`${LOG_FILE}\``,
+          ...installed.location,
+          ...(target.allProjects ? allProjectsNotes(target.projects) : []),
           ``,
           `The sync runs automatically even when Claude is closed.`,
           `No action required — your Digital PM notebook stays current.`,
           ``,
-          `**To remove:** \`digitalPM_schedule(disable=true)\``,
+          `**To remove:** \`digitalPM_schedule(${target.allProjects ? 'all_projects=true, ' : ''}disable=true)\``,
           `**To change:** run \`digitalPM_schedule\` again with new options.`,
         ].join('\n'),
       }],
@@ -286,10 +572,69 @@ export async function handleSchedule({
           ``,
           `Manual fallback — add this to crontab (\`crontab -e\`):`,
           `\`\`\``,
-          `0 ${hour} * * * ${process.execPath} ${SYNC_SCRIPT} ${projectPath} --mode=${mode}`,
+          `${cronExpression(interval, hour)} ${process.execPath} ${SYNC_SCRIPT} ${target.arg} --mode=${mode}`,
           `\`\`\``,
         ].join('\n'),
       }],
     };
   }
 }
+
+// ── Schedule targets ──────────────────────────────────────────────────────────
+
+/** A single project: its own launchd label / systemd unit, synced by path. */
+async function projectTarget(projectPath) {
+  const config = await readConfig(projectPath);
+
+  if (!config) {
+    return {
+      error: {
+        content: [{
+          type: 'text',
+          text: `No \`.digitalpM.json\` at \`${projectPath}\`.\nRun \`digitalPM_init\` first.`,
+        }],
+      },
+    };
+  }
+
+  const projectName = config.project_name ?? path.basename(projectPath);
+  return {
+    title:       projectName,
+    label:       plistLabel(projectName),
+    unit:        unitName(projectName),
+    arg:         projectPath,
+    workDir:     projectPath,
+    projectPath,
+  };
+}
+
+/** Every registered project, synced one after another by `digital-pm-sync --all`. */
+async function allProjectsTarget() {
+  const projects = [];
+  for (const project of await listProjects()) {
+    const config = await readConfig(project.path).catch(() => null);
+    projects.push({ ...project, ownSchedule: Boolean(config?.schedule?.enabled) });
+  }
+  return {
+    title:       'All Registered Projects',
+    label:       ALL_PROJECTS_LABEL,
+    unit:        ALL_PROJECTS_UNIT,
+    arg:         '--all',
+    workDir:     os.homedir(),
+    allProjects: true,
+    projects,
+  };
+}
+
+/** Registry summary for the all-projects result, flagging projects that also have their own job. */
+function allProjectsNotes(projects) {
+  const lines = [``, `**Projects (${projects.length}):** registered in \`${getRegistryPath()}\``];
+  if (projects.length === 0) {
+    lines.push(`_None yet — \`digitalPM_init\` registers new projects; add existing ones with \`digital-pm-sync --register <path>\`._`);
+  }
+  for (const p of projects) {
+    const note = p.ownSchedule ? ` ⚠️ also has its own schedule — remove it with \`digitalPM_schedule(project_path="${p.path}", disable=true)\` to avoid syncing twice` : '';
+    lines.push(`- ${p.name ?? path.basename(p.path)} — \`${p.path}\`${note}`);
+  }
+  return lines;
+}
@@ -0,0 +1,168 @@
+/**
+ * digitalPM_sources — Inspect and prune the notebook's sources
+ *
+ * Scrapes the NotebookLM sources panel and returns every source's title, type
+ * and age. Ages come from .digitalpm/sources.json, so they're only known for
+ * sources digital-pm-mcp uploaded to this notebook through digitalPM_sync.
+ *
+ * Pruning (any combination):
+ *   label_pattern    — regex (case-insensitive) the title must match
+ *   older_than_days  — known age must exceed this many days
+ *   max_sources      — delete the oldest sources (panel order) until at most N remain;
+ *                      restricted to label_pattern matches when a pattern is given
+ *
+ * With no pruning options the tool only lists.
+ */
+
+import { readConfig, resolveProjectPath } from '../services/config.js';
+import { listSources, pruneSources }      from '../services/notebooklm.js';
+import { readManifest }                   from '../services/source-manifest.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Material icon name shown next to each source → human-readable type
+const ICON_TYPES = {
+  web:            'Website',
+  language:       'Website',
+  video_youtube:  'YouTube',
+  picture_as_pdf: 'PDF',
+  description:    'Text',
+  article:        'Text',
+  content_paste:  'Copied text',
+  drive_document: 'Google Docs',
+  audio_file:     'Audio',
+};
+
+export async function handleSources({ label_pattern, older_than_days, max_sources, dry_run = false, project_path }) {
+  const projectPath = resolveProjectPath(project_path);
+  const config      = await readConfig(projectPath);
+
+  if (!config?.notebook_url) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No \`notebook_url\` in \`.digitalpM.json\` at \`${projectPath}\`.\nRun \`digitalPM_init\` first.`,
+      }],
+    };
+  }
+
+  let pattern = null;
+  if (label_pattern) {
+    try {
+      pattern = new RegExp(label_pattern, 'i');
+    } catch (err) {
+      return { content: [{ type: 'text', text: `⚠️ Invalid \`label_pattern\`: ${err.message}` }] };
+    }
+  }
+
+  const manifest = await readManifest(projectPath, config.notebook_url);
+  const uploaded = new Map(
+    Object.entries(manifest.sources).map(([label, entry]) => [normalize(label), entry.uploaded_at])
+  );
+  const annotate = s => {
+    const uploadedAt = uploaded.get(normalize(s.title)) ?? null;
+    return {
+      ...s,
+      type:    ICON_TYPES[s.icon] ?? (s.icon || 'Unknown'),
+      ageDays: uploadedAt ? Math.floor((Date.now() - Date.parse(uploadedAt)) / DAY_MS) : null,
+    };
+  };
+
+  const pruning = Boolean(pattern || older_than_days !== undefined || max_sources !== undefined);
+  const select  = sources => selectForPruning(sources.map(annotate), { pattern, older_than_days, max_sources });
+
+  let sources;
+  let removed = [];
+  try {
+    if (pruning && !dry_run) {
+      const result = await pruneSources(config.notebook_url, select);
+      sources = result.sources.map(annotate);
+      removed = result.removed;
+    } else {
+      sources = (await listSources(config.notebook_url)).map(annotate);
+      if (pruning) removed = select(sources);
+    }
+  } catch (err) {
+    process.stderr.write(`[digital-pm-mcp] Sources panel failed: ${err.message}\n`);
+    return {
+      content: [{
+        type: 'text',
+        text: [
+          `## ⚠️ digitalPM_sources: Could not read the sources panel`,
+          ``,
+          `**Error:** ${err.message}`,
+        ].join('\n'),
+      }],
+    };
+  }
+
+  // ── Build response ───────────────────────────────────────────────────────
+  const removedIdx = new Set(removed.map(r => r.index));
+  const lines = [
+    `## 📚 NotebookLM Sources — ${config.project_name}`,
+    ``,
+    `**${sources.length}** source(s) in the notebook.`,
+    ``,
+    `| # | Title | Type | Age |`,
+    `|---|-------|------|-----|`,
+    ...sources.map(s => {
+      const mark = removedIdx.has(s.index) ? (dry_run ? ' 🗑️ _(would remove)_' : ' 🗑️ _(removed)_') : '';
+      const age  = s.ageDays === null ? '—' : `${s.ageDays}d`;
+      return `| ${s.index + 1} | ${s.title.replace(/\|/g, '\\|')}${mark} | ${s.type} | ${age} |`;
+    }),
+    ``,
+  ];
+
+  if (pruning) {
+    lines.push(dry_run
+      ? `**Dry run** — ${removed.length} source(s) would be removed. Re-run without \`dry_run\` to delete them.`
+      : `✅ **${removed.length} source(s) removed** — ${sources.length - removed.length} remain.`);
+  } else {
+    lines.push(`_Ages are known only for sources uploaded by \`digitalPM_sync\`._`);
+    lines.push(`_Prune with \`label_pattern\`, \`older_than_days\` or \`max_sources\` (add \`dry_run=true\` to preview)._`);
+  }
+
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function normalize(text) {
+  return String(text || '').replace(/^#+\s*/, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Picks the sources to delete. Pattern and age filters combine with AND;
+ * max_sources then trims the oldest remaining (panel order) matching sources
+ * until the notebook holds at most max_sources. A source of unknown age
+ * (`ageDays: null`) is never old enough.
+ *
+ * @param {Array<{ title: string, ageDays: number|null }>} sources - in panel order
+ * @param {{ pattern?: RegExp|null, older_than_days?: number, max_sources?: number }} options
+ * @returns {object[]} the sources to delete, in panel order
+ */
+export function selectForPruning(sources, { pattern, older_than_days, max_sources }) {
+  const matches  = s => !pattern || pattern.test(s.title);
+  const selected = new Set();
+
+  // A pattern combined only with max_sources just scopes the trim below
+  const direct = older_than_days !== undefined || (pattern && max_sources === undefined);
+  if (direct) {
+    for (const s of sources) {
+      const oldEnough = older_than_days === undefined || (s.ageDays !== null && s.ageDays > older_than_days);
+      if (matches(s) && oldEnough) selected.add(s);
+    }
+  }
+
+  if (max_sources !== undefined) {
+    let remaining = sources.length - selected.size;
+    for (const s of sources) {
+      if (remaining <= max_sources) break;
+      if (selected.has(s) || !matches(s)) continue;
+      selected.add(s);
+      remaining--;
+    }
+  }
+
+  return sources.filter(s => selected.has(s));
+}
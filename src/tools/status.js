@@ -0,0 +1,159 @@
+/**
+ * digitalPM_status — Is the notebook actually staying current?
+ *
+ * Reads the run log (.digitalpm/runs.jsonl) written by every digitalPM_sync
+ * call and every scheduled bin/digital-pm-sync.js run, plus the schedule in
+ * .digitalpM.json (or the all-projects job in the project registry), and reports:
+ *
+ *   - the installed schedule and when it should fire next
+ *   - the last clean run, and whether scheduled runs have gone quiet
+ *   - the current failure streak (consecutive runs that errored)
+ *   - the last N runs with source / research counts
+ */
+
+import { readConfig, resolveProjectPath } from '../services/config.js';
+import { readRuns, failureStreak }        from '../services/run-log.js';
+import { readRegistry }                   from '../services/project-registry.js';
+
+const HOUR_MS     = 60 * 60 * 1000;
+const INTERVAL_MS = { hourly: HOUR_MS, daily: 24 * HOUR_MS, weekly: 7 * 24 * HOUR_MS };
+
+export async function handleStatus({ limit = 10, project_path }) {
+  const projectPath = resolveProjectPath(project_path);
+  const config      = await readConfig(projectPath);
+
+  if (!config) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No \`.digitalpM.json\` found at \`${projectPath}\`. Run \`digitalPM_init\` first.`,
+      }],
+    };
+  }
+
+  const runs     = await readRuns(projectPath);
+  const schedule = config.schedule?.enabled ? config.schedule : await allProjectsSchedule(projectPath);
+  const now      = new Date();
+  const lines    = [`## 📈 Digital PM Status — ${config.project_name}`, ``];
+
+  // ── Schedule ──────────────────────────────────────────────────────────────
+  if (schedule) {
+    const next = nextScheduledRun(schedule, now);
+    const via = `${schedule.backend ? ` via ${schedule.backend}` : ''}${schedule.all_projects ? ', all-projects job' : ''}`;
+    lines.push(`**Schedule:** ${describeSchedule(schedule)}${via} (${schedule.mode ?? 'both'})`);
+    lines.push(`**Next run:** ${formatTime(next)} _(${relative(next - now)})_`);
+  } else {
+    lines.push(`**Schedule:** none — run \`digitalPM_schedule()\` to keep the notebook current automatically`);
+  }
+
+  // ── Health ────────────────────────────────────────────────────────────────
+  const lastOk        = [...runs].reverse().find(r => r.status === 'ok');
+  const lastScheduled = [...runs].reverse().find(r => r.trigger === 'scheduled');
+  const streak        = failureStreak(runs);
+
+  if (lastOk) {
+    lines.push(`**Last clean sync:** ${formatTime(new Date(lastOk.finished_at))} _(${relative(Date.parse(lastOk.finished_at) - now)})_`);
+  } else if (config.sync?.last_synced) {
+    lines.push(`**Last sync:** ${formatTime(new Date(config.sync.last_synced))} _(before run logging — no run history yet)_`);
+  } else {
+    lines.push(`**Last clean sync:** never`);
+  }
+
+  if (streak.length > 0) {
+    const since = streak[streak.length - 1].started_at;
+    lines.push(`**Failure streak:** ⚠️ ${streak.length} run(s) in a row with errors, since ${formatTime(new Date(since))}`);
+  } else if (runs.length > 0) {
+    lines.push(`**Failure streak:** ✅ none — the last run was clean`);
+  }
+
+  // A schedule that should have fired twice without a scheduled run is probably not firing
+  if (schedule && INTERVAL_MS[schedule.interval]) {
+    const since   = Date.parse(lastScheduled?.started_at ?? schedule.installed_at ?? now.toISOString());
+    const overdue = now - since > 2 * INTERVAL_MS[schedule.interval] + HOUR_MS;
+    if (overdue) {
+      lines.push(`**Scheduler:** ⚠️ no scheduled run ${lastScheduled ? `since ${formatTime(new Date(since))}` : 'recorded yet'} — check the job is loaded (re-run \`digitalPM_schedule\`) and see \`${schedule.log ?? 'the sync log'}\``);
+    }
+  }
+
+  // ── Recent runs ───────────────────────────────────────────────────────────
+  lines.push('');
+  if (runs.length === 0) {
+    lines.push(`_No runs recorded yet. Runs are logged to \`.digitalpm/runs.jsonl\` by \`digitalPM_sync\` and scheduled syncs._`);
+    return { content: [{ type: 'text', text: lines.join('\n') }] };
+  }
+
+  const recent = runs.slice(-limit).reverse();
+  lines.push(`### Last ${recent.length} run(s)`);
+  lines.push('');
+  lines.push(`| Started | Trigger | Mode | Took | Text sources (+/~/=) | URLs added | Status |`);
+  lines.push(`|---------|---------|------|------|----------------------|------------|--------|`);
+  for (const r of recent) {
+    const src  = r.sources ? `${r.sources.added} / ${r.sources.changed} / ${r.sources.unchanged}` : '—';
+    const urls = r.research ? `${r.research.urls_added}${r.research.urls_skipped ? ` _(${r.research.urls_skipped} skipped)_` : ''}` : '—';
+    lines.push(`| ${formatTime(new Date(r.started_at))} | ${r.trigger} | ${r.mode} | ${Math.round(r.duration_ms / 1000)}s | ${src} | ${urls} | ${STATUS_ICONS[r.status] ?? r.status} |`);
+  }
+
+  const lastBad = recent.find(r => r.status !== 'ok');
+  if (lastBad) {
+    lines.push('');
+    lines.push(`**Errors from the run at ${formatTime(new Date(lastBad.started_at))}:**`);
+    for (const e of lastBad.errors.slice(0, 8)) lines.push(`- ${e}`);
+  }
+
+  return { content: [{ type: 'text', text: lines.join('\n') }] };
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+const STATUS_ICONS = { ok: '✅ ok', partial: '⚠️ partial', failed: '❌ failed' };
+
+/** The all-projects job's schedule, if this project is registered and that job is installed. */
+async function allProjectsSchedule(projectPath) {
+  const registry = await readRegistry();
+  if (!registry.schedule?.enabled || !registry.projects.some(p => p.path === projectPath)) return null;
+  return { ...registry.schedule, all_projects: true };
+}
+
+function describeSchedule({ interval, hour = 9 }) {
+  return interval === 'hourly'
+    ? 'every hour'
+    : interval === 'weekly'
+    ? `every Monday at ${hour}:00`
+    : `daily at ${hour}:00`;
+}
+
+/** Next firing time for the launchd / systemd / cron schedules digitalPM_schedule installs (local time). */
+function nextScheduledRun({ interval, hour = 9 }, from) {
+  const next = new Date(from);
+  next.setMinutes(0, 0, 0);
+
+  if (interval === 'hourly') {
+    next.setHours(next.getHours() + 1);
+    return next;
+  }
+
+  next.setHours(hour);
+  if (interval === 'weekly') {
+    const daysUntilMonday = (8 - next.getDay()) % 7;
+    next.setDate(next.getDate() + daysUntilMonday);
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+function formatTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/** "in 3h" / "2d ago" */
+function relative(ms) {
+  const abs = Math.abs(ms);
+  let text;
+  if (abs < HOUR_MS)           text = `${Math.max(1, Math.round(abs / 60_000))}m`;
+  else if (abs < 48 * HOUR_MS) text = `${Math.round(abs / HOUR_MS)}h`;
+  else                         text = `${Math.round(abs / (24 * HOUR_MS))}d`;
+  return ms >= 0 ? `in ${text}` : `${text} ago`;
+}
@@ -1,31 +1,90 @@
 import { readConfig, writeConfig, resolveProjectPath } from '../services/config.js';
 import { syncProject }                                  from '../services/codebase.js';
 import { searchTopics }                                 from '../services/research.js';
-import { addTextSource, addUrlSources }                 from '../services/notebooklm.js';
-import { patchTacticalSync }                            from '../services/roadmap.js';
+import { addTextSources, addUrlSources }                from '../services/notebooklm.js';
+import { getCompetitors }                               from '../services/competitors.js';
+import {
+  patchTacticalSync, readRoadmapModel, addBlocker,
+} from '../services/roadmap.js';
 import fs                                               from 'fs/promises';
 import path                                             from 'path';
+import {
+  readManifest, writeManifest, hashContent, classifySource, recordSource,
+} from '../services/source-manifest.js';
+import {
+  readLedger, writeLedger, recordUrls, unpushedUrls, markPushed,
+} from '../services/research-ledger.js';
+import { recordRun }      from '../services/run-log.js';
+import { createProgress } from '../services/progress.js';
+import {
+  isMonitoringEnabled, checkCompetitors, formatChangeLog, findRoadmapOverlaps, overlapKey, overlapBlockerText,
+} from '../services/competitor-monitor.js';
 
-export async function handleSync({ project_path, mode = 'both' }) {
+export async function handleSync(args, extra) {
+  const projectPath = resolveProjectPath(args.project_path);
+  const startedAt   = new Date();
+  const mode        = args.mode ?? 'both';
+
+  let result;
+  try {
+    result = await runSync({ ...args, progress: createProgress(extra) });
+  } catch (err) {
+    await recordRun(projectPath, { startedAt, trigger: 'manual', mode, error: err });
+    throw err;
+  }
+  if (result.stats) await recordRun(projectPath, { startedAt, trigger: 'manual', mode, stats: result.stats });
+  return { content: [{ type: 'text', text: result.text }] };
+}
+
+/**
+ * Runs a sync and returns the markdown report plus structured stats — used by
+ * handleSync and by bin/digital-pm-sync.js; both record the stats in the run
+ * log (.digitalpm/runs.jsonl). `stats` is null when the project isn't initialized.
+ *
+ * Each step is reported through `progress` (see services/progress.js). Once its
+ * signal is aborted the browser and search work in flight stops and the next
+ * step throws CancelledError, so a stuck sync can be cancelled from the client.
+ *
+ * @returns {Promise<{ text: string, stats: object|null }>}
+ */
+export async function runSync({ project_path, mode = 'both', force = false, progress = createProgress() }) {
   const projectPath = resolveProjectPath(project_path);
   const config      = await readConfig(projectPath);
 
   if (!config) {
-    return {
-      content: [{
-        type: 'text',
-        text: `No \`.digitalpM.json\` found at \`${projectPath}\`. Run \`digitalPM_init\` first.`,
-      }],
-    };
+    return { text: `No \`.digitalpM.json\` found at \`${projectPath}\`. Run \`digitalPM_init\` first.`, stats: null };
   }
 
+  const stats = {
+    mode,
+    files:       null,
+    sources:     { added: 0, changed: 0, unchanged: 0, replaced: 0 },
+    research:    { topics: 0, cached: 0, urls_found: 0, urls_added: 0, urls_skipped: 0 },
+    competitors: { checked: 0, changes: 0, blockers: 0 },
+    errors:      [],
+  };
+
   const notebookUrl   = config.notebook_url ?? null;
   const summaryParts  = [`## 🔄 Digital PM Sync — ${config.project_name}\n`];
   const sourceResults = [];
+  const fail          = message => { stats.errors.push(message); return `⚠️ ${message}`; };
+
+  // Text sources are only re-uploaded when their content hash differs from the
+  // last successful upload recorded in .digitalpm/sources.json (unless force=true),
+  // and each upload replaces the older same-titled copy in the notebook.
+  const push = {
+    notebookUrl,
+    force,
+    progress,
+    manifest: await readManifest(projectPath, notebookUrl),
+    counts:   { added: 0, changed: 0, unchanged: 0, replaced: 0 },
+  };
 
   // ── Code sync ─────────────────────────────────────────────────────────────
   if (mode === 'code' || mode === 'both') {
+    progress.step(`Analyzing codebase of ${config.project_name}...`);
     const result = await syncProject(projectPath, config);
+    stats.files  = result.fileCount;
     await writeConfig(projectPath, { sync: { ...config.sync, last_synced: result.lastSync } });
 
     summaryParts.push(`### Codebase Snapshot`);
@@ -33,33 +92,54 @@ export async function handleSync({ project_path, mode = 'both' }) {
     summaryParts.push('');
 
     if (notebookUrl) {
-      // 1. Add the AI-generated codebase summary as a "Copied text" source
+      // The AI-generated codebase summary plus key .md files in the project
+      // (README, CLAUDE.md, CHANGELOG, docs/, etc.) go up in one notebook visit —
+      // only those whose content changed
+      const items = [{ label: 'Codebase Architecture Summary', content: result.updatedSummary }];
+      for (const mdFile of await findMarkdownFiles(projectPath)) {
+        try {
+          const content = await fs.readFile(mdFile, 'utf8');
+          if (content.trim().length < 100) continue; // skip empty/trivial files
+          items.push({ label: path.relative(projectPath, mdFile), content });
+        } catch (err) {
+          process.stderr.write(`[digital-pm-mcp] MD file source failed (${mdFile}): ${err.message}\n`);
+          stats.errors.push(`${path.relative(projectPath, mdFile)} failed: ${err.message}`);
+        }
+      }
+
+      let outcomes;
       try {
-        await addTextSource('Codebase Architecture Summary', result.updatedSummary, notebookUrl);
-        sourceResults.push(`✅ **Codebase summary** added as source`);
+        outcomes = await pushTextSources(push, items);
       } catch (err) {
-        process.stderr.write(`[digital-pm-mcp] Codebase source failed: ${err.message}\n`);
-        sourceResults.push(`⚠️ Codebase summary failed: ${err.message}`);
+        // The notebook couldn't be opened — every pending item failed
+        process.stderr.write(`[digital-pm-mcp] Text sources failed: ${err.message}\n`);
+        outcomes = items.map(({ label }) => ({ label, status: 'failed', error: err.message }));
       }
 
-      // 2. Discover and add key .md files in the project as individual sources
-      //    (README, CLAUDE.md, CHANGELOG, docs/, etc.)
-      const mdFiles = await findMarkdownFiles(projectPath);
-      if (mdFiles.length > 0) {
-        let mdAdded = 0;
-        for (const mdFile of mdFiles) {
-          try {
-            const content = await fs.readFile(mdFile, 'utf8');
-            if (content.trim().length < 100) continue; // skip empty/trivial files
-            const relPath = path.relative(projectPath, mdFile);
-            await addTextSource(relPath, content, notebookUrl);
-            mdAdded++;
-          } catch (err) {
-            process.stderr.write(`[digital-pm-mcp] MD file source failed (${mdFile}): ${err.message}\n`);
-          }
+      const [summary, ...mdOutcomes] = outcomes;
+      if (summary.status === 'failed') {
+        sourceResults.push(fail(`Codebase summary failed: ${summary.error}`));
+      } else {
+        sourceResults.push(summary.status === 'unchanged'
+          ? `⏭️ **Codebase summary** unchanged — skipped`
+          : `✅ **Codebase summary** ${summary.status === 'added' ? 'added' : 'updated'} as source`);
+      }
+
+      if (mdOutcomes.length > 0) {
+        const mdCounts = { added: 0, changed: 0, unchanged: 0, failed: 0 };
+        for (const o of mdOutcomes) {
+          mdCounts[o.status]++;
+          if (o.status === 'failed') stats.errors.push(`${o.label} failed: ${o.error}`);
+        }
+        const uploaded = mdCounts.added + mdCounts.changed;
+        if (uploaded > 0) {
+          sourceResults.push(`✅ **${uploaded} .md file(s)** uploaded (${mdCounts.added} new, ${mdCounts.changed} changed)`);
         }
-        if (mdAdded > 0) {
-          sourceResults.push(`✅ **${mdAdded} .md file(s)** added as sources (README, CLAUDE.md, docs, etc.)`);
+        if (mdCounts.unchanged > 0) {
+          sourceResults.push(`⏭️ **${mdCounts.unchanged} .md file(s)** unchanged — skipped`);
+        }
+        if (mdCounts.failed > 0) {
+          sourceResults.push(`⚠️ **${mdCounts.failed} .md file(s)** failed — retried on the next sync`);
         }
       }
     }
@@ -69,7 +149,15 @@ export async function handleSync({ project_path, mode = 'both' }) {
   if (mode === 'research' || mode === 'both') {
     const topics = config.research_topics ?? [];
     if (topics.length > 0) {
-      const researchResults = await searchTopics(topics);
+      // Identical queries inside the cache TTL are served from .digitalpm/research.json
+      const ledger          = await readLedger(projectPath);
+      const researchResults = await searchTopics(topics, config, {
+        ledger,
+        signal:  progress.signal,
+        onTopic: (topic, i, total) => progress.step(`Searching topic ${i + 1} of ${total}: ${topic}`),
+      });
+      const cachedCount     = researchResults.filter(r => r.cached).length;
+      recordUrls(ledger, researchResults);
 
       // Collect all URLs — filter out DDG search pages (JS-rendered, NotebookLM can't fetch them)
       const allUrls = [];
@@ -80,39 +168,114 @@ export async function handleSync({ project_path, mode = 'both' }) {
       }
       const researchMarkdown = formatResearchMarkdown(researchResults, config.project_name);
 
+      Object.assign(stats.research, { topics: topics.length, cached: cachedCount, urls_found: allUrls.length });
+
       summaryParts.push(`### Research Updates`);
       summaryParts.push(`Topics searched: **${topics.length}** | Sources found: **${allUrls.length}**`);
+      if (cachedCount > 0) summaryParts.push(`_${cachedCount} topic(s) served from the research cache._`);
       summaryParts.push('');
 
       if (notebookUrl) {
-        // Add research URLs as Website sources (NotebookLM fetches full content)
-        if (allUrls.length > 0) {
+        // Add research URLs as Website sources (NotebookLM fetches full content),
+        // skipping any the ledger says this notebook already has
+        const freshUrls = unpushedUrls(ledger, allUrls, notebookUrl);
+        const skipped   = allUrls.length - freshUrls.length;
+        if (freshUrls.length > 0) {
           try {
-            await addUrlSources(allUrls, notebookUrl);
-            sourceResults.push(`✅ **${allUrls.length} research URLs** added as Website sources`);
+            progress.step(`Adding ${freshUrls.length} research URL(s) as Website sources...`);
+            await addUrlSources(freshUrls, notebookUrl, { signal: progress.signal });
+            markPushed(ledger, freshUrls, notebookUrl);
+            stats.research.urls_added = freshUrls.length;
+            sourceResults.push(`✅ **${freshUrls.length} research URLs** added as Website sources`);
           } catch (err) {
             process.stderr.write(`[digital-pm-mcp] URL sources failed: ${err.message}\n`);
-            sourceResults.push(`⚠️ Research URL sources failed: ${err.message}`);
+            sourceResults.push(fail(`Research URL sources failed: ${err.message}`));
           }
         }
+        stats.research.urls_skipped = skipped;
+        if (skipped > 0) {
+          sourceResults.push(`⏭️ **${skipped} research URL(s)** already in the notebook — skipped`);
+        }
 
         // Also add a structured research summary as a text source
         try {
-          await addTextSource('Research Summary', researchMarkdown, notebookUrl);
-          sourceResults.push(`✅ **Research summary** added as source`);
+          const status = await pushTextSource(push, 'Research Summary', researchMarkdown);
+          sourceResults.push(status === 'unchanged'
+            ? `⏭️ **Research summary** unchanged — skipped`
+            : `✅ **Research summary** ${status === 'added' ? 'added' : 'updated'} as source`);
         } catch (err) {
           process.stderr.write(`[digital-pm-mcp] Research summary source failed: ${err.message}\n`);
-          sourceResults.push(`⚠️ Research summary failed: ${err.message}`);
+          sourceResults.push(fail(`Research summary failed: ${err.message}`));
         }
       }
+
+      await writeLedger(projectPath, ledger);
     } else {
       summaryParts.push(`_No research topics configured. Add \`research_topics\` to \`.digitalpM.json\`._`);
     }
   }
 
+  // ── Competitor watch ──────────────────────────────────────────────────────
+  // Diff tracked competitor pages against the last snapshot in .digitalpm/competitors/
+  if ((mode === 'research' || mode === 'both') && isMonitoringEnabled(config) && getCompetitors(config).length > 0) {
+    progress.step('Checking competitor pages for changes...');
+    const watch = await checkCompetitors(projectPath, config);
+    Object.assign(stats.competitors, { checked: watch.checked, changes: watch.changes.length });
+
+    summaryParts.push(`### Competitor Watch`);
+    summaryParts.push(`Pages checked: **${watch.checked}** | Changed: **${watch.changes.length}**`);
+    if (watch.baselined > 0) summaryParts.push(`_${watch.baselined} page(s) snapshotted for the first time — changes are reported from the next sync._`);
+    for (const c of watch.changes) {
+      summaryParts.push(`- **${c.competitor}** ${c.page}: +${c.added.length} / −${c.removed.length} line(s) — ${c.url}`);
+    }
+    for (const e of watch.errors) {
+      summaryParts.push(`- ⚠️ **${e.competitor}** ${e.page} fetch failed: ${e.message}`);
+      stats.errors.push(`${e.competitor} ${e.page} fetch failed: ${e.message}`);
+    }
+
+    if (watch.changes.length > 0) {
+      // Overlaps with planned roadmap work become [BLOCKER: Research Shift] entries (once each)
+      try {
+        const model    = await readRoadmapModel(projectPath);
+        const overlaps = model ? findRoadmapOverlaps(model, watch.changes) : [];
+        const existing = model ? model.blockers.map(b => b.text) : [];
+        for (const overlap of overlaps) {
+          if (existing.some(text => text.startsWith(overlapKey(overlap)))) continue;
+          if (await addBlocker(projectPath, overlapBlockerText(overlap))) {
+            existing.push(overlapBlockerText(overlap));
+            stats.competitors.blockers++;
+            summaryParts.push(`- 🛑 **Blocker raised**: ${overlap.change.competitor} change overlaps planned "${overlap.feature}"`);
+          }
+        }
+      } catch (err) {
+        process.stderr.write(`[digital-pm-mcp] Competitor blocker check failed: ${err.message}\n`);
+      }
+
+      if (notebookUrl) {
+        try {
+          const status = await pushTextSource(push, 'Competitor Changes', await formatChangeLog(projectPath, config.project_name));
+          sourceResults.push(status === 'unchanged'
+            ? `⏭️ **Competitor changes** unchanged — skipped`
+            : `✅ **Competitor changes** ${status === 'added' ? 'added' : 'updated'} as source`);
+        } catch (err) {
+          process.stderr.write(`[digital-pm-mcp] Competitor changes source failed: ${err.message}\n`);
+          sourceResults.push(fail(`Competitor changes source failed: ${err.message}`));
+        }
+      }
+    }
+    summaryParts.push('');
+  }
+
   // ── Sources report ────────────────────────────────────────────────────────
+  Object.assign(stats.sources, push.counts);
   if (sourceResults.length > 0) {
-    summaryParts.push(`### NotebookLM Sources Added`);
+    const { added, changed, unchanged, replaced } = push.counts;
+    await writeManifest(projectPath, push.manifest);
+
+    summaryParts.push(`### NotebookLM Sources`);
+    summaryParts.push(`Text sources: **${added} added** · **${changed} changed** · **${unchanged} unchanged**`);
+    if (replaced > 0) summaryParts.push(`_${replaced} stale cop${replaced === 1 ? 'y' : 'ies'} of updated sources removed from the notebook._`);
+    summaryParts.push('');
     for (const r of sourceResults) summaryParts.push(r);
     summaryParts.push('');
   } else if (!notebookUrl) {
@@ -121,6 +284,7 @@ export async function handleSync({ project_path, mode = 'both' }) {
 
   // ── Tactical ROADMAP.md patch ─────────────────────────────────────────────
   // Update the "Last tactical sync" date so the roadmap always reflects reality.
+  progress.step('Writing ROADMAP.md...');
   try {
     const patched = await patchTacticalSync(projectPath);
     if (patched) {
@@ -132,11 +296,65 @@ export async function handleSync({ project_path, mode = 'both' }) {
     process.stderr.write(`[digital-pm-mcp] ROADMAP.md patch failed: ${err.message}\n`);
   }
 
-  return { content: [{ type: 'text', text: summaryParts.join('\n') }] };
+  return { text: summaryParts.join('\n'), stats };
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
+/**
+ * Uploads a text source unless the manifest shows identical content was already
+ * pushed. Records successful uploads in the manifest and tallies push.counts.
+ * Throws if the upload itself fails.
+ *
+ * @returns {Promise<'added'|'changed'|'unchanged'>}
+ */
+async function pushTextSource(push, label, content) {
+  const [outcome] = await pushTextSources(push, [{ label, content }]);
+  if (outcome.status === 'failed') throw new Error(outcome.error);
+  return outcome.status;
+}
+
+/**
+ * Batch form of pushTextSource(): every changed item is uploaded in a single
+ * notebook visit. Items fail independently; failed ones are left out of the
+ * manifest so the next sync retries them. Throws only if the notebook can't
+ * be opened.
+ *
+ * @returns {Promise<Array<{ label: string, status: 'added'|'changed'|'unchanged'|'failed', error: string|null }>>}
+ */
+async function pushTextSources(push, items) {
+  const outcomes = items.map(({ label, content }) => {
+    const hash   = hashContent(content);
+    let   status = classifySource(push.manifest, label, hash);
+    if (status === 'unchanged' && push.force) status = 'changed';
+    return { label, content, hash, status, error: null };
+  });
+
+  const pending = outcomes.filter(o => o.status !== 'unchanged');
+  if (pending.length > 0) {
+    const results = await addTextSources(
+      pending.map(({ label, content }) => ({ label, content })), push.notebookUrl, {
+        replace: true,
+        signal:  push.progress.signal,
+        onItem:  ({ label }, i) => push.progress.step(
+          `Adding source "${label}"${pending.length > 1 ? ` (${i + 1} of ${pending.length})` : ''}...`
+        ),
+      }
+    );
+    pending.forEach((o, i) => {
+      if (!results[i].ok) {
+        o.error = results[i].error;
+        return;
+      }
+      recordSource(push.manifest, o.label, o.hash, o.content);
+      push.counts.replaced += results[i].removed;
+    });
+  }
+
+  for (const o of outcomes) if (!o.error) push.counts[o.status]++;
+  return outcomes.map(({ label, status, error }) => ({ label, status: error ? 'failed' : status, error }));
+}
+
 /**
  * Finds key markdown files in the project worth adding as notebook sources:
  * README, CLAUDE.md, CHANGELOG, and files in docs/ directories.
@@ -0,0 +1,63 @@
+/**
+ * Answer archive — unique ids within one second, and local-date search bounds.
+ */
+
+import { test, before, after } from 'node:test';
+import assert                  from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir }              from 'node:os';
+import { join }                from 'node:path';
+
+import { archiveAnswer, readAnswers, parseDateBound } from '../src/services/answer-archive.js';
+import { getStatePath }                               from '../src/services/config.js';
+
+let project;
+const savedTZ = process.env.TZ;
+
+before(async () => {
+  project = await mkdtemp(join(tmpdir(), 'dpm-answers-'));
+  // A zone away from UTC, so a UTC-midnight bound would be visibly off
+  process.env.TZ = 'America/New_York';
+});
+
+after(async () => {
+  if (savedTZ === undefined) delete process.env.TZ;
+  else process.env.TZ = savedTZ;
+  await rm(project, { recursive: true, force: true });
+});
+
+test('answers archived in the same second for the same topic keep separate files', async () => {
+  const entry   = { tool: 'query', project: 'acme', question: 'What next?', answer: 'A' };
+  const records = await Promise.all([
+    archiveAnswer(project, entry),
+    archiveAnswer(project, { ...entry, answer: 'B' }),
+    archiveAnswer(project, { ...entry, answer: 'C' }),
+  ]);
+
+  const ids = records.map(r => r.id);
+  assert.equal(new Set(ids).size, 3);
+  if (new Set(records.map(r => r.created_at.slice(0, 19))).size === 1) {
+    assert.deepEqual(ids.slice(1).map(id => id.slice(ids[0].length)).sort(), ['-2', '-3']);
+  }
+  assert.equal((await readdir(getStatePath(project, 'answers'))).length, 3);
+  assert.deepEqual((await readAnswers(project)).map(r => r.answer).sort(), ['A', 'B', 'C']);
+});
+
+test('the id is stamped with the local time the history listing shows', async () => {
+  const record = await archiveAnswer(project, { tool: 'plan', project: 'acme', question: 'Offline mode?', topic: 'Offline mode' });
+  const at     = new Date(record.created_at);
+  const pad    = n => String(n).padStart(2, '0');
+  const stamp  = `${at.getFullYear()}${pad(at.getMonth() + 1)}${pad(at.getDate())}-${pad(at.getHours())}${pad(at.getMinutes())}${pad(at.getSeconds())}`;
+
+  assert.match(record.id, /^\d{8}-\d{6}-plan-offline-mode$/);
+  assert.equal(record.id.slice(0, 15), stamp);
+});
+
+test('a plain date bound is a local calendar day', () => {
+  assert.equal(parseDateBound('2026-03-01'), new Date(2026, 2, 1).getTime());
+  assert.equal(parseDateBound('2026-03-01', { endOfDay: true }), new Date(2026, 2, 2).getTime() - 1);
+  assert.equal(new Date(parseDateBound('2026-03-01')).toISOString(), '2026-03-01T05:00:00.000Z');
+  assert.equal(parseDateBound('2026-02-30'), null);
+  assert.equal(parseDateBound('2026-03-01T12:00:00Z'), Date.UTC(2026, 2, 1, 12));
+  assert.equal(parseDateBound('soon'), null);
+});
@@ -0,0 +1,100 @@
+/**
+ * Saved plan briefs — archiving on completion, and brief links in ROADMAP.md
+ * that point outside docs/briefs/.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert                          from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile, access } from 'node:fs/promises';
+import { tmpdir }                      from 'node:os';
+import { join }                        from 'node:path';
+
+import { saveBrief, archiveBrief }    from '../src/services/briefs.js';
+import { patchSprintItem, linkBrief }    from '../src/services/roadmap.js';
+
+let root;
+let project;
+
+const exists = path => access(path).then(() => true, () => false);
+
+const roadmapWith = brief => [
+  '# Acme Roadmap',
+  '',
+  '## ⚡ Active Execution Board',
+  '',
+  '### 🔥 Current Sprint',
+  '',
+  `- [/] **Desktop**: Offline mode with local data sync · [brief](${brief})`,
+  '',
+].join('\n');
+
+beforeEach(async () => {
+  root    = await mkdtemp(join(tmpdir(), 'dpm-briefs-'));
+  project = join(root, 'project');
+  await mkdir(project);
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('completing an item archives its brief and repoints the link', async () => {
+  const path = await saveBrief(project, { feature: 'Offline mode with local data sync', content: 'Build it.' });
+  assert.equal(path, 'docs/briefs/offline-mode-with-local-data-sync.md');
+  await writeFile(join(project, 'ROADMAP.md'), roadmapWith(path));
+
+  const outcome = await patchSprintItem(project, 'Offline mode', 'done');
+
+  const archived = 'docs/briefs/archive/offline-mode-with-local-data-sync.md';
+  assert.equal(outcome.ok, true);
+  assert.deepEqual(outcome.brief, { from: path, to: archived });
+  assert.equal(await exists(join(project, path)), false);
+  assert.match(await readFile(join(project, archived), 'utf8'), /^status: archived$/m);
+  assert.match(await readFile(join(project, 'ROADMAP.md'), 'utf8'), /\[brief\]\(docs\/briefs\/archive\/offline-mode-with-local-data-sync\.md\)/);
+});
+
+test('completing a feature a second time keeps the first archived brief', async () => {
+  const path = await saveBrief(project, { feature: 'Offline mode with local data sync', content: 'First attempt.' });
+  await writeFile(join(project, 'ROADMAP.md'), roadmapWith(path));
+  await patchSprintItem(project, 'Offline mode', 'done');
+
+  // Reopened, re-planned with a new brief and completed again
+  await patchSprintItem(project, 'Offline mode', 'planned');
+  await linkBrief(project, 'Offline mode', await saveBrief(project, { feature: 'Offline mode with local data sync', content: 'Second attempt.' }));
+  await patchSprintItem(project, 'Offline mode', 'in-progress');
+  const outcome = await patchSprintItem(project, 'Offline mode', 'done');
+
+  const second = 'docs/briefs/archive/offline-mode-with-local-data-sync-2.md';
+  assert.deepEqual(outcome.brief, { from: path, to: second });
+  assert.match(await readFile(join(project, 'docs/briefs/archive/offline-mode-with-local-data-sync.md'), 'utf8'), /First attempt\./);
+  assert.match(await readFile(join(project, second), 'utf8'), /Second attempt\./);
+  assert.equal(await exists(join(project, path)), false);
+  assert.match(await readFile(join(project, 'ROADMAP.md'), 'utf8'), /\[brief\]\(docs\/briefs\/archive\/offline-mode-with-local-data-sync-2\.md\)/);
+});
+
+test('a brief link that escapes docs/briefs/ is left alone', async () => {
+  const outside = join(root, 'outside.md');
+  await writeFile(outside, 'not a brief\n');
+  const link = 'docs/briefs/../../../outside.md';
+  await writeFile(join(project, 'ROADMAP.md'), roadmapWith(link));
+
+  const outcome = await patchSprintItem(project, 'Offline mode', 'done');
+
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.brief, undefined);
+  assert.equal(await readFile(outside, 'utf8'), 'not a brief\n');
+  assert.equal(await exists(join(project, 'docs/briefs/archive')), false);
+  assert.match(await readFile(join(project, 'ROADMAP.md'), 'utf8'), /\[brief\]\(docs\/briefs\/\.\.\/\.\.\/\.\.\/outside\.md\)/);
+});
+
+test('archiveBrief ignores paths outside the active briefs', async () => {
+  await saveBrief(project, { feature: 'Offline mode', content: 'Build it.' });
+  const archived = await archiveBrief(project, 'docs/briefs/offline-mode.md');
+  assert.equal(archived, 'docs/briefs/archive/offline-mode.md');
+
+  assert.equal(await archiveBrief(project, archived), null);
+  assert.equal(await archiveBrief(project, 'docs/briefs'), null);
+  assert.equal(await archiveBrief(project, 'docs/briefs/../ROADMAP.md'), null);
+  assert.equal(await archiveBrief(project, join(root, 'outside.md')), null);
+  assert.equal(await archiveBrief(project, 'docs/briefs/./../briefs/../../outside.md'), null);
+});
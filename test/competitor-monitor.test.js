@@ -0,0 +1,182 @@
+/**
+ * Competitor change detection — fixture pages served from a local HTTP server,
+ * switched from version 1 to version 2 between two checkCompetitors() runs.
+ */
+
+import { test, before, after } from 'node:test';
+import assert                  from 'node:assert/strict';
+import { createServer }        from 'node:http';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir }              from 'node:os';
+import { join }                from 'node:path';
+import { fileURLToPath }       from 'node:url';
+
+import {
+  htmlToLines, diffLines, checkCompetitors, formatChangeLog,
+  findRoadmapOverlaps, overlapKey, overlapBlockerText,
+} from '../src/services/competitor-monitor.js';
+import { addBlocker, readRoadmapModel } from '../src/services/roadmap.js';
+import { getStatePath }                 from '../src/services/config.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/competitor/', import.meta.url));
+
+let server;
+let base;
+let version = 1;
+let project;
+let config;
+
+before(async () => {
+  server = createServer(async (req, res) => {
+    const file = {
+      '/':          'homepage.html',
+      '/pricing':   `pricing-v${version}.html`,
+      '/changelog': `changelog-v${version}.html`,
+    }[req.url];
+    if (!file) {
+      res.writeHead(404).end('not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(await readFile(join(FIXTURES, file)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base    = `http://127.0.0.1:${server.address().port}`;
+  project = await mkdtemp(join(tmpdir(), 'dpm-competitors-'));
+  config  = {
+    competitors: [{
+      name:          'Acme Notes',
+      homepage:      `${base}/`,
+      pricing_url:   `${base}/pricing`,
+      changelog_url: `${base}/changelog`,
+    }],
+  };
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(project, { recursive: true, force: true });
+});
+
+test('htmlToLines keeps visible text only, one line per block', async () => {
+  const lines = htmlToLines(await readFile(join(FIXTURES, 'pricing-v1.html'), 'utf8'));
+  assert.deepEqual(lines, [
+    'Pricing',
+    'Free',
+    'Up to 3 workspaces & 1,000 blocks',
+    'Pro',
+    '$8 per user / month',
+    'Unlimited blocks and version history',
+    'Last updated March 1',
+  ]);
+  assert.deepEqual(htmlToLines(await readFile(join(FIXTURES, 'homepage.html'), 'utf8')), [
+    'Acme Notes',
+    'Notes, docs and wikis for teams — in one place.',
+  ]);
+});
+
+test('diffLines ignores reordering and noise lines', () => {
+  assert.deepEqual(
+    diffLines(['a line', 'another line', 'Last updated March 1'], ['another line', 'a line', 'Last updated April 12', '2026']),
+    { added: [], removed: [] },
+  );
+  assert.deepEqual(diffLines(['$8 per user / month'], ['$10 per user / month']), {
+    added:   ['$10 per user / month'],
+    removed: ['$8 per user / month'],
+  });
+});
+
+test('the first run only snapshots every page', async () => {
+  const outcome = await checkCompetitors(project, config);
+
+  assert.deepEqual(outcome, { checked: 3, baselined: 3, changes: [], errors: [] });
+  const snapshot = JSON.parse(await readFile(getStatePath(project, 'competitors/acme-notes.json'), 'utf8'));
+  assert.equal(snapshot.name, 'Acme Notes');
+  assert.deepEqual(Object.keys(snapshot.pages).sort(), ['changelog_url', 'homepage', 'pricing_url']);
+  assert.equal(snapshot.pages.pricing_url.url, `${base}/pricing`);
+  assert.ok(snapshot.pages.pricing_url.lines.includes('$8 per user / month'));
+});
+
+test('an unchanged page is not reported on the next run', async () => {
+  const outcome = await checkCompetitors(project, config);
+  assert.deepEqual(outcome, { checked: 3, baselined: 0, changes: [], errors: [] });
+});
+
+test('the second version is diffed against the stored snapshot and logged', async () => {
+  version = 2;
+  const outcome = await checkCompetitors(project, config);
+
+  assert.equal(outcome.checked, 3);
+  assert.equal(outcome.baselined, 0);
+  assert.deepEqual(outcome.changes, [
+    {
+      competitor: 'Acme Notes', page: 'Pricing', url: `${base}/pricing`,
+      added: ['$10 per user / month'], removed: ['$8 per user / month'],
+    },
+    {
+      competitor: 'Acme Notes', page: 'Changelog', url: `${base}/changelog`,
+      added: ['March 2026', 'Offline mode now keeps local data in sync across devices'], removed: [],
+    },
+  ]);
+
+  // The snapshot now holds version 2
+  const snapshot = JSON.parse(await readFile(getStatePath(project, 'competitors/acme-notes.json'), 'utf8'));
+  assert.ok(snapshot.pages.pricing_url.lines.includes('$10 per user / month'));
+
+  const log = JSON.parse(await readFile(getStatePath(project, 'competitor-changes.json'), 'utf8'));
+  assert.equal(log.entries.length, 2);
+  assert.ok(log.entries.every(e => e.detected_at));
+
+  const source = await formatChangeLog(project, 'acme');
+  assert.match(source, /^# Competitor Changes — acme/);
+  assert.match(source, /## Acme Notes — Pricing \(\d{4}-\d{2}-\d{2}\)/);
+  assert.match(source, /- ➕ \$10 per user \/ month/);
+  assert.match(source, /- ➖ \$8 per user \/ month/);
+});
+
+test('a page that fails to load is reported without touching the others', async () => {
+  const broken  = { competitors: [{ name: 'Acme Notes', homepage: `${base}/`, pricing_url: `${base}/gone` }] };
+  const outcome = await checkCompetitors(project, broken);
+
+  assert.equal(outcome.checked, 1);
+  assert.deepEqual(outcome.errors, [{ competitor: 'Acme Notes', page: 'Pricing', url: `${base}/gone`, message: 'HTTP 404' }]);
+});
+
+test('a change mentioning a planned roadmap feature becomes a blocker', async () => {
+  await writeFile(join(project, 'ROADMAP.md'), [
+    '# Acme Roadmap',
+    '',
+    '## ⚡ Active Execution Board',
+    '',
+    '### 🔥 Current Sprint',
+    '',
+    '- [ ] `P1` **Desktop**: Offline mode with local data sync',
+    '- [x] **Desktop**: Keyboard shortcuts for tables',
+    '',
+    '## 🔄 Feedback Loop — Stale Data Alerts',
+    '',
+    '_No blockers detected._',
+    '',
+  ].join('\n'));
+
+  const changes = [{
+    competitor: 'Acme Notes', page: 'Changelog', url: `${base}/changelog`,
+    added: ['Offline mode now keeps local data in sync across devices', 'Keyboard shortcuts for tables'], removed: [],
+  }];
+  const overlaps = findRoadmapOverlaps(await readRoadmapModel(project), changes);
+
+  // Done items are not planned work
+  assert.deepEqual(overlaps.map(o => [o.feature, o.line]), [
+    ['Offline mode with local data sync', 'Offline mode now keeps local data in sync across devices'],
+  ]);
+
+  const text = overlapBlockerText(overlaps[0]);
+  assert.equal(text, 'Acme Notes changelog change overlaps planned "Offline mode with local data sync": "Offline mode now keeps local data in sync across devices"');
+  assert.ok(text.startsWith(overlapKey(overlaps[0])));
+
+  assert.equal(await addBlocker(project, text), true);
+  const { blockers } = await readRoadmapModel(project);
+  assert.equal(blockers.length, 1);
+  assert.equal(blockers[0].kind, 'Research Shift');
+  assert.equal(blockers[0].text, text);
+});
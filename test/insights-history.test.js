@@ -0,0 +1,187 @@
+/**
+ * Insights briefings — storage, section parsing and the comparison that drives
+ * the "Since the Last Briefing" report and Pivot Risk blockers.
+ */
+
+import { test, before, after } from 'node:test';
+import assert                  from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir }              from 'node:os';
+import { join }                from 'node:path';
+
+import {
+  saveBriefing, readBriefings, parseSections, compareBriefings, itemLead,
+} from '../src/services/insights-history.js';
+import { resolveTemplate }               from '../src/services/insights-templates.js';
+import { getStatePath, writeStateFile }  from '../src/services/config.js';
+
+let project;
+
+before(async () => {
+  project = await mkdtemp(join(tmpdir(), 'dpm-insights-'));
+});
+
+after(async () => {
+  await rm(project, { recursive: true, force: true });
+});
+
+test('briefings saved in the same second keep separate files, newest first', async () => {
+  const template = resolveTemplate({});
+  const saved    = [];
+  for (const answer of ['first', 'second', 'third']) {
+    saved.push(await saveBriefing(project, { project: 'acme', answer, template }));
+  }
+
+  assert.equal(new Set(saved.map(b => b.id)).size, 3);
+  assert.equal((await readdir(getStatePath(project, 'insights'))).length, 3);
+  assert.deepEqual((await readBriefings(project)).map(b => b.id), saved.map(b => b.id).reverse());
+});
+
+test('briefings are filtered by template, and untagged ones count as "default"', async () => {
+  const dir      = join(project, 'filter');
+  const custom   = { name: 'enterprise', sections: [{ key: 'pricing', title: 'Pricing' }] };
+  await writeStateFile(dir, 'insights/20260101-090000.json', { id: '20260101-090000', sections: {} });   // before templates
+  const builtIn  = await saveBriefing(dir, { project: 'acme', answer: '', template: resolveTemplate({}) });
+  const tailored = await saveBriefing(dir, { project: 'acme', answer: '## Pricing\n- Too high', template: custom });
+
+  assert.deepEqual((await readBriefings(dir, { template: 'default' })).map(b => b.id), [builtIn.id, '20260101-090000']);
+  assert.deepEqual((await readBriefings(dir, { template: 'enterprise' })).map(b => b.id), [tailored.id]);
+  assert.equal((await readBriefings(dir)).length, 3);
+  assert.deepEqual(tailored.sections.pricing.items, ['Too high']);
+});
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+const { sections: DEFAULT_SECTIONS } = resolveTemplate({});
+
+// Each heading in a different style, as NotebookLM varies them between runs
+const BRIEFING_V1 = [
+  'Here is your briefing.',
+  '',
+  '## 1. Competitive Gaps',
+  '- **Offline mode**: Notion ships full offline editing; we need a connection.',
+  '- **Templates** — Coda has a gallery of 500 templates.',
+  '',
+  '**2. Unmet User Demand**',
+  '1. Calendar sync',
+  '   with Google and Outlook',
+  '2) Public API',
+  '',
+  '### Technical Risk',
+  'The sync engine keeps the whole workspace in memory.',
+  'Search is a single SQLite file.',
+  '',
+  '4. #1 Priority — Next 30 Days',
+  '**Ship offline mode**: it closes the biggest gap.',
+  '',
+  '## 5. Pivot Risk',
+  'No significant signals — you\'re pointed in the right direction.',
+].join('\n');
+
+const BRIEFING_V2 = [
+  '## Competitive Gaps',
+  '- **Offline editing**: Notion lets teams edit without a connection.',
+  '- **AI writing**: Notion AI drafts pages; we have nothing.',
+  '',
+  '## Technical Risk',
+  '- The sync engine keeps the whole workspace in memory.',
+  '',
+  '## #1 Priority',
+  '- **Build AI writing**: catch up before the renewal season.',
+  '',
+  '## Pivot Risk',
+  'Teams are moving to AI-native docs tools; two of our pilots churned to them.',
+].join('\n');
+
+test('parseSections finds ##, bold and numbered headings in template order', () => {
+  const sections = parseSections(BRIEFING_V1, DEFAULT_SECTIONS);
+
+  assert.deepEqual(Object.keys(sections), ['competitive_gaps', 'unmet_demand', 'technical_risk', 'priority', 'pivot_risk']);
+  assert.deepEqual(sections.competitive_gaps.items, [
+    '**Offline mode**: Notion ships full offline editing; we need a connection.',
+    '**Templates** — Coda has a gallery of 500 templates.',
+  ]);
+  // Continuation lines join their item; prose sections split into lines
+  assert.deepEqual(sections.unmet_demand.items, ['Calendar sync with Google and Outlook', 'Public API']);
+  assert.deepEqual(sections.technical_risk.items, [
+    'The sync engine keeps the whole workspace in memory.',
+    'Search is a single SQLite file.',
+  ]);
+  assert.equal(sections.priority.title, '#1 Priority — Next 30 Days');
+  assert.equal(sections.priority.text, '**Ship offline mode**: it closes the biggest gap.');
+  assert.match(sections.pivot_risk.text, /^No significant signals/);
+});
+
+test('parseSections leaves a missing section null and ignores sentences naming a section', () => {
+  const answer   = 'Our technical risk is low overall.\n\n## Competitive Gaps\n- Offline mode\n\n## Pivot Risk\nNothing alarming.';
+  const sections = parseSections(answer, DEFAULT_SECTIONS);
+
+  assert.deepEqual(sections.competitive_gaps.items, ['Offline mode']);
+  assert.equal(sections.unmet_demand, null);
+  assert.equal(sections.technical_risk, null);
+  assert.equal(sections.priority, null);
+  assert.equal(sections.pivot_risk.text, 'Nothing alarming.');
+  assert.deepEqual(parseSections('', DEFAULT_SECTIONS), Object.fromEntries(DEFAULT_SECTIONS.map(s => [s.key, null])));
+});
+
+test('itemLead is the bold title or first clause, capped at 90 characters', () => {
+  assert.equal(itemLead('**Offline mode**: Notion ships full offline editing.'), 'Offline mode');
+  assert.equal(itemLead('Templates — Coda has a gallery'), 'Templates');
+  assert.equal(itemLead('Calendar sync. Users ask weekly'), 'Calendar sync');
+  assert.equal(itemLead('Public API'), 'Public API');
+  const long = itemLead('word '.repeat(30));
+  assert.equal(long.length, 88);
+  assert.ok(long.endsWith('…'));
+});
+
+// ── Comparison ───────────────────────────────────────────────────────────────
+
+const briefing = answer => ({ sections: parseSections(answer, DEFAULT_SECTIONS) });
+
+test('compareBriefings reports added, removed and changed points', () => {
+  const changes = compareBriefings(briefing(BRIEFING_V1), briefing(BRIEFING_V2));
+
+  // "Offline editing" is the reworded "Offline mode"
+  assert.deepEqual(changes.gaps, {
+    added:  ['**AI writing**: Notion AI drafts pages; we have nothing.'],
+    closed: ['**Templates** — Coda has a gallery of 500 templates.'],
+  });
+  assert.deepEqual(changes.risks, { added: [], resolved: ['Search is a single SQLite file.'] });
+  assert.deepEqual(changes.priority, { shifted: true, before: 'Ship offline mode', after: 'Build AI writing' });
+  assert.equal(changes.pivot.changed, true);
+  assert.equal(changes.pivot.alarming, true);
+  assert.equal(changes.pivot.after, 'Teams are moving to AI-native docs tools; two of our pilots churned to them.');
+
+  // Missing from the newer briefing: not comparable rather than "all dropped"
+  assert.equal(changes.sections.unmet_demand, null);
+  assert.deepEqual(changes.sections.technical_risk, {
+    title: 'Technical Risk', added: [], dropped: ['Search is a single SQLite file.'],
+  });
+});
+
+test('compareBriefings sees an unchanged briefing as unchanged and a calm pivot as not alarming', () => {
+  const changes = compareBriefings(briefing(BRIEFING_V1), briefing(BRIEFING_V1));
+
+  assert.deepEqual(changes.gaps, { added: [], closed: [] });
+  assert.deepEqual(changes.risks, { added: [], resolved: [] });
+  assert.equal(changes.priority.shifted, false);
+  assert.deepEqual([changes.pivot.changed, changes.pivot.alarming], [false, false]);
+
+  const eased = compareBriefings(briefing(BRIEFING_V2), briefing(BRIEFING_V1));
+  assert.deepEqual([eased.pivot.changed, eased.pivot.alarming], [true, false]);
+  assert.equal(eased.gaps.added.length, 1);
+  assert.equal(eased.sections.unmet_demand, null);
+});
+
+test('compareBriefings of a custom template only diffs its own sections', () => {
+  const sections = [{ key: 'pricing', title: 'Pricing' }, { key: 'compliance', title: 'Compliance' }];
+  const before   = { sections: parseSections('## Pricing\n- Seats are too expensive\n## Compliance\n- No SOC 2', sections) };
+  const after    = { sections: parseSections('## Pricing\n- Seats are too expensive\n- No annual plan', sections) };
+
+  const changes = compareBriefings(before, after);
+  assert.deepEqual([changes.gaps, changes.risks, changes.priority, changes.pivot], [null, null, null, null]);
+  assert.deepEqual(changes.sections, {
+    pricing:    { title: 'Pricing', added: ['No annual plan'], dropped: [] },
+    compliance: null,
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Insights templates — lookup, validation and normalization of templates from
+ * .digitalpM.json, and the question each one asks NotebookLM.
+ */
+
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+
+import {
+  DEFAULT_TEMPLATE_NAME, listTemplateNames, resolveTemplate, buildTemplateQuery,
+} from '../src/services/insights-templates.js';
+import { parseSections } from '../src/services/insights-history.js';
+
+const withTemplates = templates => ({ insights: { templates } });
+
+test('the built-in template is "default" and keeps the keys compare relies on', () => {
+  const template = resolveTemplate({});
+  assert.equal(template.name, DEFAULT_TEMPLATE_NAME);
+  assert.deepEqual(template.sections.map(s => s.key), ['competitive_gaps', 'unmet_demand', 'technical_risk', 'priority', 'pivot_risk']);
+  assert.equal(resolveTemplate(withTemplates({ enterprise: { sections: ['Pricing'] } }), ' Default '), template);
+});
+
+test('a config template gets derived keys, a default description and the default instructions', () => {
+  const template = resolveTemplate(withTemplates({
+    Enterprise: {
+      sections: [
+        'Pricing',
+        { title: 'Enterprise Readiness', prompt: '  SSO, audit logs?  ' },
+        { title: 'SOC 2 / GDPR', key: 'Compliance Gaps', match: 'SOC 2' },
+      ],
+    },
+  }), 'enterprise');
+
+  assert.deepEqual(template, {
+    name:         'Enterprise',
+    description:  '3-section briefing',
+    instructions: 'You are a senior product manager reviewing my project.',
+    sections: [
+      { key: 'pricing',              title: 'Pricing' },
+      { key: 'enterprise_readiness', title: 'Enterprise Readiness', prompt: 'SSO, audit logs?' },
+      { key: 'compliance_gaps',      title: 'SOC 2 / GDPR', match: 'SOC 2' },
+    ],
+  });
+});
+
+test('malformed config templates are rejected with the offending entry named', () => {
+  const rejects = (raw, pattern) => assert.throws(() => resolveTemplate(withTemplates({ sales: raw }), 'sales'), pattern);
+
+  rejects(undefined,                                      /insights\.templates\.sales in \.digitalpM\.json needs a non-empty "sections" list/);
+  rejects({ sections: [] },                               /needs a non-empty "sections" list/);
+  rejects({ sections: 'Pricing' },                        /needs a non-empty "sections" list/);
+  rejects({ sections: ['Pricing', { prompt: 'Why?' }] },  /insights\.templates\.sales in \.digitalpM\.json: section 2 has no "title"/);
+  rejects({ sections: ['Pricing', null] },                /section 2 has no "title"/);
+  rejects({ sections: ['Win rate', 'Win Rate!'] },        /two sections share the key "win_rate" — give one a distinct "key"/);
+  rejects({ sections: ['Pricing', { title: 'Cost', key: 'pricing' }] }, /two sections share the key "pricing"/);
+});
+
+test('a config template named "default" cannot replace the built-in one', () => {
+  const config = withTemplates({ DEFAULT: { sections: ['Pricing'] }, enterprise: { sections: ['Pricing'] } });
+
+  assert.throws(() => resolveTemplate(config), /insights\.templates\.DEFAULT in \.digitalpM\.json: "default" is reserved/);
+  assert.throws(() => resolveTemplate(config, 'default'), /rename the template/);
+  // The other templates stay usable, and the listing shows the built-in once
+  assert.equal(resolveTemplate(config, 'enterprise').name, 'enterprise');
+  assert.deepEqual(listTemplateNames(config), ['default', 'enterprise']);
+});
+
+test('an unknown template lists the available ones', () => {
+  assert.throws(
+    () => resolveTemplate(withTemplates({ enterprise: { sections: ['Pricing'] } }), 'growth'),
+    /No insights template "growth"\. Available: "default", "enterprise"\./,
+  );
+  assert.deepEqual(listTemplateNames({ insights: { templates: ['not', 'an', 'object'] } }), ['default']);
+});
+
+test('the query asks for numbered headings that parse back into the template\'s sections', () => {
+  const template = resolveTemplate(withTemplates({
+    enterprise: { instructions: 'You are a B2B product lead.', sections: [{ title: 'Pricing', prompt: 'Where do we lose deals?' }, 'Compliance'] },
+  }), 'enterprise');
+  const query = buildTemplateQuery(template);
+
+  assert.ok(query.startsWith('You are a B2B product lead.\n'));
+  assert.match(query, /exactly these 2 sections/);
+  assert.match(query, /^## 1\. Pricing\nWhere do we lose deals\?\n\n## 2\. Compliance\n\n/m);
+
+  // An answer echoing those headings fills every section
+  const sections = parseSections('## 1. Pricing\n- Seats\n\n## 2. Compliance\n- No SOC 2', template.sections);
+  assert.deepEqual(Object.values(sections).map(s => s.items), [['Seats'], ['No SOC 2']]);
+});
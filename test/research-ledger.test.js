@@ -0,0 +1,29 @@
+/**
+ * Research ledger query cache — hits within the TTL, expired entries pruned on write.
+ */
+
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+
+import { cacheResults, getCachedResults } from '../src/services/research-ledger.js';
+
+const DAY_MS  = 24 * 60 * 60 * 1000;
+const entry   = (ageMs, results) => ({ query: 'q', fetched_at: new Date(Date.now() - ageMs).toISOString(), results });
+
+test('caching drops entries older than the TTL and keeps fresh ones', () => {
+  const ledger = { queries: { old: entry(3 * DAY_MS, [1]), fresh: entry(60_000, [2]) } };
+
+  cacheResults(ledger, 'new', 'new query', [3], DAY_MS);
+
+  assert.deepEqual(Object.keys(ledger.queries).sort(), ['fresh', 'new']);
+  assert.deepEqual(getCachedResults(ledger, 'new', DAY_MS), [3]);
+  assert.deepEqual(getCachedResults(ledger, 'fresh', DAY_MS), [2]);
+});
+
+test('a TTL of 0 keeps nothing', () => {
+  const ledger = { queries: { fresh: entry(60_000, [2]) } };
+
+  cacheResults(ledger, 'new', 'new query', [3], 0);
+
+  assert.deepEqual(ledger.queries, {});
+});
@@ -0,0 +1,261 @@
+/**
+ * ROADMAP.md model — lossless round trips, mutations that touch only their
+ * own lines, and board item lookup.
+ */
+
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+
+import {
+  parseRoadmap, serializeRoadmap, findItem, setItemState, setItemBrief,
+  addBlocker, removeBlockers, setMetadata, setCompetitors,
+} from '../src/services/roadmap-model.js';
+
+// Hand-edited on purpose: odd spacing, an uppercase [X], an escaped pipe, prose,
+// an unknown section and a fenced block full of board-like lines
+const ROADMAP = [
+  '<!-- maintained by digital-pm-mcp -->',
+  '# Acme Roadmap',
+  '',
+  '> Written by hand — keep this quote.',
+  '',
+  '## 🧭 Contextual North Star',
+  '',
+  '| Competitor | Their approach | Our edge |',
+  '|---|---|---|',
+  '| [Notion](https://notion.so) |  Docs \\| wikis  | Offline first |',
+  '| Coda | Doc-as-app | _← Define our differentiator_ |',
+  '',
+  '## 🎯 Strategic Epics',
+  '',
+  '### 🖥️ Desktop',
+  '',
+  '> 💡 **NotebookLM Insight**: _"Users want offline mode"_',
+  '',
+  '| Feature | Status | Priority |',
+  '|---------|--------|----------|',
+  '| Offline mode | Planned | P1 |',
+  '',
+  '## ⚡ Active Execution Board',
+  '',
+  '### 🔥 Current Sprint',
+  '',
+  '- [ ] `P1` **Desktop**: Offline mode with local data sync',
+  '- [/] **Desktop**:   Keyboard shortcuts',
+  '  - a hand-written sub-note',
+  '',
+  '### 📋 Backlog',
+  '',
+  '- [ ] **Web**: Sync settings across devices · [brief](docs/briefs/sync-settings.md)',
+  '- [ ] Offline mode',
+  '',
+  '### ✅ Completed',
+  '',
+  '- [X] **Web**: Dark mode',
+  '',
+  '```md',
+  '## Not a section',
+  '- [ ] Not a board item',
+  '| not | a | table |',
+  '```',
+  '',
+  '## 📝 Notes',
+  '',
+  'Free-form notes the parser knows nothing about.',
+  '',
+  '## 🔄 Feedback Loop — Stale Data Alerts',
+  '',
+  '_No blockers detected._',
+  '',
+  '## 🗂️ Metadata',
+  '',
+  '- **Last Synced**: 2026-03-01',
+  '- **Sync Count**:   3',
+  '',
+  '---',
+  '',
+].join('\n');
+
+/** Lines that differ once the unchanged head and tail are stripped. */
+function changedLines(before, after) {
+  const a = before.split(/\r?\n/);
+  const b = after.split(/\r?\n/);
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  return { removed: a.slice(head, a.length - tail), added: b.slice(head, b.length - tail) };
+}
+
+function mutate(fn, markdown = ROADMAP) {
+  const model = parseRoadmap(markdown);
+  const result = fn(model);
+  return { model, result, changes: changedLines(markdown, serializeRoadmap(model)) };
+}
+
+// ── Round trips ──────────────────────────────────────────────────────────────
+
+test('an untouched roadmap round-trips byte for byte', () => {
+  assert.equal(serializeRoadmap(parseRoadmap(ROADMAP)), ROADMAP);
+});
+
+test('CRLF line endings round-trip, and edits keep them', () => {
+  const crlf = ROADMAP.replace(/\n/g, '\r\n');
+  assert.equal(serializeRoadmap(parseRoadmap(crlf)), crlf);
+
+  const model = parseRoadmap(crlf);
+  setItemState(findItem(model, 'Dark mode'), 'planned');
+  const out = serializeRoadmap(model);
+  assert.equal(out.split('\r\n').length, crlf.split('\r\n').length);
+  assert.ok(!/[^\r]\n/.test(out));
+  assert.ok(out.includes('- [ ] **Web**: Dark mode\r\n'));
+});
+
+test('the typed views skip fenced and unknown lines', () => {
+  const model = parseRoadmap(ROADMAP);
+  assert.equal(model.title, 'Acme Roadmap');
+  assert.deepEqual(model.sprint.map(i => [i.state, i.priority, i.epic, i.title]), [
+    ['planned',     'P1', 'Desktop', 'Offline mode with local data sync'],
+    ['in-progress', null, 'Desktop', 'Keyboard shortcuts'],
+  ]);
+  assert.deepEqual(model.backlog.map(i => [i.title, i.brief]), [
+    ['Sync settings across devices', 'docs/briefs/sync-settings.md'],
+    ['Offline mode',                 null],
+  ]);
+  assert.deepEqual(model.completed.map(i => i.state), ['done']);
+  assert.deepEqual(model.competitors.map(c => [c.competitor, c.approach]), [
+    ['[Notion](https://notion.so)', 'Docs \\| wikis'],
+    ['Coda',                        'Doc-as-app'],
+  ]);
+  assert.deepEqual(model.epics.map(e => [e.icon, e.name, e.insight, e.features.length]), [['🖥️', 'Desktop', 'Users want offline mode', 1]]);
+  assert.deepEqual(model.blockers, []);
+  assert.deepEqual(model.metadata, { 'Last Synced': '2026-03-01', 'Sync Count': '3' });
+});
+
+// ── Mutations ────────────────────────────────────────────────────────────────
+
+test('setItemState rewrites only that item\'s line', () => {
+  const { result, changes } = mutate(model => setItemState(findItem(model, 'Keyboard shortcuts'), 'done'));
+  assert.equal(result, true);
+  assert.deepEqual(changes, {
+    removed: ['- [/] **Desktop**:   Keyboard shortcuts'],
+    added:   ['- [x] **Desktop**: Keyboard shortcuts'],   // a re-rendered line is normalized
+  });
+
+  const unknown = mutate(model => setItemState(findItem(model, 'Dark mode'), 'shipped'));
+  assert.equal(unknown.result, false);
+  assert.deepEqual(unknown.changes, { removed: [], added: [] });
+});
+
+test('setItemBrief links, repoints and unlinks only that item', () => {
+  assert.deepEqual(mutate(model => setItemBrief(findItem(model, 'Dark mode'), 'docs/briefs/dark-mode.md')).changes, {
+    removed: ['- [X] **Web**: Dark mode'],
+    added:   ['- [x] **Web**: Dark mode · [brief](docs/briefs/dark-mode.md)'],
+  });
+  assert.deepEqual(mutate(model => setItemBrief(findItem(model, 'Sync settings'), null)).changes, {
+    removed: ['- [ ] **Web**: Sync settings across devices · [brief](docs/briefs/sync-settings.md)'],
+    added:   ['- [ ] **Web**: Sync settings across devices'],
+  });
+  const same = mutate(model => setItemBrief(findItem(model, 'Sync settings'), 'docs/briefs/sync-settings.md'));
+  assert.equal(same.result, false);
+  assert.deepEqual(same.changes, { removed: [], added: [] });
+});
+
+test('addBlocker replaces the placeholder, then appends to the list', () => {
+  const { model, changes } = mutate(model => addBlocker(model, 'Notion shipped offline mode', { date: '2026-03-02' }));
+  assert.deepEqual(changes, {
+    removed: ['_No blockers detected._'],
+    added:   ['- **[BLOCKER: Research Shift]** 2026-03-02: Notion shipped offline mode'],
+  });
+
+  const once = serializeRoadmap(model);
+  addBlocker(model, 'Pricing page changed', { kind: 'Pivot Risk', date: '2026-03-03' });
+  assert.deepEqual(changedLines(once, serializeRoadmap(model)), {
+    removed: [],
+    added:   ['- **[BLOCKER: Pivot Risk]** 2026-03-03: Pricing page changed'],
+  });
+  assert.deepEqual(model.blockers.map(b => b.kind), ['Research Shift', 'Pivot Risk']);
+
+  const noSection = parseRoadmap('# Bare\n');
+  assert.equal(addBlocker(noSection, 'x'), false);
+  assert.equal(serializeRoadmap(noSection), '# Bare\n');
+});
+
+test('removeBlockers removes matching entries and restores the placeholder when none remain', () => {
+  const model = parseRoadmap(ROADMAP);
+  addBlocker(model, 'Notion shipped offline mode', { date: '2026-03-02' });
+  addBlocker(model, 'Pricing page changed', { date: '2026-03-03' });
+  const two = serializeRoadmap(model);
+
+  assert.equal(removeBlockers(model, 'PRICING'), 1);
+  assert.deepEqual(changedLines(two, serializeRoadmap(model)), {
+    removed: ['- **[BLOCKER: Research Shift]** 2026-03-03: Pricing page changed'],
+    added:   [],
+  });
+
+  assert.equal(removeBlockers(model, b => b.date === '2026-03-02'), 1);
+  assert.equal(serializeRoadmap(model), ROADMAP);
+  assert.equal(removeBlockers(model, 'anything'), 0);
+});
+
+test('setMetadata updates an entry in place or appends a new one', () => {
+  assert.deepEqual(mutate(model => setMetadata(model, 'Sync Count', '4')).changes, {
+    removed: ['- **Sync Count**:   3'],
+    added:   ['- **Sync Count**: 4'],
+  });
+  assert.deepEqual(mutate(model => setMetadata(model, 'Notebook', 'https://notebooklm.google.com/notebook/abc')).changes, {
+    removed: [],
+    added:   ['- **Notebook**: https://notebooklm.google.com/notebook/abc'],
+  });
+  const same = mutate(model => setMetadata(model, 'Sync Count', '3'));
+  assert.equal(same.result, false);
+  assert.deepEqual(same.changes, { removed: [], added: [] });
+});
+
+test('setCompetitors rewrites the table rows and keeps hand-written edges', () => {
+  const { result, changes } = mutate(model => setCompetitors(model, [
+    { name: 'Notion', url: 'https://notion.so', approach: 'Docs | wikis' },
+    { name: 'Obsidian', approach: 'Local markdown' },
+  ]));
+  assert.equal(result, true);
+  assert.deepEqual(changes, {
+    removed: ['| Coda | Doc-as-app | _← Define our differentiator_ |'],
+    added:   ['| Obsidian | Local markdown | _← Define our differentiator_ |'],
+  });
+
+  const same = mutate(model => setCompetitors(model, [
+    { name: 'Notion', url: 'https://notion.so', approach: 'Docs | wikis' },
+    { name: 'Coda', approach: 'Doc-as-app' },
+  ]));
+  assert.equal(same.result, false);
+  assert.deepEqual(same.changes, { removed: [], added: [] });
+
+  const cleared = mutate(model => setCompetitors(model, []));
+  assert.deepEqual(cleared.changes, {
+    removed: [
+      '| Competitor | Their approach | Our edge |',
+      '|---|---|---|',
+      '| [Notion](https://notion.so) |  Docs \\| wikis  | Offline first |',
+      '| Coda | Doc-as-app | _← Define our differentiator_ |',
+    ],
+    added: ['_No competitors tracked yet — add them with `digitalPM_competitors`._'],
+  });
+});
+
+// ── findItem ─────────────────────────────────────────────────────────────────
+
+test('findItem prefers an exact title, then a title substring, then epic + title', () => {
+  const model = parseRoadmap(ROADMAP);
+
+  // "Offline mode" is an exact backlog title and a substring of a sprint title
+  assert.equal(findItem(model, 'offline MODE'), model.backlog[1]);
+  // Ambiguous substring: the first board item in sprint → backlog → completed order
+  assert.equal(findItem(model, 'sync'), model.sprint[0]);
+  assert.equal(findItem(model, 'settings across'), model.backlog[0]);
+  assert.equal(findItem(model, 'web: dark'), model.completed[0]);
+  assert.equal(findItem(model, '  Dark mode  '), model.completed[0]);
+
+  // Neither fenced lines nor epic features are board items
+  assert.equal(findItem(model, 'Not a board item'), null);
+  assert.equal(findItem(model, 'Mobile app'), null);
+});
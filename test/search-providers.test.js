@@ -0,0 +1,208 @@
+/**
+ * Search providers against a local HTTP stub — "research": { "endpoint": … }
+ * points each backend at the stub, which records the request it got and
+ * answers with that provider's response format.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert                              from 'node:assert/strict';
+import { createServer }                    from 'node:http';
+
+import { PROVIDERS, resolveProvider } from '../src/services/search-providers.js';
+import { searchTopic }                from '../src/services/research.js';
+
+const PROVIDER_ENV = [...Object.values(PROVIDERS).map(p => p.envKey), 'DIGITAL_PM_SEARCH_PROVIDER'];
+const savedEnv     = Object.fromEntries(PROVIDER_ENV.map(k => [k, process.env[k]]));
+
+// Canned response per provider, in that provider's own format
+const RESPONSES = {
+  tavily: {
+    results: [
+      { url: 'https://a.example/one', title: 'One', content: 'First   result\n text' },
+      { url: 'https://b.example/two', content: 'No title' },
+    ],
+  },
+  brave: {
+    web: { results: [{ url: 'https://a.example/one', title: 'One', description: 'First <strong>result</strong> text' }] },
+  },
+  serpapi: {
+    organic_results: [{ link: 'https://a.example/one', title: 'One', snippet: 'First result text' }],
+  },
+  exa: {
+    results: [{ url: 'https://a.example/one', title: '', text: 'First result text' }],
+  },
+  searxng: {
+    results: [{ url: 'https://a.example/one', title: 'One', content: 'First result text' }],
+  },
+};
+
+let server;
+let base;
+let requests = [];
+let status   = 200;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, base);
+      requests.push({ method: req.method, url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const provider = url.pathname.split('/')[1];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(status === 200 ? JSON.stringify(RESPONSES[provider] ?? {}) : '{"error":"quota exceeded"}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  for (const key of PROVIDER_ENV) delete process.env[key];
+  requests = [];
+  status   = 200;
+});
+
+const configFor = (provider, research = {}) => ({
+  research: { provider, endpoint: provider === 'searxng' ? `${base}/searxng/` : `${base}/${provider}`, cache_ttl_hours: 0, ...research },
+});
+
+// ── Request shape + normalized results, per provider ─────────────────────────
+
+test('tavily posts the query and key as JSON', async () => {
+  process.env.TAVILY_API_KEY = 'tvly-test';
+  const results = await searchTopic('notion alternatives', configFor('tavily', { recency_days: 7, max_results: 5 }));
+
+  assert.equal(requests.length, 1);
+  const [req] = requests;
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url.pathname, '/tavily');
+  assert.equal(req.headers['content-type'], 'application/json');
+  assert.deepEqual(req.body, {
+    api_key:      'tvly-test',
+    query:        'notion alternatives',
+    search_depth: 'basic',
+    max_results:  5,
+    time_range:   'week',
+  });
+  assert.deepEqual(results, [
+    { url: 'https://a.example/one', title: 'One',                   description: 'First result text' },
+    { url: 'https://b.example/two', title: 'https://b.example/two', description: 'No title' },
+  ]);
+});
+
+test('brave sends the key as a header and strips markup from snippets', async () => {
+  process.env.BRAVE_API_KEY = 'brave-test';
+  const results = await searchTopic('notion alternatives', configFor('brave', { include_domains: ['g2.com'] }));
+
+  const [req] = requests;
+  assert.equal(req.method, 'GET');
+  assert.equal(req.url.pathname, '/brave');
+  assert.equal(req.headers['x-subscription-token'], 'brave-test');
+  assert.equal(req.url.searchParams.get('q'), 'notion alternatives site:g2.com');
+  assert.equal(req.url.searchParams.get('count'), '7');
+  assert.deepEqual(results, []);   // a.example is outside include_domains
+
+  requests = [];
+  const unfiltered = await searchTopic('notion alternatives', configFor('brave'));
+  assert.equal(requests[0].url.searchParams.get('q'), 'notion alternatives');
+  assert.deepEqual(unfiltered, [{ url: 'https://a.example/one', title: 'One', description: 'First result text' }]);
+});
+
+test('serpapi passes the key and Google engine as query parameters', async () => {
+  process.env.SERPAPI_API_KEY = 'serp-test';
+  const results = await searchTopic('notion alternatives', configFor('serpapi', { recency_days: 30 }));
+
+  const [req] = requests;
+  assert.equal(req.method, 'GET');
+  assert.equal(req.url.pathname, '/serpapi');
+  assert.equal(req.url.searchParams.get('engine'), 'google');
+  assert.equal(req.url.searchParams.get('api_key'), 'serp-test');
+  assert.equal(req.url.searchParams.get('q'), 'notion alternatives');
+  assert.equal(req.url.searchParams.get('num'), '7');
+  assert.equal(req.url.searchParams.get('tbs'), 'qdr:d30');
+  assert.deepEqual(results, [{ url: 'https://a.example/one', title: 'One', description: 'First result text' }]);
+});
+
+test('exa posts camelCase options with the key in x-api-key', async () => {
+  process.env.EXA_API_KEY = 'exa-test';
+  const results = await searchTopic('notion alternatives', configFor('exa', { exclude_domains: ['reddit.com'] }));
+
+  const [req] = requests;
+  assert.equal(req.method, 'POST');
+  assert.equal(req.url.pathname, '/exa');
+  assert.equal(req.headers['x-api-key'], 'exa-test');
+  assert.deepEqual(req.body, {
+    query:          'notion alternatives',
+    numResults:     7,
+    contents:       { text: { maxCharacters: 400 } },
+    excludeDomains: ['reddit.com'],
+  });
+  // An empty title falls back to the URL
+  assert.deepEqual(results, [{ url: 'https://a.example/one', title: 'https://a.example/one', description: 'First result text' }]);
+});
+
+test('searxng needs no key — the endpoint is the instance URL', async () => {
+  const results = await searchTopic('notion alternatives', configFor('searxng', { recency_days: 1 }));
+
+  const [req] = requests;
+  assert.equal(req.method, 'GET');
+  assert.equal(req.url.pathname, '/searxng/search');
+  assert.equal(req.url.searchParams.get('q'), 'notion alternatives');
+  assert.equal(req.url.searchParams.get('format'), 'json');
+  assert.equal(req.url.searchParams.get('time_range'), 'day');
+  assert.deepEqual(results, [{ url: 'https://a.example/one', title: 'One', description: 'First result text' }]);
+});
+
+test('searxng also takes the instance from SEARXNG_URL', async () => {
+  process.env.SEARXNG_URL = `${base}/searxng`;
+  const results = await searchTopic('notion alternatives', { research: { provider: 'searxng', cache_ttl_hours: 0 } });
+
+  assert.equal(requests[0].url.pathname, '/searxng/search');
+  assert.equal(results.length, 1);
+});
+
+// ── Errors ───────────────────────────────────────────────────────────────────
+
+test('an HTTP error makes the provider throw with its status, and searchTopic return []', async () => {
+  process.env.TAVILY_API_KEY = 'tvly-test';
+  status = 429;
+
+  const { provider, apiKey, endpoint } = resolveProvider(configFor('tavily'));
+  await assert.rejects(
+    provider.search('q', { apiKey, endpoint, maxResults: 5, searchDepth: 'basic' }),
+    /^Error: Tavily 429: \{"error":"quota exceeded"\}/,
+  );
+  assert.deepEqual(await searchTopic('q', configFor('tavily')), []);
+});
+
+for (const name of Object.keys(PROVIDERS)) {
+  test(`${name} without credentials is rejected with setup instructions`, async () => {
+    const config = name === 'searxng' ? { research: { provider: name } } : configFor(name);
+    await assert.rejects(searchTopic('q', config), new RegExp(`${PROVIDERS[name].envKey} is not set`));
+    assert.equal(requests.length, 0);
+  });
+}
+
+test('provider selection: config, then env var, then the first provider with a key', () => {
+  process.env.BRAVE_API_KEY = 'brave-test';
+  process.env.EXA_API_KEY   = 'exa-test';
+  assert.equal(resolveProvider({}).name, 'brave');
+
+  process.env.DIGITAL_PM_SEARCH_PROVIDER = 'exa';
+  assert.equal(resolveProvider({}).name, 'exa');
+  assert.equal(resolveProvider({ research: { provider: 'Brave' } }).name, 'brave');
+});
+
+test('no provider, or an unknown one, throws', () => {
+  assert.throws(() => resolveProvider({}), /No search provider configured/);
+  assert.throws(() => resolveProvider({ research: { provider: 'bing' } }), /Unknown search provider "bing"/);
+});
@@ -0,0 +1,176 @@
+/**
+ * Selector registry against the saved NotebookLM fixtures — every step of every
+ * screen must resolve in fixtures/notebooklm/<screen>.html, so a selector edit
+ * that no longer matches the reference UI fails here instead of in a live run.
+ *
+ * There is no browser in CI, so each fixture is parsed into a minimal static
+ * DOM and findStep() runs the registry's own matcher against it through a page
+ * whose evaluate() calls the function in-process.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert              from 'node:assert/strict';
+import { readFile }        from 'node:fs/promises';
+import { fileURLToPath }   from 'node:url';
+
+import { SELECTORS, SCREENS, findStep } from '../src/services/selectors.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/notebooklm/', import.meta.url));
+
+// ── Static DOM — just enough of querySelectorAll / textContent / getAttribute ─
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const ENTITIES  = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decode = text => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (whole, name) =>
+    name[0] !== '#'                 ? ENTITIES[name.toLowerCase()] ?? whole
+  : name[1].toLowerCase() === 'x'   ? String.fromCodePoint(parseInt(name.slice(2), 16))
+  :                                   String.fromCodePoint(Number(name.slice(1))));
+
+class StaticElement {
+  constructor(tagName, attributes = {}, parent = null) {
+    this.tagName    = tagName;
+    this.attributes = attributes;
+    this.parent     = parent;
+    this.children   = [];
+  }
+
+  get textContent() {
+    return this.children.map(c => (typeof c === 'string' ? c : c.textContent)).join('');
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  *descendants() {
+    for (const child of this.children) {
+      if (typeof child === 'string') continue;
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const compounds = parseSelector(selector);
+    return [...this.descendants()].filter(el => matchesSelector(el, compounds));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+}
+
+function parseHtml(html) {
+  const document = new StaticElement('#document');
+  let current    = document;
+  const tokens   = /<!--[\s\S]*?-->|<![^>]*>|<\/([\w-]+)\s*>|<([\w-]+)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>|([^<]+)/g;
+
+  for (const [, closeTag, openTag, attrText, text] of html.matchAll(tokens)) {
+    if (text !== undefined) {
+      current.children.push(decode(text));
+    } else if (openTag) {
+      const attributes = {};
+      for (const [, name, ...values] of (attrText ?? '').matchAll(/([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attributes[name.toLowerCase()] = decode(values.find(v => v !== undefined) ?? '');
+      }
+      const el = new StaticElement(openTag.toLowerCase(), attributes, current);
+      current.children.push(el);
+      if (!VOID_TAGS.has(el.tagName)) current = el;
+    } else if (closeTag) {
+      // Close up to the matching open element; a stray end tag is ignored
+      let open = current;
+      while (open !== document && open.tagName !== closeTag.toLowerCase()) open = open.parent;
+      if (open !== document) current = open.parent;
+    }
+  }
+  return document;
+}
+
+/** Descendant-combinator selectors of tag, .class and [attr], [attr="v"], [attr*=|^=|$="v" i] parts. */
+function parseSelector(selector) {
+  return [...selector.matchAll(/((?:[\w-]+|\.[\w-]+|\[[^\]]*\])+)|(\S)/g)].map(([, compound, unsupported]) => {
+    if (unsupported) throw new Error(`Unsupported selector syntax "${unsupported}" in "${selector}"`);
+    return [...compound.matchAll(/^([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([*^$]?=)\s*"([^"]*)"\s*(i)?\s*)?\]/g)]
+      .map(([, tag, cls, attr, op, value, flag]) => ({ tag, cls, attr, op, value, ignoreCase: !!flag }));
+  });
+}
+
+function matchesCompound(el, parts) {
+  return parts.every(({ tag, cls, attr, op, value, ignoreCase }) => {
+    if (tag) return el.tagName === tag.toLowerCase();
+    if (cls) return (el.getAttribute('class') ?? '').split(/\s+/).includes(cls);
+    let actual = el.getAttribute(attr);
+    if (actual === null) return false;
+    if (!op) return true;
+    let wanted = value;
+    if (ignoreCase) [actual, wanted] = [actual.toLowerCase(), wanted.toLowerCase()];
+    return op === '='  ? actual === wanted
+         : op === '*=' ? actual.includes(wanted)
+         : op === '^=' ? actual.startsWith(wanted)
+         :               actual.endsWith(wanted);
+  });
+}
+
+function matchesSelector(el, compounds) {
+  if (!matchesCompound(el, compounds.at(-1))) return false;
+  let ancestor = el.parent;
+  for (let i = compounds.length - 2; i >= 0; i--) {
+    while (ancestor && !(ancestor.tagName !== '#document' && matchesCompound(ancestor, compounds[i]))) ancestor = ancestor.parent;
+    if (!ancestor) return false;
+    ancestor = ancestor.parent;
+  }
+  return true;
+}
+
+// findStep() passes matchInDom to page.evaluate(); run it here against `document`
+const staticPage = { evaluate: async (fn, arg) => fn(arg) };
+
+async function loadFixture(screen) {
+  globalThis.document = parseHtml(await readFile(`${FIXTURES}${screen}.html`, 'utf8'));
+}
+
+afterEach(() => {
+  delete globalThis.document;
+});
+
+// ── Tests ────────────────────────────────────────────────────────────────────
+
+test('the static DOM matches the selector forms the registry uses', () => {
+  const document = parseHtml(
+    '<div class="a b"><button aria-label="Add Source" data-x>Go &amp; <br>stop</button></div><p class="a">x</p>',
+  );
+  const [button] = document.querySelectorAll('div.b button[data-x]');
+  assert.equal(button.textContent, 'Go & stop');
+  assert.equal(document.querySelectorAll('.a button[aria-label*="add source" i]').length, 1);
+  assert.equal(document.querySelectorAll('button[aria-label^="Add" i]').length, 1);
+  assert.equal(document.querySelectorAll('button[aria-label="Add source"]').length, 0);
+  assert.equal(document.querySelectorAll('p.a button').length, 0);
+  assert.throws(() => document.querySelectorAll('div > button'), /Unsupported selector syntax ">"/);
+});
+
+test('every registry step belongs to a screen', () => {
+  const steps = new Set(Object.values(SCREENS).flat());
+  assert.deepEqual(Object.keys(SELECTORS).filter(step => !steps.has(step)), []);
+});
+
+for (const [screen, steps] of Object.entries(SCREENS)) {
+  test(`every step of the ${screen} screen resolves with its primary selector`, async () => {
+    await loadFixture(screen);
+    for (const step of steps) {
+      const match = await findStep(staticPage, step, { visible: false });
+      assert.ok(match, `${step} does not resolve in ${screen}.html`);
+      assert.equal(match.index, 0, `${step} only resolves through fallback "${match.selector}" in ${screen}.html`);
+    }
+  });
+}
+
+test('label-matched steps do not resolve on the wrong screen', async () => {
+  await loadFixture('source-menu');
+  assert.equal(await findStep(staticPage, 'confirmDeleteButton', { visible: false }), null);
+  assert.equal(await findStep(staticPage, 'insertButton', { visible: false }), null);
+
+  await loadFixture('websites-dialog');
+  assert.equal(await findStep(staticPage, 'copiedTextOption', { visible: false }), null);
+  assert.equal(await findStep(staticPage, 'removeSourceMenuItem', { visible: false }), null);
+});
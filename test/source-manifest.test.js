@@ -0,0 +1,90 @@
+/**
+ * Source manifest — content hashes that ignore digital-pm-mcp's own timestamp
+ * lines, and a manifest that only applies to the notebook it was written for.
+ */
+
+import { test, before, after } from 'node:test';
+import assert                  from 'node:assert/strict';
+import { mkdtemp, rm }         from 'node:fs/promises';
+import { tmpdir }              from 'node:os';
+import { join }                from 'node:path';
+
+import {
+  hashContent, readManifest, writeManifest, classifySource, recordSource,
+} from '../src/services/source-manifest.js';
+import { writeStateFile } from '../src/services/config.js';
+
+const NOTEBOOK  = 'https://notebooklm.google.com/notebook/aaa';
+const RECREATED = 'https://notebooklm.google.com/notebook/bbb';
+
+let project;
+
+before(async () => {
+  project = await mkdtemp(join(tmpdir(), 'dpm-manifest-'));
+});
+
+after(async () => {
+  await rm(project, { recursive: true, force: true });
+});
+
+// ── hashContent ──────────────────────────────────────────────────────────────
+
+const summary = stamps => ['# Codebase Summary — acme', '', ...stamps, '', '## Stack', '- Node 20'].join('\n');
+
+test('timestamp lines digital-pm-mcp writes do not change the hash', () => {
+  const base = hashContent(summary([]));
+
+  assert.equal(hashContent(summary(['_Generated 2026-03-01 by digital-pm-mcp_'])), base);
+  assert.equal(hashContent(summary(['_Generated 2026-03-02 by digital-pm-mcp_'])), base);
+  assert.equal(hashContent(summary(['_Sync update — previous: 2026-03-01T10:00:00.000Z | now: 2026-03-02T10:00:00.000Z_'])), base);
+  assert.equal(hashContent(summary(['_Full sync (no previous sync record)_'])), base);
+  assert.equal(hashContent(summary(['  _Generated 2026-03-01 by digital-pm-mcp_  '])), base);
+});
+
+test('trailing whitespace and line endings do not change the hash, content does', () => {
+  const base = hashContent(summary([]));
+
+  assert.equal(hashContent(summary([]).replace(/\n/g, '\r\n')), base);
+  assert.equal(hashContent(summary([]).replace('- Node 20', '- Node 20   ') + '\n\n'), base);
+  assert.notEqual(hashContent(summary([]).replace('Node 20', 'Node 22')), base);
+  // Only whole stamp lines are volatile — the same words inside other text count
+  assert.notEqual(hashContent(summary(['Generated 2026-03-01 by hand'])), base);
+  assert.notEqual(hashContent(summary(['_Generated by the design team_'])), base);
+  assert.match(base, /^[0-9a-f]{64}$/);
+});
+
+// ── readManifest / classifySource ────────────────────────────────────────────
+
+test('a project without a manifest starts empty for its notebook', async () => {
+  assert.deepEqual(await readManifest(project, NOTEBOOK), { version: 1, notebook_url: NOTEBOOK, sources: {} });
+});
+
+test('the manifest is kept for its notebook and reset for another one', async () => {
+  const manifest = await readManifest(project, NOTEBOOK);
+  recordSource(manifest, 'README.md', hashContent('# Acme'), '# Acme');
+  await writeManifest(project, manifest);
+
+  const same = await readManifest(project, NOTEBOOK);
+  assert.equal(same.sources['README.md'].bytes, 6);
+  assert.equal(classifySource(same, 'README.md', hashContent('# Acme')), 'unchanged');
+  assert.equal(classifySource(same, 'README.md', hashContent('# Acme v2')), 'changed');
+  assert.equal(classifySource(same, 'ROADMAP.md', hashContent('# Roadmap')), 'added');
+
+  // Relinked to a recreated notebook: every source is new there
+  const relinked = await readManifest(project, RECREATED);
+  assert.deepEqual(relinked, { version: 1, notebook_url: RECREATED, sources: {} });
+  assert.equal(classifySource(relinked, 'README.md', hashContent('# Acme')), 'added');
+});
+
+test('a manifest from before notebooks were recorded, or of another version, is reset', async () => {
+  const sources = { 'README.md': { hash: hashContent('# Acme'), bytes: 6, uploaded_at: '2026-03-01T10:00:00.000Z' } };
+
+  await writeStateFile(project, 'sources.json', { version: 1, sources });
+  assert.deepEqual((await readManifest(project, NOTEBOOK)).sources, {});
+
+  await writeStateFile(project, 'sources.json', { version: 2, notebook_url: NOTEBOOK, sources });
+  assert.deepEqual((await readManifest(project, NOTEBOOK)).sources, {});
+
+  await writeStateFile(project, 'sources.json', { version: 1, notebook_url: NOTEBOOK, sources });
+  assert.deepEqual((await readManifest(project, NOTEBOOK)).sources, sources);
+});
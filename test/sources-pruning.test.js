@@ -0,0 +1,68 @@
+/**
+ * digitalPM_sources pruning rules — how label_pattern, older_than_days and
+ * max_sources combine to pick the notebook sources to delete.
+ */
+
+import { test } from 'node:test';
+import assert   from 'node:assert/strict';
+
+import { selectForPruning } from '../src/tools/sources.js';
+
+// Panel order, oldest first; ages are only known for sources digitalPM_sync uploaded
+const SOURCES = [
+  { index: 0, title: 'Research — pricing',    ageDays: 40 },
+  { index: 1, title: 'Codebase Summary',      ageDays: null },
+  { index: 2, title: 'Research — onboarding', ageDays: 10 },
+  { index: 3, title: 'Feedback note',         ageDays: null },
+  { index: 4, title: 'Research — churn',      ageDays: null },
+  { index: 5, title: 'README.md',             ageDays: 30 },
+];
+
+const RESEARCH = /^research/i;
+const pick     = options => selectForPruning(SOURCES, options).map(s => s.index);
+
+test('no pruning options select nothing', () => {
+  assert.deepEqual(pick({}), []);
+});
+
+test('label_pattern alone selects every match, whatever its age', () => {
+  assert.deepEqual(pick({ pattern: RESEARCH }), [0, 2, 4]);
+  assert.deepEqual(pick({ pattern: /nothing matches/ }), []);
+});
+
+test('older_than_days alone selects known ages strictly above it, never unknown ones', () => {
+  assert.deepEqual(pick({ older_than_days: 20 }), [0, 5]);
+  assert.deepEqual(pick({ older_than_days: 30 }), [0]);
+  assert.deepEqual(pick({ older_than_days: 0 }), [0, 2, 5]);
+});
+
+test('label_pattern and older_than_days combine with AND', () => {
+  assert.deepEqual(pick({ pattern: RESEARCH, older_than_days: 5 }), [0, 2]);
+  assert.deepEqual(pick({ pattern: RESEARCH, older_than_days: 40 }), []);
+});
+
+test('max_sources alone trims the oldest sources down to the limit', () => {
+  assert.deepEqual(pick({ max_sources: 4 }), [0, 1]);
+  assert.deepEqual(pick({ max_sources: 6 }), []);
+  assert.deepEqual(pick({ max_sources: 0 }), [0, 1, 2, 3, 4, 5]);
+});
+
+test('label_pattern with max_sources only scopes the trim to matching sources', () => {
+  // Not every match — only as many of the oldest as the limit needs
+  assert.deepEqual(pick({ pattern: RESEARCH, max_sources: 4 }), [0, 2]);
+  // Non-matching sources are kept even if the limit can't be reached
+  assert.deepEqual(pick({ pattern: RESEARCH, max_sources: 1 }), [0, 2, 4]);
+  assert.deepEqual(pick({ pattern: RESEARCH, max_sources: 6 }), []);
+});
+
+test('older_than_days with max_sources removes the old ones, then trims the oldest of the rest', () => {
+  assert.deepEqual(pick({ older_than_days: 20, max_sources: 3 }), [0, 1, 5]);
+  // The age filter alone already gets below the limit
+  assert.deepEqual(pick({ older_than_days: 20, max_sources: 5 }), [0, 5]);
+});
+
+test('all three: matching old sources go, then matching ones trim toward the limit', () => {
+  assert.deepEqual(pick({ pattern: RESEARCH, older_than_days: 20, max_sources: 4 }), [0, 2]);
+  assert.deepEqual(pick({ pattern: RESEARCH, older_than_days: 20, max_sources: 2 }), [0, 2, 4]);
+  assert.deepEqual(pick({ pattern: RESEARCH, older_than_days: 20, max_sources: 6 }), [0]);
+});